@@ -1,20 +1,46 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { FlyControls } from 'three/addons/controls/FlyControls.js';
-// Bloom imports removed
+import {
+    SUN_POSITION_PC,
+    KM_S_TO_PC_PER_YEAR,
+    SUN_PECULIAR_VELOCITY,
+    MOTION_PROPER,
+    MOTION_FULL,
+    DISTANCE_ESTIMATORS,
+    DEFAULT_SNR_CUT,
+    LOW_QUALITY_SNR,
+    LAYER_FIELDS,
+    equatorialToGalactic,
+    getStarColorFromBpRp,
+    guessLayerMapping,
+    parseLayerCsv,
+    skyToGalactocentric,
+    galactocentricToScene,
+    SPIRAL_ARMS,
+    getSpiralArmRadius,
+    getSpiralArmDistance,
+    formatCsvTable,
+    formatVoTable,
+} from './starCatalog.js';
 
 // --- CONSTANTS ---
-const SUN_POSITION = new THREE.Vector3(-8200, 20, 0);
+const SUN_POSITION = new THREE.Vector3(SUN_POSITION_PC.x, SUN_POSITION_PC.y, SUN_POSITION_PC.z);
+const STAR_DATA_URL = 'stars.csv'; // Or a packed catalogue from tools/csv-to-stars.mjs
 const MIN_SPEED = 5e4;
 const MAX_SPEED = 5e8;
-const GALAXY_ANGULAR_VELOCITY = 1.5e-7;
+// simulationTime is measured in years (see KM_S_TO_PC_PER_YEAR)
+const TIME_SCRUB_RANGE_YEARS = 500000; // The time slider covers +/- this many years
 
 // --- STATE MANAGEMENT ---
 const starState = {
+    dataUrl: STAR_DATA_URL, // Catalogue to load; see GalaxyMap.loadCatalog
     fullStarData: null,
     starPoints: null,
-    lastStarCount: -1,
-    maxStarsForLOD: 0,
+    starMaterial: null,
+    drawnStarCount: -1,
+    maxStarsForLOD: 0, // Star budget set by the density slider
+    photometry: null, // { absMag, bpRp, gMag, color }, observed or dereddened (see setDereddened)
 };
 
 const animationState = {
@@ -23,11 +49,33 @@ const animationState = {
     isPaused: false
 };
 
+const rotationState = {
+    curve: 'flat',
+    customTable: null, // [[radius_pc, velocity_kms], ...] sorted by radius
+    sunAngularVelocity: 0,
+    sunInitialAngle: 0, // Rebased when the curve changes so the Sun does not jump
+};
+
+const motionState = {
+    enabled: false, // Advance stars along their measured space velocities
+};
+
+const overlayState = {
+    opacity: 0.6, // Opacity chosen with the slider, before winding fade
+    calibration: null, // { url, sun: [u, v], center: [u, v] }, set in setupOverlay
+    placement: null, // See getOverlayPlacement
+    texture: null,
+    fromFile: false, // Images opened from a file are not saved
+    objectUrl: null, // Blob URL of the image opened from a file, revoked when it is replaced
+    previewScale: 0, // Preview canvas pixels per image pixel
+};
+
 // --- SCENE OBJECTS ---
 let galaxyPlaneMesh = null;
 let sunSprite = null;
+let galacticCenterMesh = null;
 const sunRadius = Math.sqrt(SUN_POSITION.x ** 2 + SUN_POSITION.z ** 2);
-const sunInitialAngle = Math.atan2(SUN_POSITION.z, SUN_POSITION.x);
+rotationState.sunInitialAngle = Math.atan2(SUN_POSITION.z, SUN_POSITION.x);
 
 // --- Basic Scene Setup ---
 const scene = new THREE.Scene();
@@ -42,58 +90,110 @@ const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerH
 camera.position.set(0, 25000, 0); // Default to a top-down view
 camera.lookAt(0, 0, 0); // Ensure it looks at the center
 
-const renderer = new THREE.WebGLRenderer({
-    canvas: document.querySelector('#bg'),
-    antialias: true,
-    logarithmicDepthBuffer: true // Essential for handling range from 1e-9 to 1e5
-});
-renderer.setSize(window.innerWidth, window.innerHeight);
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+// Created on the map's canvas by createRenderer(), before any setup runs
+let renderer = null;
+let controls = null;
+let flyControls = null;
+
+// The canvas's box in CSS pixels, kept by onCanvasResize() so per-frame code never forces a layout
+const viewportState = {
+    left: 0,
+    top: 0,
+    width: 1,
+    height: 1,
+};
 
-// Bloom pass and composer removed. We will use the renderer directly.
+/**
+ * Creates the renderer and both camera controls on a canvas.
+ * @param {HTMLCanvasElement} canvas
+ * @returns {void}
+ */
+function createRenderer(canvas) {
+    renderer = new THREE.WebGLRenderer({
+        canvas,
+        antialias: true,
+        logarithmicDepthBuffer: true // Essential for handling range from 1e-9 to 1e5
+    });
+    // The page's CSS sizes the canvas; the drawing buffer follows it (see onCanvasResize)
+    measureViewport();
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    renderer.setSize(viewportState.width, viewportState.height, false);
 
-const controls = new OrbitControls(camera, renderer.domElement);
-controls.enableDamping = true;
+    controls = new OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
 
-// MODIFICATION 2: Match minDistance to the camera's near plane
-controls.minDistance = 1e-9;
-controls.maxDistance = 50000;
+    // MODIFICATION 2: Match minDistance to the camera's near plane
+    controls.minDistance = 1e-9;
+    controls.maxDistance = 50000;
 
-controls.panSpeed = 2.0;
-controls.rotateSpeed = 2.0;
-controls.rotateSpeed = 2.0;
-controls.zoomSpeed = 2.0;
+    controls.panSpeed = 2.0;
+    controls.rotateSpeed = 2.0;
+    controls.zoomSpeed = 2.0;
 
-const flyControls = new FlyControls(camera, renderer.domElement);
-flyControls.movementSpeed = 1000; // Default speed
-flyControls.domElement = renderer.domElement;
-flyControls.rollSpeed = Math.PI / 24;
-flyControls.autoForward = false;
-flyControls.dragToLook = true;
-flyControls.enabled = false; // Initially disabled
+    flyControls = new FlyControls(camera, renderer.domElement);
+    flyControls.movementSpeed = 1000; // Default speed
+    flyControls.domElement = renderer.domElement;
+    flyControls.rollSpeed = Math.PI / 24;
+    flyControls.autoForward = false;
+    flyControls.dragToLook = true;
+    flyControls.enabled = false; // Initially disabled
+}
 
 // State to track current control mode
 let isFlyMode = false;
 
-function toggleControls(enableFly) {
+/**
+ * Switches between orbit and fly controls.
+ * @param {boolean} enableFly
+ * @param {boolean} [handOff=true] - Ease out of fly mode instead of snapping the view.
+ * @returns {void}
+ */
+function toggleControls(enableFly, handOff = true) {
+    const leavingFly = isFlyMode && !enableFly;
     isFlyMode = enableFly;
-    if (isFlyMode) {
-        controls.enabled = false;
-        flyControls.enabled = true;
-        // Show Fly UI / Hide Orbit UI if needed
-        document.querySelector('.explore-controls').style.display = 'flex';
-    } else {
-        controls.enabled = true;
-        flyControls.enabled = false;
-        // Reset camera or keep it? Let's keep it where it is.
-        document.querySelector('.explore-controls').style.display = 'none';
-        controls.target.set(0, 0, 0); // Optional: re-center target to origin or project forward
+    // Show Fly UI / Hide Orbit UI if needed
+    document.querySelector('.explore-controls').style.display = isFlyMode ? 'flex' : 'none';
+
+    // A running transition, tour or the sky view hands the camera back when it ends
+    if (transitionState.active || tourState.playing || skyState.active) return;
+    if (leavingFly && handOff) {
+        // Orbit around a point ahead of the camera rather than snapping to the origin,
+        // and level out any roll on the way
+        const pivot = getCameraPivot(new THREE.Vector3());
+        flyTo({ target: pivot, position: camera.position.clone(), duration: HANDOFF_SECONDS });
+        return;
     }
+    controls.enabled = !isFlyMode;
+    flyControls.enabled = isFlyMode;
 }
 
 // Expose toggle globally so buttons can call it
 window.toggleControls = toggleControls;
 
+/**
+ * Switches explore (fly) mode on or off and updates the Explore Mode button to match.
+ * @param {boolean} enabled
+ * @param {boolean} [handOff=true] - See toggleControls().
+ * @returns {void}
+ */
+function setExploreMode(enabled, handOff = true) {
+    toggleControls(enabled, handOff);
+    const exploreModeButton = document.getElementById('explore-mode-button');
+    if (isFlyMode) {
+        exploreModeButton.innerText = "Exit Explore Mode";
+        exploreModeButton.style.backgroundColor = "#dc3545"; // Red
+
+        // Trigger an initial update of the speed display
+        const flySpeedSlider = document.getElementById('fly-speed-slider');
+        if (flySpeedSlider) {
+            flySpeedSlider.dispatchEvent(new Event('input'));
+        }
+    } else {
+        exploreModeButton.innerText = "Explore Mode";
+        exploreModeButton.style.backgroundColor = "#007bff"; // Blue
+    }
+}
+
 
 function logSlider(position) {
     const minLog = Math.log(MIN_SPEED);
@@ -121,6 +221,27 @@ function setupControls() {
     const helpPopup = document.getElementById('help-popup');
     const helpButton = document.getElementById('help-button');
     const helpPopupClose = document.getElementById('help-popup-close');
+    const bookmarksPopup = document.getElementById('bookmarks-popup');
+    const bookmarksButton = document.getElementById('bookmarks-button');
+    const bookmarksPopupClose = document.getElementById('bookmarks-popup-close');
+    const exportPopup = document.getElementById('export-popup');
+    const exportButton = document.getElementById('export-button');
+    const exportPopupClose = document.getElementById('export-popup-close');
+    const filtersPopup = document.getElementById('filters-popup');
+    const filtersButton = document.getElementById('filters-button');
+    const filtersPopupClose = document.getElementById('filters-popup-close');
+    const dataQualityPopup = document.getElementById('data-quality-popup');
+    const dataQualityButton = document.getElementById('data-quality-button');
+    const dataQualityPopupClose = document.getElementById('data-quality-popup-close');
+    const layersPopup = document.getElementById('layers-popup');
+    const layersButton = document.getElementById('layers-button');
+    const layersPopupClose = document.getElementById('layers-popup-close');
+    const landmarksPopup = document.getElementById('landmarks-popup');
+    const landmarksButton = document.getElementById('landmarks-button');
+    const landmarksPopupClose = document.getElementById('landmarks-popup-close');
+    const overlayPopup = document.getElementById('overlay-popup');
+    const overlayButton = document.getElementById('overlay-button');
+    const overlayPopupClose = document.getElementById('overlay-popup-close');
 
     function openPopup(popup) {
         popup.classList.add('active');
@@ -142,10 +263,59 @@ function setupControls() {
         if (e.target === helpPopup) closePopup(helpPopup);
     });
 
+    bookmarksButton.addEventListener('click', () => openPopup(bookmarksPopup));
+    bookmarksPopupClose.addEventListener('click', () => closePopup(bookmarksPopup));
+    bookmarksPopup.addEventListener('click', (e) => {
+        if (e.target === bookmarksPopup) closePopup(bookmarksPopup);
+    });
+
+    exportButton.addEventListener('click', () => openPopup(exportPopup));
+    exportPopupClose.addEventListener('click', () => closePopup(exportPopup));
+    exportPopup.addEventListener('click', (e) => {
+        if (e.target === exportPopup) closePopup(exportPopup);
+    });
+
+    filtersButton.addEventListener('click', () => openPopup(filtersPopup));
+    filtersPopupClose.addEventListener('click', () => closePopup(filtersPopup));
+    filtersPopup.addEventListener('click', (e) => {
+        if (e.target === filtersPopup) closePopup(filtersPopup);
+    });
+
+    dataQualityButton.addEventListener('click', () => openPopup(dataQualityPopup));
+    dataQualityPopupClose.addEventListener('click', () => closePopup(dataQualityPopup));
+    dataQualityPopup.addEventListener('click', (e) => {
+        if (e.target === dataQualityPopup) closePopup(dataQualityPopup);
+    });
+
+    layersButton.addEventListener('click', () => openPopup(layersPopup));
+    layersPopupClose.addEventListener('click', () => closePopup(layersPopup));
+    layersPopup.addEventListener('click', (e) => {
+        if (e.target === layersPopup) closePopup(layersPopup);
+    });
+
+    landmarksButton.addEventListener('click', () => openPopup(landmarksPopup));
+    landmarksPopupClose.addEventListener('click', () => closePopup(landmarksPopup));
+    landmarksPopup.addEventListener('click', (e) => {
+        if (e.target === landmarksPopup) closePopup(landmarksPopup);
+    });
+
+    overlayButton.addEventListener('click', () => openPopup(overlayPopup));
+    overlayPopupClose.addEventListener('click', () => closePopup(overlayPopup));
+    overlayPopup.addEventListener('click', (e) => {
+        if (e.target === overlayPopup) closePopup(overlayPopup);
+    });
+
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') {
             closePopup(controlsPopup);
             closePopup(helpPopup);
+            closePopup(bookmarksPopup);
+            closePopup(exportPopup);
+            closePopup(filtersPopup);
+            closePopup(dataQualityPopup);
+            closePopup(layersPopup);
+            closePopup(landmarksPopup);
+            closePopup(overlayPopup);
         }
     });
 
@@ -164,72 +334,34 @@ function setupControls() {
 
     densitySlider.addEventListener('input', (event) => {
         if (!starState.fullStarData) return;
+        // Budget for updateStarLOD; distant leaves are thinned before it is applied
         const percentage = parseFloat(event.target.value) / 100;
-        starState.maxStarsForLOD = Math.floor(starState.fullStarData.length * percentage);
-
-        event.target.closest('div').style.display = 'none'; // Hide the density slider container
-        // Density slider logic disabled as per previous request (removed LOD)
-        // starState.maxStarsForLOD = Math.floor(starState.fullStarData.length * percentage);
-        // starState.lastStarCount = -1;
-        // updateStarLOD();
+        starState.maxStarsForLOD = Math.max(Math.floor(starState.fullStarData.count * percentage), 1);
     });
 
-    // Initialize Size Scale Slider
+    // Star size multiplier, from 1 to 10^8 on a logarithmic slider (see getSizeScale)
     const sizeScaleSlider = document.getElementById('size-scale-slider');
     const sizeScaleDisplay = document.getElementById('size-scale-display');
-
-    // Use logarithmic slider for such a huge range (1 to 100,000,000)
-    // We map slider 0-100 to log scale 1-10^8
-    const minScaleLog = Math.log10(1);
-    const maxScaleLog = Math.log10(100000000); // 10^8
-
-    function setScaleFromSlider(val) {
-        // Map 1-100000000 directly linear for now if the user used the HTML attributes directly
-        // But the HTML input min/max I set to 1-100M. Linear is hard to control.
-        // Let's assume the user drags it.
-        const scale = parseFloat(val);
-
+    sizeScaleSlider.addEventListener('input', () => {
+        const scale = getSizeScale();
         if (starState.starPoints) {
-            starState.starPoints.material.uniforms.u_size_scale.value = scale;
+            starState.starMaterial.uniforms.u_size_scale.value = scale;
         }
-        sizeScaleDisplay.innerText = `Multiplier: ${scale.toLocaleString()}x`;
-    }
-
-    sizeScaleSlider.addEventListener('input', (event) => {
-        setScaleFromSlider(event.target.value);
+        sizeScaleDisplay.innerText = `Multiplier: ${scale.toLocaleString(undefined, { maximumSignificantDigits: 3 })}x`;
     });
 
     opacitySlider.addEventListener('input', (event) => {
-        if (galaxyPlaneMesh && galaxyPlaneMesh.material) {
-            galaxyPlaneMesh.material.opacity = parseFloat(event.target.value);
-        }
+        // The animate loop applies this, faded by how far the arms have wound up
+        overlayState.opacity = parseFloat(event.target.value);
     });
 
     resetViewButton.addEventListener('click', () => {
-        resetCameraView();
-        if (isFlyMode) {
-            toggleControls(false);
-            exploreModeButton.innerText = "Explore Mode";
-            exploreModeButton.style.backgroundColor = "#007bff";
-        }
+        resetCameraView(); // Also leaves explore mode on arrival
     });
 
     exploreModeButton.addEventListener('click', () => {
-        toggleControls(!isFlyMode);
-        if (isFlyMode) {
-            exploreModeButton.innerText = "Exit Explore Mode";
-            exploreModeButton.style.backgroundColor = "#dc3545"; // Red
-
-            // Trigger an initial update of the speed display
-            const flySpeedSlider = document.getElementById('fly-speed-slider');
-            if (flySpeedSlider) {
-                flySpeedSlider.dispatchEvent(new Event('input'));
-            }
-
-        } else {
-            exploreModeButton.innerText = "Explore Mode";
-            exploreModeButton.style.backgroundColor = "#007bff"; // Blue
-        }
+        exitSkyView();
+        setExploreMode(!isFlyMode);
     });
 
     const flySpeedSlider = document.getElementById('fly-speed-slider');
@@ -237,27 +369,8 @@ function setupControls() {
 
     if (flySpeedSlider && flySpeedDisplay) {
         flySpeedSlider.addEventListener('input', (event) => {
-            // Logarithmic scale for better control? Or linear?
-            // User asked for "slider for the speed of movement".
-            // Let's use a linear scale for simplicity, scaled up.
-            // Map 0-100 to some reasonable range e.g. 0 to 5000 units/s
-            // OR lets map it to a larger range since galaxy is huge.
-            // 8200 units = 8200 pc.
-            // Let's say max speed 10000 pc/s?
-
             const position = parseFloat(event.target.value);
-
-            // Exponential curve for better control at low speeds
-            // Slider 0-100 mapped to normalized 0-1
-            const t = position / 100;
-            // Curve: Speed = MaxSpeed * t^4 
-            // Max speed ~10000 pc/s
-            // At 1% (t=0.01): 10000 * 1e-8 = 0.0001 pc/s (Very slow)
-            // At 10% (t=0.1): 10000 * 0.0001 = 1 pc/s
-            // At 50% (t=0.5): 10000 * 0.0625 = 625 pc/s
-
-            const maxSpeed = 10000;
-            const speed = maxSpeed * Math.pow(t, 4);
+            const speed = getFlySpeed(position);
 
             // Don't let it be exactly 0 unless slider is 0, to avoid getting stuck
             flyControls.movementSpeed = (position > 0 && speed < 0.0000001) ? 0.0000001 : speed;
@@ -279,13 +392,252 @@ function setupControls() {
 }
 
 /**
- * Resets the camera to the default top-down view.
+ * Fly speed in pc/s for a position of the camera speed slider (0-100).
+ * @param {number} position
+ * @returns {number}
+ */
+function getFlySpeed(position) {
+    // Exponential curve for better control at low speeds
+    // Slider 0-100 mapped to normalized 0-1
+    const t = position / 100;
+    // Curve: Speed = MaxSpeed * t^4
+    // Max speed ~10000 pc/s
+    // At 1% (t=0.01): 10000 * 1e-8 = 0.0001 pc/s (Very slow)
+    // At 10% (t=0.1): 10000 * 0.0001 = 1 pc/s
+    // At 50% (t=0.5): 10000 * 0.0625 = 625 pc/s
+    const maxSpeed = 10000;
+    return maxSpeed * Math.pow(t, 4);
+}
+
+/**
+ * Flies the camera back to the default top-down view, in orbit mode.
  */
 function resetCameraView() {
-    // Move camera to top-down position
-    camera.position.set(0, 25000, 0);
-    // Set the orbit controls target to the center
-    controls.target.set(0, 0, 0);
+    // Top-down position, orbiting the center
+    flyTo({ position: new THREE.Vector3(0, 25000, 0), target: new THREE.Vector3(0, 0, 0), mode: 'orbit' });
+}
+
+// --- Camera Transitions ---
+// Eased flights between views. The distance to the point being looked at changes on a
+// log scale, rising part-way to a peak that fits the sideways travel into view, so a hop
+// from a few AU off a star to the 25 kpc overview is as smooth as a short move.
+// Sideways travel is paced by that distance, so most of it happens while zoomed out.
+
+const TRANSITION_MIN_SECONDS = 0.8;
+const TRANSITION_MAX_SECONDS = 4;
+const TRANSITION_SECONDS_PER_DECADE = 0.35; // Extra time per factor of 10 in distance travelled
+const TRANSITION_PAN_ZOOM = 1.5; // Peak distance as a multiple of the sideways travel
+const TRANSITION_PATH_SAMPLES = 64;
+const HANDOFF_SECONDS = 0.6; // Leaving explore mode
+const MIN_PIVOT_DISTANCE = 1e-6; // pc, about 0.2 AU
+const FLY_TO_DISTANCES = { sun: 500, center: 6000, star: 0.01 }; // pc from the target on arrival
+
+const transitionState = {
+    active: false,
+    elapsed: 0, // Seconds since the flight started
+    duration: 0, // Seconds
+    fromTarget: new THREE.Vector3(),
+    fromQuaternion: new THREE.Quaternion(),
+    toQuaternion: new THREE.Quaternion(),
+    getTarget: null, // Returns the destination point each frame, so moving targets are tracked
+    path: null, // From planCameraPath()
+    target: new THREE.Vector3(), // Point currently looked at
+};
+
+function getViewDirection(quaternion, target) {
+    return target.set(0, 0, -1).applyQuaternion(quaternion);
+}
+
+/**
+ * The point the camera turns around: the orbit target, or in fly mode a point ahead
+ * at the distance covered in a second at the current speed, which matches the scale
+ * the user is working at.
+ * @param {THREE.Vector3} target
+ * @returns {THREE.Vector3}
+ */
+function getCameraPivot(target) {
+    if (transitionState.active) return target.copy(transitionState.target);
+    if (controls.enabled) return target.copy(controls.target);
+    const distance = Math.min(Math.max(flyControls.movementSpeed, MIN_PIVOT_DISTANCE), controls.maxDistance);
+    return getViewDirection(camera.quaternion, target).multiplyScalar(distance).add(camera.position);
+}
+
+function getLevelQuaternion(position, target) {
+    const matrix = new THREE.Matrix4().lookAt(position, target, new THREE.Vector3(0, 1, 0));
+    return new THREE.Quaternion().setFromRotationMatrix(matrix);
+}
+
+/**
+ * Plans how far from its pivot the camera sits along a flight, and how the sideways
+ * travel between the two pivots is spread over it.
+ * @param {THREE.Vector3} fromTarget
+ * @param {number} fromDistance
+ * @param {THREE.Vector3} toTarget
+ * @param {number} toDistance
+ * @returns {object} Path for getPathLogDistance() and getPathPanShare().
+ */
+function planCameraPath(fromTarget, fromDistance, toTarget, toDistance) {
+    const path = {
+        logFrom: Math.log(fromDistance), // ln of the starting and final distances to the target
+        logTo: Math.log(toDistance),
+        logBump: 0, // Extra ln distance at the midpoint
+        panTable: new Float64Array(TRANSITION_PATH_SAMPLES + 1), // Share of the sideways travel done at each sample
+        decades: 0, // Factors of 10 zoomed out and back in
+    };
+    const pan = fromTarget.distanceTo(toTarget);
+    const logPeak = Math.log(Math.max(fromDistance, toDistance, pan * TRANSITION_PAN_ZOOM, MIN_PIVOT_DISTANCE));
+    path.logBump = Math.max(logPeak - (path.logFrom + path.logTo) / 2, 0);
+
+    // Sideways speed proportional to distance: integrate the distance along the path
+    for (let i = 1; i <= TRANSITION_PATH_SAMPLES; i++) {
+        const mid = (i - 0.5) / TRANSITION_PATH_SAMPLES;
+        path.panTable[i] = path.panTable[i - 1] + Math.exp(getPathLogDistance(path, mid) - logPeak);
+    }
+    const total = path.panTable[TRANSITION_PATH_SAMPLES];
+    for (let i = 1; i <= TRANSITION_PATH_SAMPLES; i++) path.panTable[i] /= total;
+
+    path.decades = (Math.abs(logPeak - path.logFrom) + Math.abs(logPeak - path.logTo)) / Math.LN10;
+    return path;
+}
+
+function getPathLogDistance(path, progress) {
+    return path.logFrom + (path.logTo - path.logFrom) * progress + path.logBump * 4 * progress * (1 - progress);
+}
+
+function getPathPanShare(path, progress) {
+    const sample = progress * TRANSITION_PATH_SAMPLES;
+    const index = Math.min(Math.floor(sample), TRANSITION_PATH_SAMPLES - 1);
+    return path.panTable[index] + (path.panTable[index + 1] - path.panTable[index]) * (sample - index);
+}
+
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+/**
+ * Starts an eased flight to a new view. Camera controls are off until it lands.
+ * @param {object} destination
+ * @param {THREE.Vector3|function(): THREE.Vector3} destination.target - Point to look at;
+ *     a function is re-evaluated every frame for targets that move.
+ * @param {THREE.Vector3} [destination.position] - Final camera position.
+ * @param {number} [destination.distance] - Without a position: final distance from the
+ *     target, keeping the current view direction.
+ * @param {THREE.Quaternion} [destination.quaternion] - Final orientation. Defaults to
+ *     looking at the target with the galactic north up.
+ * @param {string} [destination.mode] - 'orbit' or 'fly' once landed.
+ * @param {number} [destination.duration] - Seconds; chosen from the path if omitted.
+ * @returns {void}
+ */
+function flyTo(destination) {
+    exitSkyView();
+    pauseTour();
+    const state = transitionState;
+    const fromTarget = getCameraPivot(new THREE.Vector3());
+    const fromDistance = Math.max(camera.position.distanceTo(fromTarget), MIN_PIVOT_DISTANCE);
+
+    let getTarget = typeof destination.target === 'function' ? destination.target : () => destination.target;
+    let toTarget = getTarget().clone();
+    let toDistance;
+    if (destination.position) {
+        toDistance = Math.max(destination.position.distanceTo(toTarget), MIN_PIVOT_DISTANCE);
+        state.toQuaternion.copy(destination.quaternion || getLevelQuaternion(destination.position, toTarget));
+        if (destination.quaternion) {
+            // Look along the given orientation: the pivot sits straight ahead of the final position
+            toTarget = getViewDirection(destination.quaternion, new THREE.Vector3()).multiplyScalar(toDistance).add(destination.position);
+            const fixedTarget = toTarget.clone();
+            getTarget = () => fixedTarget;
+        }
+    } else {
+        toDistance = Math.max(destination.distance, MIN_PIVOT_DISTANCE);
+        const direction = getViewDirection(camera.quaternion, new THREE.Vector3());
+        const position = toTarget.clone().addScaledVector(direction, -toDistance);
+        state.toQuaternion.copy(destination.quaternion || getLevelQuaternion(position, toTarget));
+    }
+
+    state.fromTarget.copy(fromTarget);
+    state.fromQuaternion.copy(camera.quaternion);
+    state.getTarget = getTarget;
+    state.path = planCameraPath(fromTarget, fromDistance, toTarget, toDistance);
+    state.duration = destination.duration ??
+        Math.min(TRANSITION_MIN_SECONDS + TRANSITION_SECONDS_PER_DECADE * state.path.decades, TRANSITION_MAX_SECONDS);
+    state.elapsed = 0;
+    state.target.copy(fromTarget);
+    state.active = true;
+    controls.enabled = false;
+    flyControls.enabled = false;
+
+    if (destination.mode && (destination.mode === 'fly') !== isFlyMode) {
+        setExploreMode(destination.mode === 'fly');
+    }
+}
+
+/**
+ * Flies to the selected star, following it as the galaxy turns.
+ * @param {number} index - Index into starState.fullStarData.
+ * @returns {void}
+ */
+function flyToStar(index) {
+    if (index < 0) return;
+    const target = new THREE.Vector3();
+    flyTo({
+        target: () => getStarPositionAtTime(index, animationState.simulationTime, target),
+        distance: FLY_TO_DISTANCES.star,
+    });
+}
+
+/**
+ * Sets up the Fly To buttons and lets any press on the canvas take over mid-flight.
+ * @returns {void}
+ */
+function setupCameraTransitions() {
+    const sunTarget = new THREE.Vector3();
+    document.getElementById('fly-to-sun').addEventListener('click', () => {
+        flyTo({ target: () => getSunPositionAtTime(animationState.simulationTime, sunTarget), distance: FLY_TO_DISTANCES.sun });
+    });
+    document.getElementById('fly-to-center').addEventListener('click', () => {
+        flyTo({ target: new THREE.Vector3(0, 0, 0), distance: FLY_TO_DISTANCES.center });
+    });
+    document.getElementById('star-info-fly').addEventListener('click', () => flyToStar(pickState.selectedIndex));
+
+    // Capture phase, registered first, so the controls are live again when they see the event
+    renderer.domElement.addEventListener('pointerdown', endCameraTransition, { capture: true });
+    renderer.domElement.addEventListener('wheel', endCameraTransition, { capture: true });
+}
+
+/**
+ * Moves the camera along the current transition. Called every frame while one runs.
+ * @param {number} delta - Seconds since the last frame.
+ * @returns {void}
+ */
+function updateCameraTransition(delta) {
+    const state = transitionState;
+    state.elapsed += delta;
+    const t = Math.min(state.elapsed / state.duration, 1);
+    const progress = easeInOutCubic(t);
+
+    state.target.lerpVectors(state.fromTarget, state.getTarget(), getPathPanShare(state.path, progress));
+    camera.quaternion.slerpQuaternions(state.fromQuaternion, state.toQuaternion, progress);
+    const distance = Math.exp(getPathLogDistance(state.path, progress));
+    getViewDirection(camera.quaternion, camera.position).multiplyScalar(-distance).add(state.target);
+
+    if (t >= 1) endCameraTransition();
+}
+
+/**
+ * Stops the transition where it is and hands the camera to the current mode's controls.
+ * @returns {void}
+ */
+function endCameraTransition() {
+    if (!transitionState.active) return;
+    transitionState.active = false;
+    camera.up.set(0, 1, 0);
+    if (isFlyMode) {
+        flyControls.enabled = true;
+    } else {
+        controls.target.copy(transitionState.target);
+        controls.enabled = true;
+        controls.update();
+    }
 }
 
 function addSunMarker() {
@@ -331,214 +683,964 @@ function addSunMarker() {
 function addGalacticCenter() {
     const ringGeometry = new THREE.RingGeometry(250, 400, 64);
     const ringMaterial = new THREE.MeshBasicMaterial({ color: 0xffe680, side: THREE.DoubleSide, blending: THREE.AdditiveBlending, depthWrite: false });
-    const accretionDisk = new THREE.Mesh(ringGeometry, ringMaterial);
-    accretionDisk.rotation.x = Math.PI / 2;
-    accretionDisk.position.set(0, 0, 0);
-    scene.add(accretionDisk);
+    galacticCenterMesh = new THREE.Mesh(ringGeometry, ringMaterial);
+    galacticCenterMesh.rotation.x = Math.PI / 2;
+    galacticCenterMesh.position.set(0, 0, 0);
+    scene.add(galacticCenterMesh);
 }
 
-// --- Add the Galaxy Map Image ---
-function addGalaxyImage() {
-    const textureLoader = new THREE.TextureLoader();
-    textureLoader.load(
-        'milky_way_map.jpg',
-        (texture) => {
-            const planeSize = 43000;
-            const geometry = new THREE.PlaneGeometry(planeSize, planeSize);
-            const material = new THREE.MeshBasicMaterial({
-                map: texture,
-                transparent: true,
-                opacity: 0.5,
-                blending: THREE.AdditiveBlending,
-                depthWrite: false
-            });
+// --- Galaxy Overlay & Spiral Arms ---
+// The overlay image is placed from two anchors picked on it, the Sun and Sagittarius A*:
+// their separation sets the scale and their direction the rotation, so any top-down
+// artwork can be lined up with SUN_POSITION and the galactic centre ring. Anchors are
+// fractions of the image's width and height, so a calibration survives a resized copy.
+// The spiral arm model (see SPIRAL_ARMS) is drawn as centre lines or bands of the arms'
+// widths. Both are rigid and turn with the Sun.
+
+const OVERLAY_STORAGE_KEY = 'galaxymap.overlay';
+const SPIRAL_STORAGE_KEY = 'galaxymap.spiralArms';
+const DEFAULT_OVERLAY_CALIBRATION = { url: 'milky_way_map.jpg', sun: [0.5, 0.6907], center: [0.5, 0.5] };
+const OVERLAY_PREVIEW_SIZE_PX = 320;
+const SPIRAL_SAMPLE_DEGREES = 1;
+const SPIRAL_BAND_OPACITY = 0.2;
+const SPIRAL_COMPARE_RADIUS_PC = 3000; // Around the Sun, where Gaia distances are usable
+const SPIRAL_COMPARE_GRID = 200; // Samples across that disc for the area the arms cover
+
+const spiralState = {
+    visible: false,
+    style: 'lines', // 'lines' or 'bands'
+    arms: SPIRAL_ARMS.map((arm) => ({ ...arm, hidden: false })),
+    group: null, // THREE.Group of arms, built with the Sun at SUN_START_ANGLE
+};
+
+/**
+ * Scale and direction of the overlay image from its two anchors.
+ * @param {{width: number, height: number}} image
+ * @returns {{pcPerPixel: number, center: number[], angle: number}} center is the Sgr A*
+ *   anchor in pixels; angle is that of the direction from it to the Sun, with y up.
+ */
+function getOverlayPlacement(image) {
+    const { sun, center } = overlayState.calibration;
+    const cx = center[0] * image.width;
+    const cy = center[1] * image.height;
+    const dx = sun[0] * image.width - cx;
+    const dy = cy - sun[1] * image.height; // Image rows run downwards
+    return { pcPerPixel: sunRadius / Math.max(Math.hypot(dx, dy), 1e-6), center: [cx, cy], angle: Math.atan2(dy, dx) };
+}
 
-            galaxyPlaneMesh = new THREE.Mesh(geometry, material);
+/**
+ * Rotation of the overlay mesh about its normal that puts the image's Sun on the Sun.
+ * @param {number} time - Simulation time in years.
+ * @returns {number} Radians.
+ */
+function getOverlayRotation(time) {
+    const sunAngle = rotationState.sunInitialAngle + rotationState.sunAngularVelocity * time;
+    // The plane is laid along x and -z, so angles in it run the other way round from the scene's
+    return -sunAngle - overlayState.placement.angle;
+}
+
+function buildGalaxyImage() {
+    if (galaxyPlaneMesh) {
+        scene.remove(galaxyPlaneMesh);
+        galaxyPlaneMesh.geometry.dispose();
+        galaxyPlaneMesh.material.dispose();
+    }
+    const texture = overlayState.texture;
+    const placement = getOverlayPlacement(texture.image);
+    const width = texture.image.width * placement.pcPerPixel;
+    const height = texture.image.height * placement.pcPerPixel;
+    const geometry = new THREE.PlaneGeometry(width, height);
+    // Puts the Sgr A* anchor on the mesh's origin, the point it turns about
+    geometry.translate(width / 2 - placement.center[0] * placement.pcPerPixel, placement.center[1] * placement.pcPerPixel - height / 2, 0);
+    const material = new THREE.MeshBasicMaterial({
+        map: texture,
+        transparent: true,
+        opacity: overlayState.opacity,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+    });
 
-            galaxyPlaneMesh.rotation.x = -Math.PI / 2;
-            galaxyPlaneMesh.rotation.z = -90 * (Math.PI / 180);
+    overlayState.placement = placement;
+    galaxyPlaneMesh = new THREE.Mesh(geometry, material);
+    galaxyPlaneMesh.visible = !skyState.active;
+    galaxyPlaneMesh.rotation.x = -Math.PI / 2;
+    galaxyPlaneMesh.rotation.z = getOverlayRotation(animationState.simulationTime);
+    scene.add(galaxyPlaneMesh);
+}
 
-            scene.add(galaxyPlaneMesh);
+/**
+ * Loads an overlay image and places it with the current calibration.
+ * @param {string} url
+ * @param {boolean} fromFile - Object URLs are not saved, as they die with the page.
+ * @returns {void}
+ */
+function loadOverlayImage(url, fromFile = false) {
+    new THREE.TextureLoader().load(
+        url,
+        (texture) => {
+            if (overlayState.texture) overlayState.texture.dispose();
+            if (overlayState.objectUrl) URL.revokeObjectURL(overlayState.objectUrl);
+            overlayState.texture = texture;
+            overlayState.fromFile = fromFile;
+            overlayState.objectUrl = fromFile ? url : null;
+            overlayState.calibration.url = url;
+            buildGalaxyImage();
+            saveOverlayCalibration();
+            renderOverlaySettings();
         },
         undefined,
         (error) => {
             console.error('An error happened loading the galaxy texture.', error);
-            alert('Could not load milky_way_map.jpg. Please make sure it is in the correct folder.');
+            if (fromFile) URL.revokeObjectURL(url);
+            alert(`Could not load ${fromFile ? 'that image' : url}. Please make sure it is in the correct folder.`);
         }
     );
 }
 
-// --- Coordinate Transformation Function ---
-function equatorialToGalactic(x_eq, y_eq, z_eq) {
-    const m = [[-0.0548755604165866, -0.8734370902348850, -0.4838350155487132], [0.4941094278751219, -0.4448296299600112, 0.7469822444972189], [-0.8676661489829874, -0.1980763734312015, 0.4559837761750669]];
-    const x_gal = m[0][0] * x_eq + m[0][1] * y_eq + m[0][2] * z_eq;
-    const y_gal = m[1][0] * x_eq + m[1][1] * y_eq + m[1][2] * z_eq;
-    const z_gal = m[2][0] * x_eq + m[2][1] * y_eq + m[2][2] * z_eq;
-    return { x: x_gal, y: z_gal, z: y_gal };
-}
-
-// --- REALISTIC STAR COLOR FUNCTION ---
-// This function maps the Gaia 'bp_rp' color index to a more realistic RGB color.
-// It uses a lookup table representing the black-body radiation color sequence
-// for stars: from hot blue/white stars to cool red stars.
-const starColorMap = [
-    { bp_rp: -0.4, color: new THREE.Color(0x9bb2ff) }, // O-type (hot, blue-white)
-    { bp_rp: 0.0, color: new THREE.Color(0xaabfff) }, // B-type
-    { bp_rp: 0.5, color: new THREE.Color(0xfff8f2) }, // A/F-type (white)
-    { bp_rp: 0.8, color: new THREE.Color(0xfff4e8) }, // G-type (yellow-white, like the Sun)
-    { bp_rp: 1.4, color: new THREE.Color(0xffddb4) }, // K-type (orange)
-    { bp_rp: 2.5, color: new THREE.Color(0xffa25a) }, // M-type (red)
-];
+function addGalaxyImage() {
+    loadOverlayImage(overlayState.calibration.url);
+}
 
-function getStarColorFromBpRp(bp_rp) {
-    // Find the two points in the map that the bp_rp value falls between.
-    for (let i = 0; i < starColorMap.length - 1; i++) {
-        const lower = starColorMap[i];
-        const upper = starColorMap[i + 1];
-        if (bp_rp >= lower.bp_rp && bp_rp <= upper.bp_rp) {
-            // Interpolate between the two colors
-            const t = (bp_rp - lower.bp_rp) / (upper.bp_rp - lower.bp_rp);
-            return new THREE.Color().lerpColors(lower.color, upper.color, t);
+function loadOverlayCalibration() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(OVERLAY_STORAGE_KEY));
+        const isAnchor = (anchor) => Array.isArray(anchor) && anchor.length === 2 && anchor.every(Number.isFinite);
+        if (stored && typeof stored.url === 'string' && isAnchor(stored.sun) && isAnchor(stored.center)) {
+            overlayState.calibration = { url: stored.url, sun: stored.sun, center: stored.center };
         }
+    } catch (error) {
+        console.warn('Ignoring an unreadable overlay calibration in localStorage.', error);
     }
+}
 
-    // If the value is outside our map's range, clamp to the nearest color.
-    if (bp_rp < starColorMap[0].bp_rp) {
-        return starColorMap[0].color;
-    } else {
-        return starColorMap[starColorMap.length - 1].color;
+function saveOverlayCalibration() {
+    if (overlayState.fromFile) return;
+    try {
+        localStorage.setItem(OVERLAY_STORAGE_KEY, JSON.stringify(overlayState.calibration));
+    } catch (error) {
+        console.warn('Could not save the overlay calibration to localStorage.', error);
     }
 }
 
-// --- Data Loading and Processing ---
-async function loadStarData() {
-    try {
-        const response = await fetch('stars.csv');
-        if (!response.ok) throw new Error(`HTTP error! Status: ${response.status}`);
+/**
+ * Moves one of the overlay's anchors and re-places the image.
+ * @param {string} anchor - 'sun' or 'center'.
+ * @param {number} u - Fraction of the image's width.
+ * @param {number} v - Fraction of the image's height, from the top.
+ * @returns {void}
+ */
+function setOverlayAnchor(anchor, u, v) {
+    overlayState.calibration[anchor] = [THREE.MathUtils.clamp(u, 0, 1), THREE.MathUtils.clamp(v, 0, 1)];
+    if (!overlayState.texture) return;
+    buildGalaxyImage();
+    saveOverlayCalibration();
+    renderOverlaySettings();
+}
+
+/**
+ * Draws the image with its anchors in the alignment popup and fills the anchor inputs.
+ * @returns {void}
+ */
+function renderOverlaySettings() {
+    const canvas = document.getElementById('overlay-preview');
+    const context = canvas.getContext('2d');
+    const texture = overlayState.texture;
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    if (!texture) return;
+    const image = texture.image;
+    const { sun, center } = overlayState.calibration;
+    const fit = Math.min(canvas.width / image.width, canvas.height / image.height);
+    overlayState.previewScale = fit;
+    context.drawImage(image, 0, 0, image.width * fit, image.height * fit);
 
-        const data = await response.text();
-        loaderText.innerText = 'Processing Star Data...';
+    const drawAnchor = (anchor, color) => {
+        context.strokeStyle = color;
+        context.lineWidth = 2;
+        context.beginPath();
+        context.arc(anchor[0] * image.width * fit, anchor[1] * image.height * fit, 6, 0, Math.PI * 2);
+        context.stroke();
+    };
+    drawAnchor(center, '#ffe680'); // As the galactic centre ring
+    drawAnchor(sun, '#00ff00'); // As the Sun marker
 
-        const rows = data.trim().split('\n').slice(1);
-        if (rows.length === 0) throw new Error("No data rows found in CSV file.");
+    document.getElementById('overlay-sun-x').value = Math.round(sun[0] * image.width);
+    document.getElementById('overlay-sun-y').value = Math.round(sun[1] * image.height);
+    document.getElementById('overlay-center-x').value = Math.round(center[0] * image.width);
+    document.getElementById('overlay-center-y').value = Math.round(center[1] * image.height);
+    const { pcPerPixel } = overlayState.placement;
+    document.getElementById('overlay-scale').innerText =
+        `${image.width} × ${image.height} px, ${pcPerPixel.toFixed(1)} pc per pixel, ${(image.width * pcPerPixel / 1000).toFixed(1)} kpc across`;
+}
 
-        const allStars = [];
-        rows.forEach((row) => {
-            if (row.length < 10) return;
-            const values = row.split(',');
-            if (values.length < 5) return;
+function getSpiralArmRotation(time) {
+    // How far the Sun has gone round since it sat at SUN_START_ANGLE
+    return rotationState.sunInitialAngle + rotationState.sunAngularVelocity * time - SUN_START_ANGLE;
+}
 
-            const [ra, dec, parallax, g_mag, bp_rp] = values.map(parseFloat);
+function getSpiralArmPoint(arm, azimuth, offset, target) {
+    const radius = getSpiralArmRadius(arm, azimuth) + offset / Math.cos(arm.pitch * (Math.PI / 180));
+    const beta = azimuth * (Math.PI / 180);
+    return target.set(-radius * Math.cos(beta), 0, -radius * Math.sin(beta));
+}
 
-            if (isNaN(parallax) || parallax <= 0 || isNaN(g_mag) || isNaN(bp_rp) || isNaN(ra) || isNaN(dec)) {
-                return;
+/**
+ * Rebuilds the spiral arm meshes from spiralState.
+ * @returns {void}
+ */
+function buildSpiralArms() {
+    if (spiralState.group) {
+        scene.remove(spiralState.group);
+        for (const object of spiralState.group.children) {
+            object.geometry.dispose();
+            object.material.dispose();
+        }
+    }
+    const group = new THREE.Group();
+    const point = new THREE.Vector3();
+    for (const arm of spiralState.arms) {
+        if (arm.hidden || !(arm.to > arm.from)) continue;
+        const steps = Math.ceil((arm.to - arm.from) / SPIRAL_SAMPLE_DEGREES);
+        const geometry = new THREE.BufferGeometry();
+        if (spiralState.style === 'bands') {
+            // A strip of quads between the arm's two edges
+            const positions = new Float32Array((steps + 1) * 6);
+            const indices = [];
+            for (let k = 0; k <= steps; k++) {
+                const azimuth = arm.from + ((arm.to - arm.from) * k) / steps;
+                getSpiralArmPoint(arm, azimuth, -arm.width / 2, point).toArray(positions, k * 6);
+                getSpiralArmPoint(arm, azimuth, arm.width / 2, point).toArray(positions, k * 6 + 3);
+                if (k > 0) indices.push(2 * k - 2, 2 * k - 1, 2 * k, 2 * k - 1, 2 * k + 1, 2 * k);
+            }
+            geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+            geometry.setIndex(indices);
+            group.add(new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+                color: arm.color,
+                transparent: true,
+                opacity: SPIRAL_BAND_OPACITY,
+                side: THREE.DoubleSide,
+                blending: THREE.AdditiveBlending,
+                depthWrite: false,
+            })));
+        } else {
+            const positions = new Float32Array((steps + 1) * 3);
+            for (let k = 0; k <= steps; k++) {
+                getSpiralArmPoint(arm, arm.from + ((arm.to - arm.from) * k) / steps, 0, point).toArray(positions, k * 3);
             }
+            geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+            group.add(new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: arm.color, transparent: true, opacity: 0.8, depthWrite: false })));
+        }
+    }
+    group.visible = spiralState.visible && !skyState.active;
+    group.rotation.y = -getSpiralArmRotation(animationState.simulationTime);
+    scene.add(group);
+    spiralState.group = group;
+}
 
-            const distance = 1 / (parallax / 1000);
-            const raRad = ra * (Math.PI / 180);
-            const decRad = dec * (Math.PI / 180);
-
-            const x_eq = distance * Math.cos(decRad) * Math.cos(raRad);
-            const y_eq = distance * Math.cos(decRad) * Math.sin(raRad);
-            const z_eq = distance * Math.sin(decRad);
-
-            const gal_coords = equatorialToGalactic(x_eq, y_eq, z_eq);
-
-            const absolute_x = gal_coords.x + SUN_POSITION.x;
-            const absolute_y = gal_coords.y + SUN_POSITION.y;
-            const absolute_z = gal_coords.z + SUN_POSITION.z;
-
-            // Calculate Absolute Magnitude (M)
-            // M = m - 5 * (log10(d) - 1)
-            const absMag = g_mag - 5 * (Math.log10(distance) - 1);
-
-            allStars.push({
-                x: absolute_x,
-                y: absolute_y,
-                z: absolute_z,
-                color: getStarColorFromBpRp(bp_rp),
-                absMag: absMag, // Store absolute magnitude instead of derived size
-                g_mag: g_mag,
-                radius: Math.sqrt(absolute_x ** 2 + absolute_z ** 2),
-                initialAngle: Math.atan2(absolute_z, absolute_x),
-                angularVelocity: GALAXY_ANGULAR_VELOCITY,
-            });
-        });
+function updateSpiralArms() {
+    if (spiralState.group) spiralState.group.rotation.y = -getSpiralArmRotation(animationState.simulationTime);
+}
+
+function loadSpiralArmSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SPIRAL_STORAGE_KEY));
+        if (!stored) return;
+        spiralState.visible = stored.visible === true;
+        if (stored.style === 'lines' || stored.style === 'bands') spiralState.style = stored.style;
+        for (const saved of Array.isArray(stored.arms) ? stored.arms : []) {
+            const arm = spiralState.arms.find((a) => a.name === saved.name);
+            if (!arm) continue;
+            if (Number.isFinite(saved.pitch)) arm.pitch = saved.pitch;
+            if (Number.isFinite(saved.width) && saved.width > 0) arm.width = saved.width;
+            arm.hidden = saved.hidden === true;
+        }
+    } catch (error) {
+        console.warn('Ignoring unreadable spiral arm settings in localStorage.', error);
+    }
+}
+
+function saveSpiralArmSettings() {
+    try {
+        localStorage.setItem(SPIRAL_STORAGE_KEY, JSON.stringify({
+            visible: spiralState.visible,
+            style: spiralState.style,
+            arms: spiralState.arms.map(({ name, pitch, width, hidden }) => ({ name, pitch, width, hidden })),
+        }));
+    } catch (error) {
+        console.warn('Could not save spiral arm settings to localStorage.', error);
+    }
+}
 
-        if (allStars.length === 0) throw new Error("No valid stars were processed.");
+function onSpiralArmsChanged() {
+    buildSpiralArms();
+    saveSpiralArmSettings();
+    document.getElementById('spiral-compare-status').innerText = '';
+}
 
-        // Sort stars by brightness (lower g_mag is brighter)
-        allStars.sort((a, b) => a.g_mag - b.g_mag);
+function renderSpiralArmList() {
+    const list = document.getElementById('spiral-arm-list');
+    list.innerHTML = '';
+    spiralState.arms.forEach((arm, index) => {
+        const row = document.createElement('div');
+        row.className = 'bookmark-row';
 
-        loaderContainer.style.display = 'none';
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.id = `spiral-arm-${index}`;
+        toggle.style.width = 'auto';
+        toggle.checked = !arm.hidden;
+        toggle.addEventListener('change', () => {
+            arm.hidden = !toggle.checked;
+            onSpiralArmsChanged();
+        });
 
-        // Store all star data. We won't create the Float32Arrays here anymore.
-        // Instead, we'll do it in createStarField and update them in the LOD function.
-        starState.fullStarData = allStars;
+        const label = document.createElement('label');
+        label.htmlFor = toggle.id;
+        label.innerText = arm.name;
+        label.style.color = arm.color;
+        label.style.flex = '1';
 
-        // Initialize the max stars for LOD with the full dataset
-        starState.maxStarsForLOD = starState.fullStarData.length;
+        const number = (value, step, title, apply) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = step;
+            input.value = value;
+            input.title = title;
+            input.style.width = '56px';
+            input.addEventListener('change', () => {
+                const parsed = parseFloat(input.value);
+                if (Number.isFinite(parsed)) apply(parsed);
+                onSpiralArmsChanged();
+                renderSpiralArmList();
+            });
+            return input;
+        };
+        const pitch = number(arm.pitch, 0.1, 'Pitch angle (degrees)', (value) => {
+            arm.pitch = THREE.MathUtils.clamp(value, -45, 45);
+        });
+        const width = number(arm.width, 10, 'Width (pc)', (value) => {
+            if (value > 0) arm.width = value;
+        });
 
-        return true; // Indicate success
+        row.append(toggle, label, pitch, width);
+        list.appendChild(row);
+    });
+}
 
-    } catch (error) {
-        console.error("Failed to load or process star data:", error);
-        loaderText.innerText = `Error: ${error.message}`;
-        return null;
+/**
+ * Counts how many catalog stars near the Sun fall inside the arms shown, against the
+ * share of the same area the arms cover, so the model can be checked against the stars.
+ * @returns {void}
+ */
+function compareSpiralArmsWithStars() {
+    const status = document.getElementById('spiral-compare-status');
+    const catalog = starState.fullStarData;
+    if (!catalog) {
+        status.innerText = 'The star catalog has not loaded yet.';
+        return;
+    }
+    const arms = spiralState.arms.filter((arm) => !arm.hidden);
+    const inArms = (x, z) => arms.some((arm) => getSpiralArmDistance(arm, x, z) <= arm.width / 2);
+    const time = animationState.simulationTime;
+    // Back into the frame the arms were built in
+    const unrotate = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), getSpiralArmRotation(time));
+    const sun = getSunPositionAtTime(time, new THREE.Vector3()).applyQuaternion(unrotate);
+    const radius = SPIRAL_COMPARE_RADIUS_PC;
+
+    const position = new THREE.Vector3();
+    let nearby = 0;
+    let inside = 0;
+    for (let i = 0; i < catalog.count; i++) {
+        getStarPositionAtTime(i, time, position).applyQuaternion(unrotate);
+        if ((position.x - sun.x) ** 2 + (position.z - sun.z) ** 2 > radius * radius) continue;
+        nearby++;
+        if (inArms(position.x, position.z)) inside++;
     }
+
+    let samples = 0;
+    let covered = 0;
+    for (let i = 0; i < SPIRAL_COMPARE_GRID; i++) {
+        for (let j = 0; j < SPIRAL_COMPARE_GRID; j++) {
+            const dx = (((i + 0.5) / SPIRAL_COMPARE_GRID) * 2 - 1) * radius;
+            const dz = (((j + 0.5) / SPIRAL_COMPARE_GRID) * 2 - 1) * radius;
+            if (dx * dx + dz * dz > radius * radius) continue;
+            samples++;
+            if (inArms(sun.x + dx, sun.z + dz)) covered++;
+        }
+    }
+
+    const percent = (share) => `${(share * 100).toFixed(1)}%`;
+    status.innerText = nearby === 0
+        ? `No stars lie within ${radius / 1000} kpc of the Sun.`
+        : `Within ${radius / 1000} kpc of the Sun, ${percent(inside / nearby)} of ${nearby.toLocaleString()} stars lie in the arms shown, which cover ${percent(covered / samples)} of that area.`;
 }
 
-// --- Create the Star Field Object ---
 /**
- * Creates the THREE.Points object for the stars and pre-populates its buffers.
+ * Loads the saved calibration and arm settings and wires up the overlay popup.
  * @returns {void}
  */
-function createStarField() {
-    if (!starState.fullStarData) return;
+function setupOverlay() {
+    overlayState.calibration = structuredClone(DEFAULT_OVERLAY_CALIBRATION);
+    loadOverlayCalibration();
+    loadSpiralArmSettings();
 
-    const maxStars = starState.fullStarData.length;
-    const geometry = new THREE.BufferGeometry();
+    const canvas = document.getElementById('overlay-preview');
+    canvas.width = OVERLAY_PREVIEW_SIZE_PX;
+    canvas.height = OVERLAY_PREVIEW_SIZE_PX;
+    canvas.addEventListener('click', (event) => {
+        const texture = overlayState.texture;
+        if (!texture) return;
+        const bounds = canvas.getBoundingClientRect();
+        const x = ((event.clientX - bounds.left) / bounds.width) * canvas.width;
+        const y = ((event.clientY - bounds.top) / bounds.height) * canvas.height;
+        const anchor = document.querySelector('input[name="overlay-anchor"]:checked').value;
+        const fit = overlayState.previewScale;
+        setOverlayAnchor(anchor, x / (texture.image.width * fit), y / (texture.image.height * fit));
+    });
 
-    // Buffers are populated once and used many times. StaticDrawUsage is the correct hint.
-    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(maxStars * 3), 3).setUsage(THREE.StaticDrawUsage));
-    geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(maxStars * 3), 3).setUsage(THREE.StaticDrawUsage));
-    // Replaced 'size' with 'absMag'
-    geometry.setAttribute('absMag', new THREE.BufferAttribute(new Float32Array(maxStars), 1).setUsage(THREE.StaticDrawUsage));
+    for (const anchor of ['sun', 'center']) {
+        for (const axis of ['x', 'y']) {
+            document.getElementById(`overlay-${anchor}-${axis}`).addEventListener('change', () => {
+                const image = overlayState.texture && overlayState.texture.image;
+                if (!image) return;
+                const u = parseFloat(document.getElementById(`overlay-${anchor}-x`).value) / image.width;
+                const v = parseFloat(document.getElementById(`overlay-${anchor}-y`).value) / image.height;
+                if (Number.isFinite(u) && Number.isFinite(v)) setOverlayAnchor(anchor, u, v);
+            });
+        }
+    }
 
-    // --- OPTIMIZATION: Add attributes for GPU animation ---
-    geometry.setAttribute('radius', new THREE.BufferAttribute(new Float32Array(maxStars), 1).setUsage(THREE.StaticDrawUsage));
-    geometry.setAttribute('initialAngle', new THREE.BufferAttribute(new Float32Array(maxStars), 1).setUsage(THREE.StaticDrawUsage));
-    geometry.setAttribute('angularVelocity', new THREE.BufferAttribute(new Float32Array(maxStars), 1).setUsage(THREE.StaticDrawUsage));
+    document.getElementById('overlay-url-load').addEventListener('click', () => {
+        const url = document.getElementById('overlay-url').value.trim();
+        if (url) loadOverlayImage(url);
+    });
+    document.getElementById('overlay-file').addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        if (file) loadOverlayImage(URL.createObjectURL(file), true);
+        event.target.value = '';
+    });
+    document.getElementById('overlay-reset').addEventListener('click', () => {
+        overlayState.calibration = structuredClone(DEFAULT_OVERLAY_CALIBRATION);
+        loadOverlayImage(overlayState.calibration.url);
+    });
 
-    const material = new THREE.ShaderMaterial({
-        // --- OPTIMIZATION: Add uniforms for time and speed ---
-        uniforms: {
-            u_time: { value: 0.0 },
-            u_time_scale: { value: 1.0 }, // Set to 1.0 because we pre-multiply execution time in CPU
-            u_solar_radius_pc: { value: 2.25461e-8 }, // 1 Solar Radius in parsecs
-            u_size_scale: { value: 1.0 }, // Multiplier for size
-            u_viewport_height: { value: window.innerHeight }, // For perspective calc
-            u_brightness_scale: { value: 120000.0 } // Scale factor for visibility
-        },
-        blending: THREE.NormalBlending, depthWrite: false, vertexColors: true,
-        // --- OPTIMIZATION: Updated vertex shader for GPU animation ---
-        vertexShader: `
+    const visibleCheckbox = document.getElementById('spiral-visible');
+    visibleCheckbox.checked = spiralState.visible;
+    visibleCheckbox.addEventListener('change', () => {
+        spiralState.visible = visibleCheckbox.checked;
+        onSpiralArmsChanged();
+    });
+    const styleSelect = document.getElementById('spiral-style');
+    styleSelect.value = spiralState.style;
+    styleSelect.addEventListener('change', () => {
+        spiralState.style = styleSelect.value;
+        onSpiralArmsChanged();
+    });
+    document.getElementById('spiral-reset').addEventListener('click', () => {
+        spiralState.arms = SPIRAL_ARMS.map((arm) => ({ ...arm, hidden: false }));
+        onSpiralArmsChanged();
+        renderSpiralArmList();
+    });
+    document.getElementById('spiral-compare').addEventListener('click', compareSpiralArmsWithStars);
+
+    document.getElementById('overlay-url').value = overlayState.calibration.url;
+    renderSpiralArmList();
+    buildSpiralArms();
+}
+
+// --- Galactic Rotation Curve ---
+// Each star orbits at the circular velocity v(R) of its galactocentric radius, so
+// its angular velocity is v(R) / R and the inner disk overtakes the outer disk.
+const GRAVITATIONAL_CONSTANT = 4.30091e-3; // pc (km/s)^2 / solar mass
+const FLAT_CURVE_VELOCITY = 220; // km/s
+const FLAT_CURVE_CORE_RADIUS = 500; // pc, solid-body core so the centre does not spin infinitely fast
+const BULGE_MASS = 1.5e10; // solar masses
+const BULGE_SCALE_RADIUS = 500; // pc
+const CENTRAL_MASS = 9.5e10; // solar masses, everything else treated as a softened point mass
+const CENTRAL_SCALE_RADIUS = 3000; // pc
+const WINDING_FADE_START = 10 * (Math.PI / 180); // Shear at which the image overlay starts fading
+const WINDING_FADE_END = 45 * (Math.PI / 180); // Shear at which it has faded out completely
+
+const ROTATION_CURVES = {
+    flat: {
+        velocity: (r) => FLAT_CURVE_VELOCITY * r / Math.sqrt(r * r + FLAT_CURVE_CORE_RADIUS ** 2),
+    },
+    keplerian: {
+        // Two Plummer spheres: a compact bulge and a wide central mass that falls off as 1/sqrt(R)
+        velocity: (r) => {
+            const plummer = (mass, a) => mass * r * r / Math.pow(r * r + a * a, 1.5);
+            return Math.sqrt(GRAVITATIONAL_CONSTANT * (plummer(BULGE_MASS, BULGE_SCALE_RADIUS) + plummer(CENTRAL_MASS, CENTRAL_SCALE_RADIUS)));
+        },
+    },
+    custom: {
+        velocity: (r) => interpolateRotationTable(rotationState.customTable, r),
+    },
+};
+
+/**
+ * Interpolates a user-supplied rotation curve. Inside the first point the disk
+ * turns as a solid body; beyond the last point the curve stays flat.
+ * @param {number[][]} table - [[radius_pc, velocity_kms], ...] sorted by radius.
+ * @param {number} r - Galactocentric radius in pc.
+ * @returns {number} Circular velocity in km/s.
+ */
+function interpolateRotationTable(table, r) {
+    if (!table || table.length === 0) return ROTATION_CURVES.flat.velocity(r);
+    if (r <= table[0][0]) return table[0][1] * (r / table[0][0]);
+    for (let i = 0; i < table.length - 1; i++) {
+        const [r0, v0] = table[i];
+        const [r1, v1] = table[i + 1];
+        if (r <= r1) return v0 + (v1 - v0) * ((r - r0) / (r1 - r0));
+    }
+    return table[table.length - 1][1];
+}
+
+/**
+ * Parses a rotation curve table with one "radius_kpc, velocity_kms" pair per line.
+ * Blank lines and lines starting with # are ignored.
+ * @param {string} text
+ * @returns {number[][]} [[radius_pc, velocity_kms], ...] sorted by radius.
+ */
+function parseRotationTable(text) {
+    const table = [];
+    text.split('\n').forEach((line, i) => {
+        const trimmed = line.trim();
+        if (trimmed === '' || trimmed.startsWith('#')) return;
+        const [radius, velocity] = trimmed.split(/[\s,;]+/).map(parseFloat);
+        if (!(radius > 0) || !(velocity >= 0)) {
+            throw new Error(`Line ${i + 1}: expected "radius_kpc, velocity_kms".`);
+        }
+        table.push([radius * 1000, velocity]);
+    });
+    if (table.length < 2) throw new Error('The table needs at least two points.');
+    return table.sort((a, b) => a[0] - b[0]);
+}
+
+/**
+ * Angular velocity in radians per year at a galactocentric radius, from the selected curve.
+ * The galaxy turns clockwise seen from the north galactic pole (+y), carrying the Sun
+ * toward l = 90° (-z), which increases the angle atan2(z, x).
+ * @param {number} radius - Distance from the rotation axis in pc.
+ * @returns {number}
+ */
+function getAngularVelocity(radius) {
+    const r = Math.max(radius, 1); // Avoid 0/0 on the axis itself
+    return ROTATION_CURVES[rotationState.curve].velocity(r) * KM_S_TO_PC_PER_YEAR / r;
+}
+
+/**
+ * How visible the image overlay should be, given how far differential rotation
+ * has sheared the disk. The picture is rigid, so once the inner and outer disk
+ * have drifted apart it no longer matches the stars and fades away.
+ * @param {number} time - Simulation time in years.
+ * @returns {number} Factor between 0 and 1.
+ */
+function getOverlayWindingFade(time) {
+    const shear = Math.abs((getAngularVelocity(4000) - getAngularVelocity(12000)) * time);
+    const t = Math.min(Math.max((shear - WINDING_FADE_START) / (WINDING_FADE_END - WINDING_FADE_START), 0), 1);
+    return 1 - t * t * (3 - 2 * t);
+}
+
+/**
+ * Switches to a rotation curve and recomputes every star's angular velocity.
+ * Starting angles are rebased so nothing jumps at the current simulation time.
+ * @param {string} curve - Key of ROTATION_CURVES.
+ * @returns {void}
+ */
+function setRotationCurve(curve) {
+    const time = animationState.simulationTime;
+    rotationState.curve = curve;
+
+    const newSunVelocity = getAngularVelocity(sunRadius);
+    rotationState.sunInitialAngle += (rotationState.sunAngularVelocity - newSunVelocity) * time;
+    rotationState.sunAngularVelocity = newSunVelocity;
+
+    refreshLayerRotation(time);
+    refreshLandmarkRotation(time);
+    refreshMeasureRotation(time);
+    const catalog = starState.fullStarData;
+    if (!catalog) return;
+    for (let i = 0; i < catalog.count; i++) {
+        const newVelocity = getAngularVelocity(catalog.radius[i]);
+        catalog.initialAngle[i] += (catalog.angularVelocity[i] - newVelocity) * time;
+        catalog.angularVelocity[i] = newVelocity;
+    }
+    if (starState.starPoints) {
+        starState.starPoints.geometry.attributes.initialAngle.needsUpdate = true;
+        starState.starPoints.geometry.attributes.angularVelocity.needsUpdate = true;
+    }
+    if (lodState.root) refreshStarOctreeBounds();
+}
+
+function updateRotationCurveInfo() {
+    const velocity = ROTATION_CURVES[rotationState.curve].velocity(sunRadius);
+    const periodMyr = (2 * Math.PI / rotationState.sunAngularVelocity) / 1e6;
+    document.getElementById('rotation-curve-info').innerText = `Sun: ${velocity.toFixed(0)} km/s, orbit ${periodMyr.toFixed(0)} Myr`;
+}
+
+/**
+ * Sets up the rotation curve selector and the custom table editor.
+ * @returns {void}
+ */
+function setupRotationCurveControls() {
+    const curveSelect = document.getElementById('rotation-curve-select');
+    const customContainer = document.getElementById('rotation-curve-custom');
+    const tableInput = document.getElementById('rotation-curve-table');
+    const applyButton = document.getElementById('rotation-curve-apply');
+    const errorText = document.getElementById('rotation-curve-error');
+
+    rotationState.sunAngularVelocity = getAngularVelocity(sunRadius);
+    updateRotationCurveInfo();
+
+    curveSelect.addEventListener('change', (event) => {
+        const curve = event.target.value;
+        customContainer.style.display = curve === 'custom' ? 'block' : 'none';
+        // A custom curve only takes effect once a valid table has been applied
+        if (curve === 'custom' && !rotationState.customTable) return;
+        setRotationCurve(curve);
+        updateRotationCurveInfo();
+    });
+
+    applyButton.addEventListener('click', () => {
+        try {
+            rotationState.customTable = parseRotationTable(tableInput.value);
+            errorText.innerText = '';
+            setRotationCurve('custom');
+            updateRotationCurveInfo();
+        } catch (error) {
+            errorText.innerText = error.message;
+        }
+    });
+}
+
+// --- Data Loading and Processing ---
+// Parsing runs in starWorker.js so the page stays responsive while millions of rows
+// stream in. STAR_DATA_URL may point at a CSV or at a packed .bin catalogue made by
+// tools/csv-to-stars.mjs; the worker tells them apart from the file's first bytes.
+function formatLoadProgress(progress) {
+    const mb = (bytes) => (bytes / 1e6).toFixed(1);
+    const stars = progress.stars.toLocaleString();
+    switch (progress.phase) {
+        case 'download':
+            if (progress.total > 0 && progress.loaded <= progress.total) {
+                const percent = Math.floor((progress.loaded / progress.total) * 100);
+                return `Loading Star Data... ${percent}% (${stars} stars)`;
+            }
+            return `Loading Star Data... ${mb(progress.loaded)} MB (${stars} stars)`;
+        case 'decode':
+            return `Unpacking Star Data... ${mb(progress.loaded)} MB`;
+        case 'cache':
+            return `Loading Cached Star Data... ${stars} stars`;
+        case 'store':
+            return `Caching Star Data... ${stars} stars`;
+        default:
+            return `Processing Star Data... ${stars} stars`;
+    }
+}
+
+function loadStarData() {
+    return new Promise((resolve) => {
+        const worker = new Worker(new URL('./starWorker.js', import.meta.url), { type: 'module' });
+
+        const fail = (message) => {
+            console.error("Failed to load or process star data:", message);
+            loaderText.innerText = `Error: ${message}`;
+            worker.terminate();
+            resolve(null);
+        };
+
+        worker.addEventListener('message', (event) => {
+            const message = event.data;
+            if (message.type === 'progress') {
+                loaderText.innerText = formatLoadProgress(message);
+            } else if (message.type === 'error') {
+                fail(message.message);
+            } else if (message.type === 'done') {
+                worker.terminate();
+                const catalog = message.catalog;
+
+                // Angular velocity depends on radius through the selected rotation curve
+                catalog.angularVelocity = new Float32Array(catalog.count);
+                for (let i = 0; i < catalog.count; i++) {
+                    catalog.angularVelocity[i] = getAngularVelocity(catalog.radius[i]);
+                }
+
+                loaderContainer.style.display = 'none';
+
+                // Columns go straight into the star field's buffer attributes
+                starState.fullStarData = catalog;
+
+                // Initialize the LOD budget from the density slider
+                const densityPercentage = parseFloat(document.getElementById('density-slider').value) / 100;
+                starState.maxStarsForLOD = Math.max(Math.floor(catalog.count * densityPercentage), 1);
+
+                resolve(true); // Indicate success
+            }
+        });
+
+        worker.addEventListener('error', (event) => fail(event.message || 'Star loader worker failed.'));
+        worker.postMessage({
+            type: 'load',
+            url: new URL(starState.dataUrl, document.baseURI).href,
+            distance: { estimator: distanceState.estimator, snrCut: distanceState.snrCut },
+        });
+    });
+}
+
+// --- Distance Estimation & Data Quality ---
+// The estimator (see starCatalog.js) is applied while the catalogue loads, since it
+// decides which stars exist at all, so changing it reloads the catalogue. The choice
+// is remembered in localStorage. The data quality popup reports what was dropped.
+
+const DISTANCE_STORAGE_KEY = 'galaxymap.distanceEstimator';
+const DISTANCE_ESTIMATOR_LABELS = {
+    naive: '1 / parallax',
+    snr: 'Parallax S/N cut',
+    edsd: 'Exponentially decreasing space density prior',
+};
+
+// Where the loader worker got the catalogue (catalog.stats.source)
+const CATALOG_SOURCE_LABELS = {
+    network: 'Download',
+    cache: 'Browser cache (unchanged)',
+    offline: 'Browser cache (offline)',
+};
+
+const distanceState = {
+    estimator: 'naive',
+    snrCut: DEFAULT_SNR_CUT,
+};
+
+function loadDistanceSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(DISTANCE_STORAGE_KEY));
+        if (stored && DISTANCE_ESTIMATORS.includes(stored.estimator)) distanceState.estimator = stored.estimator;
+        if (stored && Number.isFinite(stored.snrCut) && stored.snrCut > 0) distanceState.snrCut = stored.snrCut;
+    } catch (error) {
+        console.warn('Ignoring unreadable distance settings in localStorage.', error);
+    }
+}
+
+/**
+ * Fills the data quality popup from the loaded catalogue's statistics.
+ * @returns {void}
+ */
+function renderDataQuality() {
+    const body = document.getElementById('data-quality-stats');
+    body.innerHTML = '';
+    const catalog = starState.fullStarData;
+    if (!catalog) {
+        body.innerText = 'No catalog loaded.';
+        return;
+    }
+    const stats = catalog.stats;
+    const number = (value) => value.toLocaleString();
+    let estimator = DISTANCE_ESTIMATOR_LABELS[stats.estimator];
+    if (stats.estimator === 'snr') estimator += ` (S/N >= ${distanceState.snrCut})`;
+    if (stats.estimatorFallback) estimator += ' (no parallax_error column)';
+
+    const rows = [
+        ['Rows read', number(stats.rows)],
+        ['Unreadable rows skipped', number(stats.skipped)],
+        ['Zero or negative parallax', number(stats.nonPositiveParallax)],
+        ['No parallax error', number(stats.missingError)],
+        [`Low quality (S/N < ${LOW_QUALITY_SNR} or unknown)`, number(stats.lowQuality)],
+        ['Below the S/N cut', number(stats.lowSnr)],
+        ['Dropped (no usable distance)', number(stats.dropped)],
+        ['Stars in the map', number(catalog.count)],
+        ['With proper motions', number(stats.withMotion)],
+        ['With Gaia extinction', number(stats.measuredDust)],
+        ['Distance estimator', estimator],
+        ['Loaded from', CATALOG_SOURCE_LABELS[stats.source] || CATALOG_SOURCE_LABELS.network],
+    ];
+    rows.forEach(([label, value]) => {
+        const row = document.createElement('div');
+        row.className = 'star-info-row';
+        const labelEl = document.createElement('span');
+        labelEl.className = 'star-info-label';
+        labelEl.innerText = label;
+        const valueEl = document.createElement('span');
+        valueEl.innerText = value;
+        row.append(labelEl, valueEl);
+        body.appendChild(row);
+    });
+}
+
+/**
+ * Throws away the current star field and loads the catalogue again with the
+ * current distance settings.
+ * @returns {Promise<void>}
+ */
+async function reloadStarCatalog() {
+    selectStar(-1);
+    clearSelection();
+    clearMeasurement(); // Star indices change with the estimator
+    if (starState.starPoints) {
+        scene.remove(starState.starPoints);
+        starState.starPoints.geometry.dispose();
+        starState.starMaterial.dispose();
+        starState.starPoints = null;
+        starState.starMaterial = null;
+    }
+    starState.fullStarData = null;
+    lodState.root = null;
+    loaderContainer.style.display = 'block';
+    await loadStarCatalog();
+}
+
+/**
+ * Loads the catalogue and builds everything that depends on it.
+ * @returns {Promise<void>}
+ */
+async function loadStarCatalog() {
+    const success = await loadStarData();
+    if (success) {
+        createStarField();
+        initColorModes();
+        buildHrDiagram();
+    }
+    updateRegionSummary();
+    renderDataQuality();
+    renderLayers();
+    if (success) emitMapEvent('loaded', { count: starState.fullStarData.count, url: starState.dataUrl });
+}
+
+/**
+ * Wires up the estimator controls in the data quality popup.
+ * @returns {void}
+ */
+function setupDataQuality() {
+    loadDistanceSettings();
+    const estimatorSelect = document.getElementById('distance-estimator-select');
+    const snrInput = document.getElementById('distance-snr-cut');
+    const applyButton = document.getElementById('distance-apply');
+    estimatorSelect.value = distanceState.estimator;
+    snrInput.value = distanceState.snrCut;
+
+    const updateSnrInput = () => {
+        snrInput.disabled = estimatorSelect.value !== 'snr';
+    };
+    estimatorSelect.addEventListener('change', updateSnrInput);
+    updateSnrInput();
+
+    applyButton.addEventListener('click', async () => {
+        const snrCut = parseFloat(snrInput.value);
+        distanceState.estimator = estimatorSelect.value;
+        if (Number.isFinite(snrCut) && snrCut > 0) distanceState.snrCut = snrCut;
+        snrInput.value = distanceState.snrCut;
+        try {
+            localStorage.setItem(DISTANCE_STORAGE_KEY, JSON.stringify(distanceState));
+        } catch (error) {
+            console.warn('Could not save distance settings to localStorage.', error);
+        }
+        applyButton.disabled = true;
+        await reloadStarCatalog();
+        applyButton.disabled = false;
+    });
+}
+
+// --- Create the Star Field Object ---
+/**
+ * Creates the THREE.Points object for the stars and pre-populates its buffers.
+ * @returns {void}
+ */
+function createStarField() {
+    if (!starState.fullStarData) return;
+
+    const catalog = starState.fullStarData;
+    const geometry = new THREE.BufferGeometry();
+
+    // The catalogue columns are already laid out as GPU buffers, so they are used directly.
+    // Buffers are populated once and used many times. StaticDrawUsage is the correct hint.
+    // Only the Y of 'position' is read by the shader; X and Z are calculated on the GPU.
+    geometry.setAttribute('position', new THREE.BufferAttribute(catalog.position, 3).setUsage(THREE.StaticDrawUsage));
+    // Colours are a working copy so the colour modes can rewrite them (see applyColorMode)
+    colorState.colors = new Float32Array(catalog.color);
+    geometry.setAttribute('color', new THREE.BufferAttribute(colorState.colors, 3).setUsage(THREE.DynamicDrawUsage));
+    // Magnitudes are working copies too, swapped for dereddened ones by setDereddened
+    dustState.intrinsic = null;
+    starState.photometry = getPhotometry();
+    // Replaced 'size' with 'absMag'
+    geometry.setAttribute('absMag', new THREE.BufferAttribute(new Float32Array(starState.photometry.absMag), 1).setUsage(THREE.DynamicDrawUsage));
+
+    // --- OPTIMIZATION: Add attributes for GPU animation ---
+    geometry.setAttribute('radius', new THREE.BufferAttribute(catalog.radius, 1).setUsage(THREE.StaticDrawUsage));
+    geometry.setAttribute('initialAngle', new THREE.BufferAttribute(catalog.initialAngle, 1).setUsage(THREE.StaticDrawUsage));
+    geometry.setAttribute('angularVelocity', new THREE.BufferAttribute(catalog.angularVelocity, 1).setUsage(THREE.StaticDrawUsage));
+    // Space velocity in pc/yr; zero for stars without Gaia proper motions
+    geometry.setAttribute('velocity', new THREE.BufferAttribute(catalog.velocity, 3).setUsage(THREE.StaticDrawUsage));
+    // Apparent magnitude, used for brightness in the view from Earth
+    geometry.setAttribute('gMag', new THREE.BufferAttribute(new Float32Array(starState.photometry.gMag), 1).setUsage(THREE.DynamicDrawUsage));
+    // Quantities the range filters test (see applyStarFilters)
+    geometry.setAttribute('sunDistance', new THREE.BufferAttribute(catalog.distance, 1).setUsage(THREE.StaticDrawUsage));
+    colorState.parallaxSnr = computeParallaxSnr(catalog);
+    geometry.setAttribute('parallaxSnr', new THREE.BufferAttribute(colorState.parallaxSnr, 1).setUsage(THREE.StaticDrawUsage));
+    // 1 for stars in the current selection (HR diagram brush or screen region)
+    selectionState.mask = new Uint8Array(catalog.count);
+    geometry.setAttribute('selected', new THREE.BufferAttribute(selectionState.mask, 1, true).setUsage(THREE.DynamicDrawUsage));
+
+    const material = new THREE.ShaderMaterial({
+        // --- OPTIMIZATION: Add uniforms for time and speed ---
+        uniforms: {
+            u_time: { value: 0.0 },
+            u_time_scale: { value: 1.0 }, // Set to 1.0 because we pre-multiply execution time in CPU
+            u_motion_time: { value: 0.0 }, // Years of linear stellar motion to apply (0 when disabled)
+            u_solar_radius_pc: { value: 2.25461e-8 }, // 1 Solar Radius in parsecs
+            u_size_scale: { value: getSizeScale() }, // Multiplier for size
+            u_viewport_height: { value: viewportState.height }, // For perspective calc
+            u_pixel_scale: { value: 1.0 }, // Device pixels per screen pixel; larger for high-resolution exports
+            u_brightness_scale: { value: 120000.0 }, // Light from an M = 0 star at 1 pc; exposure is applied after (see HDR Rendering)
+            u_sky_mode: { value: skyState.active ? 1.0 : 0.0 }, // 1.0 in the view from Earth: brightness from apparent magnitude
+            u_sky_mag_limit: { value: skyState.magLimit }, // Faintest fully-visible magnitude in sky mode
+            u_selection_mode: { value: SELECTION_MODES.none }, // How unselected stars are drawn
+            // Range filters as (min, max); stars outside any of them are not drawn
+            u_filter_distance: { value: new THREE.Vector2(-FILTER_NO_LIMIT, FILTER_NO_LIMIT) },
+            u_filter_abs_mag: { value: new THREE.Vector2(-FILTER_NO_LIMIT, FILTER_NO_LIMIT) },
+            u_filter_height: { value: new THREE.Vector2(-FILTER_NO_LIMIT, FILTER_NO_LIMIT) },
+            u_filter_snr: { value: new THREE.Vector2(-FILTER_NO_LIMIT, FILTER_NO_LIMIT) },
+            // Without float render targets stars are drawn straight to the screen, each
+            // exposed and tone mapped on its own (see renderView); 0 in the HDR target
+            u_direct_exposure: { value: 0 },
+            u_tone_mapping: { value: TONE_MAPPINGS.linear },
+        },
+        // Light adds up in the HDR target, whatever order the stars are drawn in
+        blending: THREE.AdditiveBlending, depthTest: false, depthWrite: false, vertexColors: true,
+        // --- OPTIMIZATION: Updated vertex shader for GPU animation ---
+        vertexShader: `
             attribute float absMag;
             attribute float radius;
             attribute float initialAngle;
             attribute float angularVelocity;
+            attribute vec3 velocity;
+            attribute float gMag;
+            attribute float selected;
+            attribute float sunDistance;
+            attribute float parallaxSnr;
             uniform float u_time;
             uniform float u_time_scale;
+            uniform float u_motion_time;
             uniform float u_solar_radius_pc;
             uniform float u_size_scale;
             uniform float u_viewport_height;
+            uniform float u_pixel_scale;
             uniform float u_brightness_scale;
+            uniform float u_sky_mode;
+            uniform float u_sky_mag_limit;
+            uniform float u_selection_mode;
+            uniform vec2 u_filter_distance;
+            uniform vec2 u_filter_abs_mag;
+            uniform vec2 u_filter_height;
+            uniform vec2 u_filter_snr;
             varying vec3 vColor;
-            varying float vAlpha;
+            varying float vIntensity;
             void main() {
                 vColor = color;
-                float newAngle = initialAngle + angularVelocity * u_time_scale * u_time;
-                vec3 newPosition = vec3(radius * cos(newAngle), position.y, radius * sin(newAngle));
+                // Drift along the star's own velocity, then carry it round with the disk
+                vec3 startPosition = vec3(radius * cos(initialAngle), position.y, radius * sin(initialAngle));
+                startPosition += velocity * u_motion_time;
+                float rotation = angularVelocity * u_time_scale * u_time;
+                float c = cos(rotation);
+                float s = sin(rotation);
+                vec3 newPosition = vec3(startPosition.x * c - startPosition.z * s, startPosition.y, startPosition.x * s + startPosition.z * c);
                 vec4 mvPosition = modelViewMatrix * vec4(newPosition, 1.0);
                 
                 // Inverse Square Law Brightness
@@ -547,8 +1649,7 @@ function createStarField() {
                 float dist = length(mvPosition.xyz);
                 // Prevent division by zero or extreme brightness at close range
                 dist = max(dist, 0.000001); 
-                float brightness = (luminosity * u_brightness_scale) / (dist * dist);
-                vAlpha = clamp(brightness, 0.0, 1.0);
+                vIntensity = (luminosity * u_brightness_scale) / (dist * dist);
 
                 // Perspective Scaling
                 // Size = PhysicalDiameter * (ViewportHeight / -ViewZ)
@@ -560,13 +1661,42 @@ function createStarField() {
                 float perspectiveSize = physicalDiameter * (u_viewport_height / -mvPosition.z);
                 
                 // Clamp to minimum 1.0px as requested, so they never disappear
-                gl_PointSize = max(perspectiveSize, 1.0);
+                gl_PointSize = max(perspectiveSize, u_pixel_scale);
+
+                // View from Earth: stars look as they do in the night sky, by apparent magnitude
+                if (u_sky_mode > 0.5) {
+                    float relative = u_sky_mag_limit - gMag;
+                    vIntensity = pow(10.0, 0.4 * relative);
+                    gl_PointSize = clamp(1.0 + ${SKY_POINT_SIZE_PER_MAG.toFixed(2)} * relative, 1.0, ${SKY_MAX_POINT_SIZE.toFixed(1)}) * u_pixel_scale;
+                }
+
+                // Selection: dim (highlight) or hide (isolate) everything not selected
+                if (selected < 0.5) {
+                    if (u_selection_mode > ${(SELECTION_MODES.isolate - 0.5).toFixed(1)}) {
+                        gl_PointSize = 0.0;
+                        vIntensity = 0.0;
+                    } else if (u_selection_mode > ${(SELECTION_MODES.highlight - 0.5).toFixed(1)}) {
+                        vIntensity *= ${SELECTION_DIM_ALPHA.toFixed(2)};
+                    }
+                }
+
+                // Range filters; mirrored by passesStarFilters() for picking
+                if (sunDistance < u_filter_distance.x || sunDistance > u_filter_distance.y ||
+                    absMag < u_filter_abs_mag.x || absMag > u_filter_abs_mag.y ||
+                    position.y < u_filter_height.x || position.y > u_filter_height.y ||
+                    parallaxSnr < u_filter_snr.x || parallaxSnr > u_filter_snr.y) {
+                    gl_PointSize = 0.0;
+                    vIntensity = 0.0;
+                }
                 
                 gl_Position = projectionMatrix * mvPosition;
             }`,
         fragmentShader: `
             varying vec3 vColor;
-            varying float vAlpha;
+            varying float vIntensity;
+            uniform float u_direct_exposure;
+            uniform float u_tone_mapping;
+            ${TONE_MAPPING_GLSL}
             void main() {
                 vec2 uv = gl_PointCoord.xy - 0.5;
                 float dist = length(uv);
@@ -574,128 +1704,5746 @@ function createStarField() {
                 float alphaShape = 1.0 - smoothstep(0.45, 0.5, dist); 
                 if (alphaShape < 0.01) discard;
                 
-                // Combine shape alpha with calculated brightness alpha
-                gl_FragColor = vec4(vColor, alphaShape * vAlpha);
+                // Unclamped light; the shape's edge fades it through the additive blend
+                vec3 light = vColor * vIntensity;
+                if (u_direct_exposure > 0.0) light = toneMap(light * u_direct_exposure, u_tone_mapping);
+                gl_FragColor = vec4(light, alphaShape);
             }`
     });
 
-    starState.starPoints = new THREE.Points(geometry, material);
+    // Draw order comes from the LOD octree: updateStarLOD() picks runs of this index
+    // buffer as geometry groups, which three.js only draws with a material array.
+    buildStarOctree();
+    geometry.setIndex(new THREE.BufferAttribute(lodState.order, 1));
+    starState.starMaterial = material;
+    starState.starPoints = new THREE.Points(geometry, [material]);
+    // Stars move away from their stored positions as the shader rotates them,
+    // so the geometry's bounding sphere cannot be used for culling (the octree does it).
+    starState.starPoints.frustumCulled = false;
+    starState.starPoints.visible = layerState.starsVisible;
+    starState.starPoints.layers.set(STAR_RENDER_LAYER); // Drawn into the HDR target by renderView()
     scene.add(starState.starPoints);
+}
+
+// --- Level of Detail ---
+// Stars are grouped into an octree whose leaves are contiguous runs of the index buffer.
+// The catalogue is sorted brightest first and partitioning keeps that order, so drawing
+// the first k stars of a leaf draws its k brightest. Each frame, leaves outside the
+// frustum are skipped, distant leaves are thinned, and the total is capped by the
+// density slider's budget. Node bounds are widened over time by the spread of angular
+// velocities (and space velocities) inside them, so culling stays correct while the
+// shader moves stars away from where the tree was built.
+
+const LOD_LEAF_SIZE = 4096; // Maximum stars in a leaf before it splits
+const LOD_MAX_DEPTH = 12;
+const LOD_FULL_DETAIL_DISTANCE = 4000; // pc; leaves closer than this are drawn in full
+const LOD_MIN_FRACTION = 0.05; // Share of a leaf kept however far away it is
 
-    // --- Pre-populate buffers with static data ---
-    // This is the key optimization. We copy all static data (color, size)
-    // to the GPU buffers only ONCE at the beginning.
-    const positions = starState.starPoints.geometry.attributes.position.array;
-    const colors = starState.starPoints.geometry.attributes.color.array;
-    const absMags = starState.starPoints.geometry.attributes.absMag.array;
-    // --- OPTIMIZATION: Get attribute arrays for GPU animation ---
-    const radii = starState.starPoints.geometry.attributes.radius.array;
-    const initialAngles = starState.starPoints.geometry.attributes.initialAngle.array;
-    const angularVelocities = starState.starPoints.geometry.attributes.angularVelocity.array;
+const lodState = {
+    root: null,
+    order: null, // Uint32Array of star indices in leaf order; the geometry's index buffer
+    boundsTime: 0, // Simulation time the node bounds were computed at
+    // Scratch reused by updateStarLOD(), which runs every frame
+    frustum: new THREE.Frustum(),
+    projScreenMatrix: new THREE.Matrix4(),
+    sphere: new THREE.Sphere(),
+    leafStarts: [], // Visible leaves in index-buffer order: first star...
+    leafWanted: [], // ...and how many of its stars the distance asks for
+    leafCount: 0,
+    wantedTotal: 0,
+    groupPool: [], // Draw group objects, reused from frame to frame
+    groups: [], // The geometry's groups: the first entries of groupPool
+};
+
+/**
+ * Splits stars into an octree by position, keeping brightness order within each node.
+ * @returns {void}
+ */
+function buildStarOctree() {
+    const catalog = starState.fullStarData;
+    const count = catalog.count;
+    const order = new Uint32Array(count);
+    for (let i = 0; i < count; i++) order[i] = i;
+    const scratch = new Uint32Array(count);
 
-    for (let i = 0; i < starState.fullStarData.length; i++) {
-        const star = starState.fullStarData[i];
-        const i3 = i * 3;
-        // We only need the initial Y position now. X and Z are calculated on the GPU.
-        positions[i3] = 0; // Not used for calculation, but good to initialize
-        positions[i3 + 1] = star.y;
-        positions[i3 + 2] = 0; // Not used for calculation
-        star.color.toArray(colors, i3);
-        absMags[i] = star.absMag;
-        radii[i] = star.radius;
-        initialAngles[i] = star.initialAngle;
-        angularVelocities[i] = star.angularVelocity;
+    const x = new Float32Array(count);
+    const z = new Float32Array(count);
+    let extent = 1;
+    for (let i = 0; i < count; i++) {
+        x[i] = catalog.radius[i] * Math.cos(catalog.initialAngle[i]);
+        z[i] = catalog.radius[i] * Math.sin(catalog.initialAngle[i]);
+        extent = Math.max(extent, Math.abs(x[i]), Math.abs(catalog.position[i * 3 + 1]), Math.abs(z[i]));
     }
+
+    const octantOf = (i, cx, cy, cz) =>
+        (x[i] >= cx ? 1 : 0) | (catalog.position[i * 3 + 1] >= cy ? 2 : 0) | (z[i] >= cz ? 4 : 0);
+
+    const split = (start, end, cx, cy, cz, halfSize, depth) => {
+        const node = { start, count: end - start, children: null };
+        if (node.count <= LOD_LEAF_SIZE || depth >= LOD_MAX_DEPTH) return node;
+
+        // Stable counting sort into octants
+        const offsets = new Uint32Array(9);
+        for (let j = start; j < end; j++) offsets[octantOf(order[j], cx, cy, cz) + 1]++;
+        for (let o = 1; o < 9; o++) offsets[o] += offsets[o - 1];
+        const cursor = offsets.slice(0, 8);
+        for (let j = start; j < end; j++) {
+            const i = order[j];
+            scratch[start + cursor[octantOf(i, cx, cy, cz)]++] = i;
+        }
+        order.set(scratch.subarray(start, end), start);
+
+        const quarter = halfSize / 2;
+        node.children = [];
+        for (let o = 0; o < 8; o++) {
+            const childStart = start + offsets[o];
+            const childEnd = start + offsets[o + 1];
+            if (childEnd === childStart) continue;
+            node.children.push(split(
+                childStart, childEnd,
+                cx + (o & 1 ? quarter : -quarter),
+                cy + (o & 2 ? quarter : -quarter),
+                cz + (o & 4 ? quarter : -quarter),
+                quarter, depth + 1
+            ));
+        }
+        return node;
+    };
+
+    lodState.order = order;
+    lodState.root = split(0, count, 0, 0, 0, extent, 0);
+    refreshStarOctreeBounds();
 }
 
 /**
- * Adjusts the number of visible stars based on camera distance from the origin.
+ * Recomputes every node's bounding sphere from the stars' positions at the current
+ * time, along with the angular-velocity and speed ranges used to widen it later.
+ * Needed again whenever the rotation curve changes.
  * @returns {void}
  */
-function updateStarLOD() {
-    if (!starState.starPoints || !starState.fullStarData) return;
+function refreshStarOctreeBounds() {
+    const catalog = starState.fullStarData;
+    const order = lodState.order;
+    const time = animationState.simulationTime;
+    lodState.boundsTime = time;
+
+    const px = new Float32Array(catalog.count);
+    const pz = new Float32Array(catalog.count);
+    for (let i = 0; i < catalog.count; i++) {
+        const angle = catalog.initialAngle[i] + catalog.angularVelocity[i] * time;
+        px[i] = catalog.radius[i] * Math.cos(angle);
+        pz[i] = catalog.radius[i] * Math.sin(angle);
+    }
 
-    // Disabled LOD optimization - Always show all stars
-    const starCount = starState.fullStarData.length;
+    const visit = (node) => {
+        let sx = 0, sy = 0, sz = 0;
+        let omegaMin = Infinity, omegaMax = -Infinity, radiusMax = 0, speedMax = 0;
+        for (let j = node.start; j < node.start + node.count; j++) {
+            const i = order[j];
+            sx += px[i];
+            sy += catalog.position[i * 3 + 1];
+            sz += pz[i];
+            omegaMin = Math.min(omegaMin, catalog.angularVelocity[i]);
+            omegaMax = Math.max(omegaMax, catalog.angularVelocity[i]);
+            radiusMax = Math.max(radiusMax, catalog.radius[i]);
+            const i3 = i * 3;
+            speedMax = Math.max(speedMax, Math.hypot(catalog.velocity[i3], catalog.velocity[i3 + 1], catalog.velocity[i3 + 2]));
+        }
+        const center = new THREE.Vector3(sx, sy, sz).divideScalar(node.count);
+        let radiusSq = 0;
+        for (let j = node.start; j < node.start + node.count; j++) {
+            const i = order[j];
+            const dx = px[i] - center.x;
+            const dy = catalog.position[i * 3 + 1] - center.y;
+            const dz = pz[i] - center.z;
+            radiusSq = Math.max(radiusSq, dx * dx + dy * dy + dz * dz);
+        }
+        Object.assign(node, {
+            center,
+            radius: Math.sqrt(radiusSq),
+            omega: (omegaMin + omegaMax) / 2,
+            omegaSpread: (omegaMax - omegaMin) / 2,
+            radiusMax,
+            speedMax,
+        });
+        if (node.children) node.children.forEach(visit);
+    };
+    visit(lodState.root);
+}
 
-    if (starCount === starState.lastStarCount) return;
-    starState.lastStarCount = starCount;
-    starState.starPoints.geometry.setDrawRange(0, starCount);
+/**
+ * Bounding sphere of a node at a given time. The centre turns with the node's mean
+ * angular velocity; the radius grows by how far the fastest and slowest members can
+ * have drifted from it, capped at the whole annulus the node's stars can occupy.
+ * @param {object} node
+ * @param {number} time - Simulation time in years.
+ * @param {number} motionTime - Years of linear stellar motion applied.
+ * @param {THREE.Sphere} target
+ * @returns {THREE.Sphere}
+ */
+function getNodeSphereAtTime(node, time, motionTime, target) {
+    const elapsed = time - lodState.boundsTime;
+    const angle = node.omega * elapsed;
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    target.center.set(node.center.x * c - node.center.z * s, node.center.y, node.center.x * s + node.center.z * c);
+    const shear = Math.min(node.omegaSpread * Math.abs(elapsed), Math.PI) * node.radiusMax;
+    target.radius = node.radius + shear + node.speedMax * Math.abs(motionTime);
+    return target;
 }
 
-// --- Main execution ---
-async function main() {
-    setupControls();
-    addGalacticCenter();
-    addSunMarker();
-    addGalaxyImage();
-    const success = await loadStarData();
-    if (success) {
-        createStarField();
+/**
+ * Walks the octree depth first, recording each leaf in the view and how many of its
+ * stars to draw in lodState.leafStarts and lodState.leafWanted.
+ * @param {object} node
+ * @param {number} time - Simulation time in years.
+ * @param {number} motionTime - Years of stellar motion to apply.
+ * @returns {void}
+ */
+function visitLodNode(node, time, motionTime) {
+    const sphere = lodState.sphere;
+    getNodeSphereAtTime(node, time, motionTime, sphere);
+    if (!lodState.frustum.intersectsSphere(sphere)) return;
+    if (node.children) {
+        for (let i = 0; i < node.children.length; i++) visitLodNode(node.children[i], time, motionTime);
+        return;
     }
+    const distance = Math.max(sphere.distanceToPoint(camera.position), 0);
+    const fraction = Math.min(Math.max((LOD_FULL_DETAIL_DISTANCE / Math.max(distance, 1)) ** 2, LOD_MIN_FRACTION), 1);
+    const wanted = Math.ceil(node.count * fraction);
+    lodState.leafStarts[lodState.leafCount] = node.start;
+    lodState.leafWanted[lodState.leafCount] = wanted;
+    lodState.leafCount++;
+    lodState.wantedTotal += wanted;
 }
 
-main();
-
-// --- Handle Window Resize ---
-window.addEventListener('resize', () => {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+/**
+ * Chooses which stars to draw this frame and writes them as geometry groups.
+ * @returns {void}
+ */
+function updateStarLOD() {
+    if (!starState.starPoints || !lodState.root) return;
 
-    // --- OPTIMIZATION: Update shader uniform on resize ---
-    if (starState.starPoints) {
-        starState.starPoints.material.uniforms.u_viewport_height.value = window.innerHeight;
-    }
+    camera.updateMatrixWorld();
+    lodState.projScreenMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    lodState.frustum.setFromProjectionMatrix(lodState.projScreenMatrix);
 
-    // Bloom pass requires resize if used, but we removed it.
-    // composer.setSize(window.innerWidth, window.innerHeight);
-});
+    const time = animationState.simulationTime;
+    const motionTime = motionState.enabled ? time : 0;
+    lodState.leafCount = 0;
+    lodState.wantedTotal = 0;
+    visitLodNode(lodState.root, time, motionTime);
 
-// --- Animation Loop ---
-const clock = new THREE.Clock();
-function animate() {
-    const delta = clock.getDelta(); // Get time since last frame
-    // We don't use clock.getElapsedTime() for rotation anymore, 
-    // to allow for pausing and smooth speed changes.
+    // Leaves are visited in index-buffer order, so touching runs merge into one draw
+    const scale = Math.min(starState.maxStarsForLOD / Math.max(lodState.wantedTotal, 1), 1);
+    const { groups, groupPool } = lodState;
+    let groupCount = 0;
+    let drawn = 0;
+    for (let i = 0; i < lodState.leafCount; i++) {
+        const count = Math.floor(lodState.leafWanted[i] * scale);
+        if (count === 0) continue;
+        const start = lodState.leafStarts[i];
+        const last = groupCount > 0 ? groups[groupCount - 1] : null;
+        if (last && last.start + last.count === start) {
+            last.count += count;
+        } else {
+            if (groupCount === groupPool.length) groupPool.push({ start: 0, count: 0, materialIndex: 0 });
+            const group = groupPool[groupCount];
+            group.start = start;
+            group.count = count;
+            groups[groupCount++] = group;
+        }
+        drawn += count;
+    }
+    groups.length = groupCount;
+    starState.starPoints.geometry.groups = groups;
 
-    // Accumulate simulation time if not paused
-    if (!animationState.isPaused) {
-        animationState.simulationTime += delta * animationState.timeScale;
+    if (drawn !== starState.drawnStarCount) {
+        starState.drawnStarCount = drawn;
+        document.getElementById('density-display').innerText =
+            `Drawing ${drawn.toLocaleString()} of ${starState.fullStarData.count.toLocaleString()}`;
     }
+}
 
-    if (isFlyMode) {
-        flyControls.update(delta);
-    } else {
-        controls.update();
+/**
+ * Calls `callback(index)` for every star drawn in the last LOD update.
+ * @param {(index: number) => void} callback
+ * @returns {void}
+ */
+function forEachDrawnStar(callback) {
+    if (!starState.starPoints) return;
+    for (const group of starState.starPoints.geometry.groups) {
+        for (let j = group.start; j < group.start + group.count; j++) callback(lodState.order[j]);
     }
+}
 
-    // Update star LOD (this is now very fast, and does nothing in explore mode)
-    updateStarLOD();
+// --- Stellar Motion ---
+// With motion enabled, stars with Gaia proper motions drift along their velocity
+// relative to the local standard of rest while the disk carries them round.
+// The Sun drifts by its own peculiar motion so it stays among its neighbours.
 
-    // --- OPTIMIZATION: Update shader uniforms instead of CPU loop ---
-    if (starState.starPoints) {
-        starState.starPoints.material.uniforms.u_time.value = animationState.simulationTime;
-        starState.starPoints.material.uniforms.u_time_scale.value = 1.0; // Already factored into simulationTime
+/**
+ * Computes the Sun's position at a given simulation time, matching the star shader.
+ * @param {number} time - Simulation time in years.
+ * @param {THREE.Vector3} target - Vector to write the position into.
+ * @returns {THREE.Vector3}
+ */
+function getSunPositionAtTime(time, target) {
+    const motionTime = motionState.enabled ? time : 0;
+    const x = sunRadius * Math.cos(rotationState.sunInitialAngle) + SUN_PECULIAR_VELOCITY.x * KM_S_TO_PC_PER_YEAR * motionTime;
+    const y = SUN_POSITION.y + SUN_PECULIAR_VELOCITY.y * KM_S_TO_PC_PER_YEAR * motionTime;
+    const z = sunRadius * Math.sin(rotationState.sunInitialAngle) + SUN_PECULIAR_VELOCITY.z * KM_S_TO_PC_PER_YEAR * motionTime;
+    const rotation = rotationState.sunAngularVelocity * time;
+    const c = Math.cos(rotation);
+    const s = Math.sin(rotation);
+    return target.set(x * c - z * s, y, x * s + z * c);
+}
+
+function formatSimulationTime(years) {
+    const sign = years < 0 ? '-' : '+';
+    const abs = Math.abs(years);
+    if (abs >= 1e6) return `${sign}${(abs / 1e6).toLocaleString(undefined, { maximumFractionDigits: 2 })} Myr`;
+    return `${sign}${Math.round(abs).toLocaleString()} yr`;
+}
+
+/**
+ * Keeps the time slider and its readout in step with the running simulation.
+ * @returns {void}
+ */
+function updateTimeScrubber() {
+    const slider = document.getElementById('time-scrub-slider');
+    const display = document.getElementById('time-scrub-display');
+    const time = animationState.simulationTime;
+    display.innerText = `Time: ${formatSimulationTime(time)}`;
+    if (document.activeElement !== slider) {
+        slider.value = Math.max(-TIME_SCRUB_RANGE_YEARS, Math.min(TIME_SCRUB_RANGE_YEARS, time)) / 1000;
     }
+}
+
+/**
+ * Sets up the stellar motion toggle and the time scrubber.
+ * Scrubbing pauses the animation so the chosen moment stays put.
+ * @returns {void}
+ */
+function setupMotionControls() {
+    const motionCheckbox = document.getElementById('motion-checkbox');
+    const scrubSlider = document.getElementById('time-scrub-slider');
+    const pauseCheckbox = document.getElementById('pause-checkbox');
 
-    const initialRotationOffset = -90 * (Math.PI / 180);
+    motionCheckbox.addEventListener('change', (event) => {
+        motionState.enabled = event.target.checked;
+    });
 
-    if (galaxyPlaneMesh) {
-        galaxyPlaneMesh.rotation.z = -(GALAXY_ANGULAR_VELOCITY * animationState.simulationTime) + initialRotationOffset;
+    scrubSlider.addEventListener('input', (event) => {
+        animationState.simulationTime = parseFloat(event.target.value) * 1000; // Slider is in kyr
+        if (!pauseCheckbox.checked) {
+            pauseCheckbox.checked = true;
+            pauseCheckbox.dispatchEvent(new Event('change'));
+        }
+    });
+}
+
+// --- Star Picking ---
+// Clicking a star selects it and shows its catalogue values in the details panel.
+// The GPU animates stars in the vertex shader, so picking has to re-run the same
+// rotation on the CPU to find where each star is actually drawn at the current u_time.
+const PICK_RADIUS_PX = 6; // Minimum screen-space tolerance around a star
+const PICK_CLICK_TOLERANCE_PX = 4; // Pointer travel that still counts as a click, not a drag
+
+const pickState = {
+    selectedIndex: -1,
+    marker: null,
+    pointerDownX: 0,
+    pointerDownY: 0,
+};
+
+/**
+ * Computes where a star is drawn at a given simulation time.
+ * Mirrors the rotation in the star field vertex shader.
+ * @param {number} index - Index into starState.fullStarData.
+ * @param {number} time - Simulation time (same units as u_time).
+ * @param {THREE.Vector3} target - Vector to write the position into.
+ * @returns {THREE.Vector3}
+ */
+function getStarPositionAtTime(index, time, target) {
+    const catalog = starState.fullStarData;
+    const i3 = index * 3;
+    const radius = catalog.radius[index];
+    const motionTime = motionState.enabled ? time : 0;
+    const x = radius * Math.cos(catalog.initialAngle[index]) + catalog.velocity[i3] * motionTime;
+    const y = catalog.position[i3 + 1] + catalog.velocity[i3 + 1] * motionTime;
+    const z = radius * Math.sin(catalog.initialAngle[index]) + catalog.velocity[i3 + 2] * motionTime;
+    const rotation = catalog.angularVelocity[index] * time;
+    const c = Math.cos(rotation);
+    const s = Math.sin(rotation);
+    return target.set(x * c - z * s, y, x * s + z * c);
+}
+
+/**
+ * Converts a star's RA/Dec into galactic longitude and latitude in degrees.
+ * @param {number} ra - Right ascension in degrees.
+ * @param {number} dec - Declination in degrees.
+ * @returns {{l: number, b: number}}
+ */
+function getGalacticLonLat(ra, dec) {
+    const raRad = ra * (Math.PI / 180);
+    const decRad = dec * (Math.PI / 180);
+    // equatorialToGalactic returns scene axes: x = x_gal, y = z_gal (north), z = -y_gal
+    const dir = equatorialToGalactic(
+        Math.cos(decRad) * Math.cos(raRad),
+        Math.cos(decRad) * Math.sin(raRad),
+        Math.sin(decRad)
+    );
+    let l = Math.atan2(-dir.z, dir.x) * (180 / Math.PI);
+    if (l < 0) l += 360;
+    const b = Math.asin(Math.max(-1, Math.min(1, dir.y))) * (180 / Math.PI);
+    return { l, b };
+}
+
+/**
+ * How bright a lone star seen from a distance ends up on screen, from 0 to 1.
+ * Mirrors vIntensity, then the exposure and tone mapping of the HDR pass.
+ * @param {number} index - Index into starState.fullStarData.
+ * @param {number} dist - Distance from the camera in pc.
+ * @returns {number}
+ */
+function getStarAlpha(index, dist) {
+    if (!passesStarFilters(index)) return 0;
+    const uniforms = starState.starMaterial.uniforms;
+    let intensity;
+    if (skyState.active) {
+        const relative = uniforms.u_sky_mag_limit.value - starState.photometry.gMag[index];
+        intensity = Math.pow(10, 0.4 * relative);
+    } else {
+        intensity = (Math.pow(10, -0.4 * starState.photometry.absMag[index]) * uniforms.u_brightness_scale.value) / (dist * dist);
+    }
+    if (selectionState.count > 0 && !selectionState.mask[index]) {
+        intensity *= selectionState.mode === 'isolate' ? 0 : SELECTION_DIM_ALPHA;
     }
+    return applyToneMapping(intensity * getExposure());
+}
 
-    if (sunSprite) {
-        const newSunAngle = sunInitialAngle + GALAXY_ANGULAR_VELOCITY * animationState.simulationTime;
-        const newSunX = sunRadius * Math.cos(newSunAngle);
-        const newSunZ = sunRadius * Math.sin(newSunAngle);
-        sunSprite.position.set(newSunX, SUN_POSITION.y, newSunZ);
+/**
+ * On-screen diameter the shader gives a star, in pixels. Mirrors gl_PointSize.
+ * @param {number} index - Index into starState.fullStarData.
+ * @param {number} depth - Distance in front of the camera (-view z) in pc.
+ * @returns {number}
+ */
+function getStarPointSize(index, depth) {
+    const uniforms = starState.starMaterial.uniforms;
+    if (skyState.active) {
+        const relative = uniforms.u_sky_mag_limit.value - starState.photometry.gMag[index];
+        return Math.min(Math.max(1 + SKY_POINT_SIZE_PER_MAG * relative, 1), SKY_MAX_POINT_SIZE) * uniforms.u_pixel_scale.value;
     }
+    const physicalDiameter = 2.0 * uniforms.u_solar_radius_pc.value * uniforms.u_size_scale.value;
+    return Math.max(physicalDiameter * (uniforms.u_viewport_height.value / depth), uniforms.u_pixel_scale.value);
+}
 
-    renderer.render(scene, camera);
-    // composer.render();
+/**
+ * Finds the star drawn closest to a screen position.
+ * Uses the same size and brightness model as the shader, so stars that are
+ * too faint to be seen cannot be picked.
+ * @param {number} clientX
+ * @param {number} clientY
+ * @returns {number} Index into starState.fullStarData, or -1 if nothing is under the pointer.
+ */
+function pickStarAt(clientX, clientY) {
+    if (!starState.starPoints || !starState.fullStarData || !layerState.starsVisible) return -1;
+
+    const time = animationState.simulationTime;
+    const rect = renderer.domElement.getBoundingClientRect();
+    const pointerX = clientX - rect.left;
+    const pointerY = clientY - rect.top;
+
+    camera.updateMatrixWorld();
+    const viewMatrix = camera.matrixWorldInverse;
+    const projectionMatrix = camera.projectionMatrix;
+    const worldPos = new THREE.Vector3();
+    const viewPos = new THREE.Vector3();
+
+    let bestIndex = -1;
+    let bestScore = Infinity;
+
+    // Only stars the LOD actually drew this frame can be under the pointer
+    forEachDrawnStar((i) => {
+        getStarPositionAtTime(i, time, worldPos);
+        viewPos.copy(worldPos).applyMatrix4(viewMatrix);
+        if (viewPos.z >= 0) return; // Behind the camera
+
+        const depth = -viewPos.z;
+        const dist = Math.max(viewPos.length(), 0.000001);
+        if (getStarAlpha(i, dist) < 0.01) return; // Effectively invisible on screen
+
+        viewPos.applyMatrix4(projectionMatrix);
+        const screenX = (viewPos.x + 1) * 0.5 * rect.width;
+        const screenY = (1 - viewPos.y) * 0.5 * rect.height;
+        const dx = screenX - pointerX;
+        const dy = screenY - pointerY;
+        const radius = Math.max(getStarPointSize(i, depth) / 2, PICK_RADIUS_PX);
+        const distSq = dx * dx + dy * dy;
+        if (distSq > radius * radius) return;
+
+        // Prefer the star nearest the pointer, then the nearest to the camera
+        const score = distSq + dist * 1e-9;
+        if (score < bestScore) {
+            bestScore = score;
+            bestIndex = i;
+        }
+    });
+    return bestIndex;
+}
+
+function createPickMarker() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 64;
+    canvas.height = 64;
+    const context = canvas.getContext('2d');
+    context.beginPath();
+    context.arc(32, 32, 26, 0, 2 * Math.PI, false);
+    context.lineWidth = 4;
+    context.strokeStyle = 'white';
+    context.stroke();
+
+    const material = new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        color: 0x7eb8f7,
+        depthTest: false,
+        depthWrite: false,
+        transparent: true,
+        sizeAttenuation: false // Constant on-screen size regardless of distance
+    });
+
+    pickState.marker = new THREE.Sprite(material);
+    pickState.marker.scale.set(0.04, 0.04, 1.0);
+    pickState.marker.renderOrder = 10;
+    pickState.marker.visible = false;
+    scene.add(pickState.marker);
+}
+
+function formatDistance(pc) {
+    if (pc < 1) return `${(pc * 206265).toFixed(0)} AU`;
+    return `${pc.toLocaleString(undefined, { maximumFractionDigits: 1 })} pc (${(pc * 3.26156).toLocaleString(undefined, { maximumFractionDigits: 1 })} ly)`;
+}
+
+/**
+ * Fills the star details panel for the selected star.
+ * @param {number} index - Index into starState.fullStarData.
+ * @returns {void}
+ */
+function showStarDetails(index) {
+    const panel = document.getElementById('star-info-panel');
+    const body = document.getElementById('star-info-body');
+    const catalog = starState.fullStarData;
+    const time = animationState.simulationTime;
+
+    const starPos = getStarPositionAtTime(index, time, new THREE.Vector3());
+    const distFromSun = sunSprite ? starPos.distanceTo(sunSprite.position) : catalog.distance[index];
+    const distFromCenter = starPos.length();
+    const { l, b } = getGalacticLonLat(catalog.ra[index], catalog.dec[index]);
+
+    const rows = [
+        ...(catalog.sourceId && catalog.sourceId[index] > 0n ? [['Gaia source_id', String(catalog.sourceId[index])]] : []),
+        ['RA', `${catalog.ra[index].toFixed(5)}°`],
+        ['Dec', `${catalog.dec[index].toFixed(5)}°`],
+        ['Parallax', `${catalog.parallax[index].toFixed(4)} mas`],
+        ...(catalog.parallaxError ? [['Parallax S/N', colorState.parallaxSnr[index] > 0 ? colorState.parallaxSnr[index].toFixed(1) : 'unknown']] : []),
+        ['G mag', catalog.gMag[index].toFixed(3)],
+        ['BP-RP', catalog.bpRp[index].toFixed(3)],
+        ['Abs. mag (G)', catalog.absMag[index].toFixed(2)],
+        ...getDustRows(index),
+        ...getMotionRows(index),
+        ['Galactic l', `${l.toFixed(4)}°`],
+        ['Galactic b', `${b.toFixed(4)}°`],
+        ['From Sun', formatDistance(distFromSun)],
+        ['From GC', formatDistance(distFromCenter)],
+    ];
+
+    body.innerHTML = '';
+    rows.forEach(([label, value]) => {
+        const row = document.createElement('div');
+        row.className = 'star-info-row';
+        const labelEl = document.createElement('span');
+        labelEl.className = 'star-info-label';
+        labelEl.innerText = label;
+        const valueEl = document.createElement('span');
+        valueEl.innerText = value;
+        row.append(labelEl, valueEl);
+        body.appendChild(row);
+    });
+    panel.style.display = 'block';
+}
+
+function getMotionRows(index) {
+    const catalog = starState.fullStarData;
+    const flag = catalog.motionFlag[index];
+    if (flag !== MOTION_PROPER && flag !== MOTION_FULL) {
+        return [['Motion', 'No velocity data (static)']];
+    }
+    const i3 = index * 3;
+    const speed = Math.hypot(catalog.velocity[i3], catalog.velocity[i3 + 1], catalog.velocity[i3 + 2]) / KM_S_TO_PC_PER_YEAR;
+    const rows = [
+        ['PM RA', `${catalog.pmra[index].toFixed(3)} mas/yr`],
+        ['PM Dec', `${catalog.pmdec[index].toFixed(3)} mas/yr`],
+    ];
+    if (flag === MOTION_FULL) {
+        rows.push(['Radial vel.', `${catalog.radialVelocity[index].toFixed(2)} km/s`]);
+        rows.push(['Speed (LSR)', `${speed.toFixed(1)} km/s`]);
+    } else {
+        rows.push(['Radial vel.', 'unknown (assumed 0)']);
+        rows.push(['Speed (LSR)', `~${speed.toFixed(1)} km/s`]);
+    }
+    return rows;
+}
+
+function selectStar(index) {
+    pickState.selectedIndex = index;
+    drawHrDiagram(); // Moves the picked-star marker on the diagram
+    if (index < 0) {
+        document.getElementById('star-info-panel').style.display = 'none';
+        if (pickState.marker) pickState.marker.visible = false;
+        return;
+    }
+    showStarDetails(index);
+    emitMapEvent('starPicked', getStarEventDetail(index));
+}
+
+/**
+ * Keeps the selection marker on the selected star as the galaxy rotates.
+ * @returns {void}
+ */
+function updatePickMarker() {
+    if (!pickState.marker) return;
+    if (pickState.selectedIndex < 0 || !starState.fullStarData) {
+        pickState.marker.visible = false;
+        return;
+    }
+    getStarPositionAtTime(pickState.selectedIndex, animationState.simulationTime, pickState.marker.position);
+    pickState.marker.visible = true;
+}
+
+/**
+ * Sets up click-to-pick on the canvas. A press that moves more than a few
+ * pixels is a camera drag and does not change the selection.
+ * @returns {void}
+ */
+function setupStarPicking() {
+    createPickMarker();
+
+    renderer.domElement.addEventListener('pointerdown', (event) => {
+        pickState.pointerDownX = event.clientX;
+        pickState.pointerDownY = event.clientY;
+    });
+
+    renderer.domElement.addEventListener('pointerup', (event) => {
+        if (event.button !== 0) return;
+        const dx = event.clientX - pickState.pointerDownX;
+        const dy = event.clientY - pickState.pointerDownY;
+        if (dx * dx + dy * dy > PICK_CLICK_TOLERANCE_PX ** 2) return;
+        if (measureState.active) {
+            addMeasurePointAt(event.clientX, event.clientY);
+            return;
+        }
+        selectStar(pickStarAt(event.clientX, event.clientY));
+    });
+
+    document.getElementById('star-info-close').addEventListener('click', () => selectStar(-1));
+}
+
+// --- Measurement ---
+// Measure mode turns clicks into measurement points instead of selecting stars. A click
+// on a star attaches the point to it; a click on empty space drops a point on the plane
+// through the view's pivot, facing the camera, which then turns with the disk. Two points
+// give their separation, three also give the angle at the middle one, and every point
+// shows its distance and light-travel time from the Sun. Positions are re-evaluated each
+// frame, so the readout follows the stars as rotation and stellar motion move them.
+
+const MEASURE_MAX_POINTS = 3;
+const MEASURE_COLOR = 0xffcc33;
+const PC_TO_AU = 206264.8;
+const PC_TO_LY = 3.26156;
+const PC_LIGHT_SECONDS = 1.02927e8; // Seconds light takes to cross a parsec
+
+const measureState = {
+    active: false,
+    points: [], // [{ label, index }] for stars, [{ label, radius, y, initialAngle, angularVelocity }] otherwise
+    line: null, // THREE.Line through the points
+    markers: null, // THREE.Points on each point
+    readout: null, // Value elements of the readout's rows; null when the points have changed
+    readoutTime: NaN, // Simulation time the readout was last written for
+};
+
+/**
+ * A distance in parsecs, light years and astronomical units.
+ * @param {number} pc
+ * @returns {string}
+ */
+function formatMeasureDistance(pc) {
+    const format = (value) => value.toLocaleString(undefined, { maximumSignificantDigits: 4 });
+    return `${format(pc)} pc / ${format(pc * PC_TO_LY)} ly / ${format(pc * PC_TO_AU)} AU`;
+}
+
+function formatLightTime(pc) {
+    const seconds = pc * PC_LIGHT_SECONDS;
+    const format = (value, unit) => `${value.toLocaleString(undefined, { maximumSignificantDigits: 3 })} ${unit}`;
+    if (seconds < 3600) return format(seconds / 60, 'min');
+    if (seconds < 86400) return format(seconds / 3600, 'h');
+    if (seconds < 3.15576e7) return format(seconds / 86400, 'days');
+    return format(seconds / 3.15576e7, 'yr');
+}
+
+function getMeasurePointPosition(point, time, target) {
+    if (point.index !== undefined) return getStarPositionAtTime(point.index, time, target);
+    return getLandmarkPosition(point, time, target);
+}
+
+/**
+ * Rebases the angles of points in empty space after a rotation curve change, as
+ * refreshLandmarkRotation does for landmarks.
+ * @param {number} time - Current simulation time in years.
+ * @returns {void}
+ */
+function refreshMeasureRotation(time) {
+    for (const point of measureState.points) {
+        if (point.index !== undefined) continue;
+        const newVelocity = getAngularVelocity(point.radius);
+        point.initialAngle += (point.angularVelocity - newVelocity) * time;
+        point.angularVelocity = newVelocity;
+    }
+    measureState.readoutTime = NaN;
+}
+
+function createMeasureObjects() {
+    const lineGeometry = new THREE.BufferGeometry();
+    lineGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MEASURE_MAX_POINTS * 3), 3));
+    const lineMaterial = new THREE.LineBasicMaterial({ color: MEASURE_COLOR, depthTest: false, transparent: true });
+    measureState.line = new THREE.Line(lineGeometry, lineMaterial);
+    const markerMaterial = new THREE.PointsMaterial({ color: MEASURE_COLOR, size: 7, sizeAttenuation: false, depthTest: false, transparent: true });
+    measureState.markers = new THREE.Points(lineGeometry, markerMaterial);
+    // Drawn on top, and moved every frame so their bounds are never current
+    for (const object of [measureState.line, measureState.markers]) {
+        object.renderOrder = 2;
+        object.frustumCulled = false;
+        object.visible = false;
+        scene.add(object);
+    }
+}
+
+/**
+ * Adds the star under the pointer, or a point in empty space, to the measurement.
+ * A click after the last point starts a new measurement.
+ * @param {number} clientX
+ * @param {number} clientY
+ * @returns {void}
+ */
+function addMeasurePointAt(clientX, clientY) {
+    if (measureState.points.length >= MEASURE_MAX_POINTS) {
+        measureState.points = [];
+        measureState.readout = null;
+    }
+    const time = animationState.simulationTime;
+    const index = pickStarAt(clientX, clientY);
+    if (index >= 0) {
+        measureState.points.push({ label: getStarSearchLabel(index), index });
+    } else if (!skyState.active) {
+        // Everything is at infinity in the view from Earth, so only stars can be measured there
+        const rect = renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(((clientX - rect.left) / rect.width) * 2 - 1, -((clientY - rect.top) / rect.height) * 2 + 1);
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(pointer, camera);
+        const pivot = getCameraPivot(new THREE.Vector3());
+        const normal = getViewDirection(camera.quaternion, new THREE.Vector3());
+        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, pivot);
+        const hit = raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+        if (!hit) return;
+        const point = getDiskPoint(hit);
+        point.initialAngle -= point.angularVelocity * time; // Where it was at time 0
+        measureState.points.push({ label: 'Point', ...point });
+    } else {
+        return;
+    }
+    measureState.readout = null;
+    updateMeasurement();
+}
+
+function clearMeasurement() {
+    measureState.points = [];
+    measureState.readout = null;
+    updateMeasurement();
+}
+
+function setMeasureMode(active) {
+    measureState.active = active;
+    const button = document.getElementById('measure-button');
+    button.innerText = active ? 'Stop Measuring' : 'Measure';
+    button.style.backgroundColor = active ? '#b8860b' : '#5a5a2a';
+    document.getElementById('measure-panel').style.display = active || measureState.points.length > 0 ? 'block' : 'none';
+    updateMeasurement();
+}
+
+/**
+ * Rebuilds the readout's rows for the current points, with empty values.
+ * @returns {void}
+ */
+function buildMeasureReadout() {
+    const points = measureState.points;
+    const body = document.getElementById('measure-body');
+    body.innerHTML = '';
+    const addRow = (label) => {
+        const row = document.createElement('div');
+        row.className = 'star-info-row';
+        const labelEl = document.createElement('span');
+        labelEl.className = 'star-info-label';
+        labelEl.innerText = label;
+        const valueEl = document.createElement('span');
+        row.append(labelEl, valueEl);
+        body.appendChild(row);
+        return valueEl;
+    };
+
+    const readout = { fromSun: [], lightTime: [], segments: [], angle: null };
+    measureState.readout = readout;
+    if (points.length === 0) {
+        body.innerText = 'Click a star or empty space to place the first point.';
+        return;
+    }
+    points.forEach((point, i) => {
+        addRow(`${i + 1}. ${point.label}`);
+        readout.fromSun.push(addRow('From Sun'));
+        readout.lightTime.push(addRow('Light time'));
+    });
+    for (let i = 1; i < points.length; i++) readout.segments.push(addRow(`${i} to ${i + 1}`));
+    if (points.length === 3) readout.angle = addRow('Angle at 2');
+}
+
+/**
+ * Moves the measurement line to the points' current positions and updates the
+ * readout's values in place.
+ * @returns {void}
+ */
+function updateMeasurement() {
+    if (!measureState.line) return;
+    const time = animationState.simulationTime;
+    const points = measureState.points;
+    const positions = points.map((point) => getMeasurePointPosition(point, time, new THREE.Vector3()));
+
+    const attribute = measureState.line.geometry.getAttribute('position');
+    positions.forEach((position, i) => attribute.setXYZ(i, position.x, position.y, position.z));
+    attribute.needsUpdate = true;
+    measureState.line.geometry.setDrawRange(0, positions.length);
+    measureState.line.visible = positions.length > 1;
+    measureState.markers.visible = positions.length > 0;
+
+    if (measureState.readout && time === measureState.readoutTime) return;
+    measureState.readoutTime = time;
+    if (!measureState.readout) buildMeasureReadout();
+    const readout = measureState.readout;
+    // Only text that changed is written, so a playing simulation does not relayout the panel every frame
+    const setValue = (element, text) => {
+        if (element.textContent !== text) element.textContent = text;
+    };
+
+    const sun = getSunPositionAtTime(time, new THREE.Vector3());
+    positions.forEach((position, i) => {
+        const fromSun = position.distanceTo(sun);
+        setValue(readout.fromSun[i], formatMeasureDistance(fromSun));
+        setValue(readout.lightTime[i], formatLightTime(fromSun));
+    });
+    for (let i = 1; i < positions.length; i++) {
+        setValue(readout.segments[i - 1], formatMeasureDistance(positions[i].distanceTo(positions[i - 1])));
+    }
+    if (readout.angle) {
+        const a = positions[0].clone().sub(positions[1]);
+        const b = positions[2].clone().sub(positions[1]);
+        setValue(readout.angle, `${THREE.MathUtils.radToDeg(a.angleTo(b)).toFixed(3)}°`);
+    }
+}
+
+/**
+ * Wires up the measure button and panel.
+ * @returns {void}
+ */
+function setupMeasurement() {
+    createMeasureObjects();
+    document.getElementById('measure-button').addEventListener('click', () => setMeasureMode(!measureState.active));
+    document.getElementById('measure-clear').addEventListener('click', clearMeasurement);
+    document.getElementById('measure-close').addEventListener('click', () => {
+        clearMeasurement();
+        setMeasureMode(false);
+    });
+}
+
+// --- View from Earth ---
+// A planetarium view: the camera sits on the Sun and turns in place, with the pole of
+// the chosen coordinate system kept upright. Both frames turn with the Sun's orbit,
+// so the galactic centre stays at l = 0° however long the simulation runs.
+
+const SKY_DEFAULT_MAG_LIMIT = 8; // Stars fainter than this fade out in sky mode
+const SKY_POINT_SIZE_PER_MAG = 0.6; // Extra pixels of diameter per magnitude above the limit
+const SKY_MAX_POINT_SIZE = 8; // Diameter in pixels of the very brightest stars
+const SKY_MIN_FOV = 2;
+const SKY_MAX_FOV = 120;
+const SKY_DEFAULT_FOV = 70;
+const SKY_MAX_ALTITUDE = 89.9 * (Math.PI / 180); // Keeps lookAt well defined at the poles
+const SUN_START_ANGLE = Math.atan2(SUN_POSITION.z, SUN_POSITION.x);
+
+// Each frame is described in local axes: x toward longitude 0, y toward the north pole,
+// and -z toward longitude 90°, matching the scene's own galactic axes.
+const SKY_FRAMES = {
+    equatorial: { color: 0x5a9bf0, basis: null },
+    galactic: { color: 0xf0b45a, basis: new THREE.Quaternion() },
+};
+
+const skyState = {
+    active: false,
+    frame: 'equatorial', // Frame whose pole is kept up and whose grid labels the readout
+    azimuth: 0, // Longitude (RA or l) of the view centre, radians
+    altitude: 0, // Latitude (Dec or b) of the view centre, radians
+    fov: SKY_DEFAULT_FOV,
+    magLimit: SKY_DEFAULT_MAG_LIMIT,
+    grids: {}, // THREE.Group per frame
+    dragging: false,
+    lastX: 0,
+    lastY: 0,
+    saved: null, // Camera pose to restore on exit
+};
+
+function getEquatorialBasis() {
+    const axis = (x, y, z) => {
+        const g = equatorialToGalactic(x, y, z);
+        return new THREE.Vector3(g.x, g.y, g.z);
+    };
+    // RA 0h, the celestial pole, and RA 6h negated for the local -z axis
+    const matrix = new THREE.Matrix4().makeBasis(axis(1, 0, 0), axis(0, 0, 1), axis(0, -1, 0));
+    return new THREE.Quaternion().setFromRotationMatrix(matrix);
+}
+SKY_FRAMES.equatorial.basis = getEquatorialBasis();
+
+/**
+ * Orientation of a sky frame in the scene at a given time, including the
+ * rotation the Sun has made around the galaxy since the start.
+ * @param {string} frame - 'equatorial' or 'galactic'.
+ * @param {number} time - Simulation time in years.
+ * @param {THREE.Quaternion} target
+ * @returns {THREE.Quaternion}
+ */
+function getSkyFrameQuaternion(frame, time, target) {
+    const orbitAngle = rotationState.sunInitialAngle + rotationState.sunAngularVelocity * time - SUN_START_ANGLE;
+    target.setFromAxisAngle(new THREE.Vector3(0, 1, 0), -orbitAngle);
+    return target.multiply(SKY_FRAMES[frame].basis);
+}
+
+function skyDirection(azimuth, altitude, target) {
+    return target.set(
+        Math.cos(altitude) * Math.cos(azimuth),
+        Math.sin(altitude),
+        -Math.cos(altitude) * Math.sin(azimuth)
+    );
+}
+
+/**
+ * Longitude and latitude (radians) of a scene direction in a sky frame.
+ * @param {THREE.Vector3} direction - Unit vector in scene axes.
+ * @param {string} frame
+ * @returns {{azimuth: number, altitude: number}}
+ */
+function getSkyCoordinates(direction, frame) {
+    const inverse = getSkyFrameQuaternion(frame, animationState.simulationTime, new THREE.Quaternion()).invert();
+    const local = direction.clone().applyQuaternion(inverse);
+    let azimuth = Math.atan2(-local.z, local.x);
+    if (azimuth < 0) azimuth += 2 * Math.PI;
+    return { azimuth, altitude: Math.asin(Math.min(Math.max(local.y, -1), 1)) };
+}
+
+function createSkyLabel(text, color) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 32;
+    const context = canvas.getContext('2d');
+    context.font = 'bold 20px monospace';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = `#${new THREE.Color(color).getHexString()}`;
+    context.fillText(text, 64, 16);
+
+    const material = new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        depthTest: false,
+        depthWrite: false,
+        transparent: true,
+        sizeAttenuation: false
+    });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(0.08, 0.02, 1.0);
+    sprite.renderOrder = 5;
+    return sprite;
+}
+
+/**
+ * Builds a unit-sphere coordinate grid for one frame, in that frame's local axes.
+ * Parallels every 15°, meridians every hour of RA or every 30° of l, with the
+ * equator drawn brighter and labelled.
+ * @param {string} frame
+ * @returns {THREE.Group}
+ */
+function createSkyGrid(frame) {
+    const color = SKY_FRAMES[frame].color;
+    const meridianStep = frame === 'equatorial' ? 15 : 30;
+    const segments = 96;
+    const gridPoints = [];
+    const equatorPoints = [];
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const toRad = Math.PI / 180;
+
+    const addArc = (points, fromAz, fromAlt, toAz, toAlt) => {
+        for (let i = 0; i < segments; i++) {
+            const t0 = i / segments;
+            const t1 = (i + 1) / segments;
+            skyDirection(fromAz + (toAz - fromAz) * t0, fromAlt + (toAlt - fromAlt) * t0, a);
+            skyDirection(fromAz + (toAz - fromAz) * t1, fromAlt + (toAlt - fromAlt) * t1, b);
+            points.push(a.x, a.y, a.z, b.x, b.y, b.z);
+        }
+    };
+
+    for (let lat = -75; lat <= 75; lat += 15) {
+        addArc(lat === 0 ? equatorPoints : gridPoints, 0, lat * toRad, 2 * Math.PI, lat * toRad);
+    }
+    for (let lon = 0; lon < 360; lon += meridianStep) {
+        addArc(gridPoints, lon * toRad, -Math.PI / 2, lon * toRad, Math.PI / 2);
+    }
+
+    const group = new THREE.Group();
+    const lines = (points, opacity) => {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
+        const material = new THREE.LineBasicMaterial({ color, transparent: true, opacity, depthTest: false, depthWrite: false });
+        const segmentsObject = new THREE.LineSegments(geometry, material);
+        segmentsObject.renderOrder = 4;
+        segmentsObject.frustumCulled = false;
+        return segmentsObject;
+    };
+    group.add(lines(gridPoints, 0.25), lines(equatorPoints, 0.6));
+
+    // Longitude labels along the equator, latitude labels along the zero meridian
+    for (let lon = 0; lon < 360; lon += 30) {
+        const text = frame === 'equatorial' ? `${lon / 15}h` : `${lon}°`;
+        const label = createSkyLabel(text, color);
+        skyDirection(lon * toRad, 0, label.position);
+        group.add(label);
+    }
+    for (let lat = -60; lat <= 60; lat += 30) {
+        if (lat === 0) continue;
+        const label = createSkyLabel(`${lat > 0 ? '+' : ''}${lat}°`, color);
+        skyDirection(0, lat * toRad, label.position);
+        group.add(label);
+    }
+
+    group.visible = false;
+    scene.add(group);
+    return group;
+}
+
+function formatRightAscension(radians) {
+    const totalMinutes = Math.round((radians * 12 / Math.PI) * 60) % (24 * 60);
+    const hours = Math.floor(totalMinutes / 60);
+    return `${hours}h ${String(totalMinutes % 60).padStart(2, '0')}m`;
+}
+
+function formatSignedDegrees(radians) {
+    const degrees = radians * (180 / Math.PI);
+    return `${degrees >= 0 ? '+' : ''}${degrees.toFixed(1)}°`;
+}
+
+/**
+ * Shows the coordinates of the view centre in both frames.
+ * @param {THREE.Vector3} direction - View direction in scene axes.
+ * @returns {void}
+ */
+function updateSkyReadout(direction) {
+    const equatorial = getSkyCoordinates(direction, 'equatorial');
+    const galactic = getSkyCoordinates(direction, 'galactic');
+    const text = `RA ${formatRightAscension(equatorial.azimuth)}  Dec ${formatSignedDegrees(equatorial.altitude)}\n` +
+        `l ${(galactic.azimuth * 180 / Math.PI).toFixed(1)}°  b ${formatSignedDegrees(galactic.altitude)}\n` +
+        `FOV ${skyState.fov.toFixed(0)}°`;
+    const readout = document.getElementById('sky-readout');
+    if (readout.innerText !== text) readout.innerText = text;
+}
+
+/**
+ * Places the camera on the Sun, looking along the current azimuth and altitude,
+ * and moves the grids with it. Called every frame while the sky view is active.
+ * @returns {void}
+ */
+function updateSkyView() {
+    const time = animationState.simulationTime;
+    const frameQuaternion = getSkyFrameQuaternion(skyState.frame, time, new THREE.Quaternion());
+
+    getSunPositionAtTime(time, camera.position);
+    camera.up.set(0, 1, 0).applyQuaternion(frameQuaternion);
+    const direction = skyDirection(skyState.azimuth, skyState.altitude, new THREE.Vector3()).applyQuaternion(frameQuaternion);
+    camera.lookAt(camera.position.clone().add(direction));
+
+    Object.entries(skyState.grids).forEach(([frame, grid]) => {
+        grid.position.copy(camera.position);
+        getSkyFrameQuaternion(frame, time, grid.quaternion);
+    });
+
+    updateSkyReadout(direction);
+}
+
+/**
+ * Switches the frame kept upright without changing where the camera looks.
+ * @param {string} frame
+ * @returns {void}
+ */
+function setSkyFrame(frame) {
+    const current = getSkyFrameQuaternion(skyState.frame, animationState.simulationTime, new THREE.Quaternion());
+    const direction = skyDirection(skyState.azimuth, skyState.altitude, new THREE.Vector3()).applyQuaternion(current);
+    skyState.frame = frame;
+    const { azimuth, altitude } = getSkyCoordinates(direction, frame);
+    skyState.azimuth = azimuth;
+    skyState.altitude = Math.min(Math.max(altitude, -SKY_MAX_ALTITUDE), SKY_MAX_ALTITUDE);
+}
+
+function setSkyFov(fov) {
+    skyState.fov = Math.min(Math.max(fov, SKY_MIN_FOV), SKY_MAX_FOV);
+    camera.fov = skyState.fov;
+    camera.updateProjectionMatrix();
+}
+
+/**
+ * Star size multiplier set on the size slider, which holds its base-10 logarithm.
+ * @returns {number}
+ */
+function getSizeScale() {
+    return Number((10 ** parseFloat(document.getElementById('size-scale-slider').value)).toPrecision(4));
+}
+
+function setSizeScale(scale) {
+    setInputValue('size-scale-slider', Math.log10(Math.max(scale, 1)), 'input');
+}
+
+function updateSkyGridVisibility() {
+    skyState.grids.equatorial.visible = skyState.active && document.getElementById('sky-equatorial-grid').checked;
+    skyState.grids.galactic.visible = skyState.active && document.getElementById('sky-galactic-grid').checked;
+}
+
+function setSkyMarkersVisible(visible) {
+    if (sunSprite) sunSprite.visible = visible;
+    if (galaxyPlaneMesh) galaxyPlaneMesh.visible = visible;
+    if (spiralState.group) spiralState.group.visible = visible && spiralState.visible;
+    if (galacticCenterMesh) galacticCenterMesh.visible = visible;
+}
+
+/**
+ * Moves the camera to the Sun and hands the pointer to the sky view.
+ * Starts out looking at the galactic centre.
+ * @returns {void}
+ */
+function enterSkyView() {
+    if (skyState.active) return;
+    endCameraTransition();
+    pauseTour();
+    skyState.saved = {
+        position: camera.position.clone(),
+        quaternion: camera.quaternion.clone(),
+        up: camera.up.clone(),
+        fov: camera.fov,
+        target: controls.target.clone(),
+        flyMode: isFlyMode,
+    };
+    skyState.active = true;
+    controls.enabled = false;
+    flyControls.enabled = false;
+    document.querySelector('.explore-controls').style.display = 'none';
+
+    const sunPosition = getSunPositionAtTime(animationState.simulationTime, new THREE.Vector3());
+    const toCenter = sunPosition.negate().normalize();
+    const { azimuth, altitude } = getSkyCoordinates(toCenter, skyState.frame);
+    skyState.azimuth = azimuth;
+    skyState.altitude = altitude;
+    setSkyFov(SKY_DEFAULT_FOV);
+
+    if (starState.starPoints) starState.starMaterial.uniforms.u_sky_mode.value = 1.0;
+    setSkyMarkersVisible(false);
+    updateSkyGridVisibility();
+    document.getElementById('sky-panel').style.display = 'block';
+    document.getElementById('sky-view-button').innerText = 'Exit View from Earth';
+}
+
+/**
+ * Restores the camera and controls that were active before entering the sky view.
+ * @returns {void}
+ */
+function exitSkyView() {
+    if (!skyState.active) return;
+    skyState.active = false;
+    skyState.dragging = false;
+    const saved = skyState.saved;
+
+    toggleControls(saved.flyMode);
+    camera.position.copy(saved.position);
+    camera.quaternion.copy(saved.quaternion);
+    camera.up.copy(saved.up);
+    camera.fov = saved.fov;
+    camera.updateProjectionMatrix();
+    controls.target.copy(saved.target);
+
+    if (starState.starPoints) starState.starMaterial.uniforms.u_sky_mode.value = 0.0;
+    setSkyMarkersVisible(true);
+    updateSkyGridVisibility();
+    document.getElementById('sky-panel').style.display = 'none';
+    document.getElementById('sky-view-button').innerText = 'View from Earth';
+}
+
+/**
+ * Sets up the sky view button, panel and pointer handling (drag to look, wheel to zoom).
+ * @returns {void}
+ */
+function setupSkyView() {
+    skyState.grids.equatorial = createSkyGrid('equatorial');
+    skyState.grids.galactic = createSkyGrid('galactic');
+
+    const frameSelect = document.getElementById('sky-frame-select');
+    const magSlider = document.getElementById('sky-mag-slider');
+    const magDisplay = document.getElementById('sky-mag-display');
+
+    document.getElementById('sky-view-button').addEventListener('click', () => {
+        if (skyState.active) exitSkyView();
+        else enterSkyView();
+    });
+    document.getElementById('sky-exit-button').addEventListener('click', exitSkyView);
+
+    frameSelect.addEventListener('change', (event) => setSkyFrame(event.target.value));
+    document.getElementById('sky-equatorial-grid').addEventListener('change', updateSkyGridVisibility);
+    document.getElementById('sky-galactic-grid').addEventListener('change', updateSkyGridVisibility);
+
+    magSlider.addEventListener('input', (event) => {
+        skyState.magLimit = parseFloat(event.target.value);
+        if (starState.starPoints) starState.starMaterial.uniforms.u_sky_mag_limit.value = skyState.magLimit;
+        magDisplay.innerText = `Limit: G ${skyState.magLimit.toFixed(1)}`;
+    });
+
+    const canvas = renderer.domElement;
+    canvas.addEventListener('pointerdown', (event) => {
+        if (!skyState.active || event.button !== 0 || event.shiftKey) return; // Shift+drag selects a region
+        skyState.dragging = true;
+        skyState.lastX = event.clientX;
+        skyState.lastY = event.clientY;
+        canvas.setPointerCapture(event.pointerId);
+    });
+
+    canvas.addEventListener('pointermove', (event) => {
+        if (!skyState.dragging) return;
+        // Drag the sky itself: one screen height of travel sweeps one field of view
+        const radiansPerPixel = (skyState.fov * (Math.PI / 180)) / canvas.clientHeight;
+        skyState.azimuth += (event.clientX - skyState.lastX) * radiansPerPixel;
+        skyState.altitude += (event.clientY - skyState.lastY) * radiansPerPixel;
+        skyState.altitude = Math.min(Math.max(skyState.altitude, -SKY_MAX_ALTITUDE), SKY_MAX_ALTITUDE);
+        skyState.azimuth = ((skyState.azimuth % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+        skyState.lastX = event.clientX;
+        skyState.lastY = event.clientY;
+    });
+
+    const endDrag = () => {
+        skyState.dragging = false;
+    };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+
+    canvas.addEventListener('wheel', (event) => {
+        if (!skyState.active) return;
+        event.preventDefault();
+        setSkyFov(skyState.fov * Math.exp(event.deltaY * 0.001));
+    }, { passive: false });
+}
+
+// --- HR Diagram & Selection ---
+// A Hertzsprung-Russell diagram (BP-RP against absolute G magnitude) of the whole
+// catalogue, drawn as a density image. Brushing a box on it selects those stars in
+// 3D; Shift+dragging a box in 3D selects stars on screen and shows them on the diagram.
+// Both kinds of selection share one mask, which the shader reads as the 'selected' attribute.
+
+const HR_BP_RP_RANGE = [-0.5, 4.5];
+const HR_ABS_MAG_RANGE = [-6, 16]; // Brightest at the top
+const HR_MARGIN = { left: 30, right: 8, top: 8, bottom: 20 };
+const HR_SELECTION_COLOR = [255, 204, 51];
+const SELECTION_DIM_ALPHA = 0.15; // Opacity kept by unselected stars in highlight mode
+const SELECTION_MODES = { none: 0, highlight: 1, isolate: 2 };
+
+const selectionState = {
+    mask: null, // Uint8Array with 1 for selected stars, shared with the 'selected' attribute
+    count: 0,
+    mode: 'highlight', // 'highlight' dims the rest, 'isolate' hides it
+    brush: null, // { bpRpMin, bpRpMax, absMagMin, absMagMax } when selected on the diagram
+    description: '', // How the selection was made, written into exported tables
+};
+
+const hrState = {
+    canvas: null,
+    context: null,
+    plotWidth: 0,
+    plotHeight: 0,
+    counts: null, // Stars per plot pixel, Uint32Array
+    selectedCounts: null, // Selected stars per plot pixel
+    image: null, // Density image, rebuilt only when the data or selection changes
+    dragStart: null, // Canvas coordinates while brushing
+    dragEnd: null,
+};
+
+function hrToPlot(bpRp, absMag) {
+    return {
+        x: ((bpRp - HR_BP_RP_RANGE[0]) / (HR_BP_RP_RANGE[1] - HR_BP_RP_RANGE[0])) * hrState.plotWidth,
+        y: ((absMag - HR_ABS_MAG_RANGE[0]) / (HR_ABS_MAG_RANGE[1] - HR_ABS_MAG_RANGE[0])) * hrState.plotHeight,
+    };
+}
+
+function plotToHr(x, y) {
+    return {
+        bpRp: HR_BP_RP_RANGE[0] + (x / hrState.plotWidth) * (HR_BP_RP_RANGE[1] - HR_BP_RP_RANGE[0]),
+        absMag: HR_ABS_MAG_RANGE[0] + (y / hrState.plotHeight) * (HR_ABS_MAG_RANGE[1] - HR_ABS_MAG_RANGE[0]),
+    };
+}
+
+/**
+ * Bins stars into plot pixels. With `mask`, only the stars it marks are counted.
+ * @param {Uint8Array} [mask]
+ * @returns {Uint32Array}
+ */
+function binHrDiagram(mask) {
+    const count = starState.fullStarData.count;
+    const { bpRp, absMag } = starState.photometry;
+    const width = hrState.plotWidth;
+    const height = hrState.plotHeight;
+    const counts = new Uint32Array(width * height);
+    for (let i = 0; i < count; i++) {
+        if (mask && !mask[i]) continue;
+        const { x, y } = hrToPlot(bpRp[i], absMag[i]);
+        const px = Math.floor(x);
+        const py = Math.floor(y);
+        if (px < 0 || px >= width || py < 0 || py >= height) continue;
+        counts[py * width + px]++;
+    }
+    return counts;
+}
+
+/**
+ * Renders the density image: each column tinted with the star colour for its BP-RP,
+ * brightness on a log scale of the count, and selected stars drawn on top in gold.
+ * @returns {void}
+ */
+function renderHrImage() {
+    const width = hrState.plotWidth;
+    const height = hrState.plotHeight;
+    const image = hrState.context.createImageData(width, height);
+    const counts = hrState.counts;
+    const selected = selectionState.count > 0 ? hrState.selectedCounts : null;
+
+    let maxCount = 1;
+    let maxSelected = 1;
+    for (let i = 0; i < counts.length; i++) {
+        if (counts[i] > maxCount) maxCount = counts[i];
+        if (selected && selected[i] > maxSelected) maxSelected = selected[i];
+    }
+    const logMax = Math.log1p(maxCount);
+    const logMaxSelected = Math.log1p(maxSelected);
+
+    // The catalogue colours are linear; the canvas wants sRGB
+    const tint = new Float32Array(width * 3);
+    for (let x = 0; x < width; x++) {
+        getStarColorFromBpRp(plotToHr(x + 0.5, 0).bpRp, tint, x * 3);
+        for (let c = 0; c < 3; c++) tint[x * 3 + c] = 255 * Math.pow(tint[x * 3 + c], 1 / 2.2);
+    }
+
+    const baseScale = selected ? 0.35 : 1; // Push the unselected population back
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const bin = y * width + x;
+            const pixel = bin * 4;
+            if (selected && selected[bin] > 0) {
+                const level = 0.35 + 0.65 * Math.log1p(selected[bin]) / logMaxSelected;
+                image.data[pixel] = HR_SELECTION_COLOR[0] * level;
+                image.data[pixel + 1] = HR_SELECTION_COLOR[1] * level;
+                image.data[pixel + 2] = HR_SELECTION_COLOR[2] * level;
+            } else if (counts[bin] > 0) {
+                const level = baseScale * (0.25 + 0.75 * Math.log1p(counts[bin]) / logMax);
+                image.data[pixel] = tint[x * 3] * level;
+                image.data[pixel + 1] = tint[x * 3 + 1] * level;
+                image.data[pixel + 2] = tint[x * 3 + 2] * level;
+            }
+            image.data[pixel + 3] = 255;
+        }
+    }
+    hrState.image = image;
+}
+
+/**
+ * Redraws the diagram: density image, axes, the brush box and the picked star.
+ * @returns {void}
+ */
+function drawHrDiagram() {
+    const context = hrState.context;
+    if (!context || document.getElementById('hr-panel').style.display === 'none') return;
+
+    const canvas = hrState.canvas;
+    context.fillStyle = '#000';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    if (!hrState.image) {
+        context.fillStyle = '#888';
+        context.font = '12px monospace';
+        context.fillText('Waiting for star data...', HR_MARGIN.left + 10, HR_MARGIN.top + 20);
+        return;
+    }
+    context.putImageData(hrState.image, HR_MARGIN.left, HR_MARGIN.top);
+
+    // Axes and ticks
+    context.strokeStyle = '#666';
+    context.fillStyle = '#aaa';
+    context.font = '10px monospace';
+    context.strokeRect(HR_MARGIN.left - 0.5, HR_MARGIN.top - 0.5, hrState.plotWidth + 1, hrState.plotHeight + 1);
+    context.textAlign = 'center';
+    context.textBaseline = 'top';
+    for (let bpRp = 0; bpRp <= 4; bpRp++) {
+        const x = HR_MARGIN.left + hrToPlot(bpRp, 0).x;
+        context.fillText(String(bpRp), x, HR_MARGIN.top + hrState.plotHeight + 4);
+    }
+    context.textAlign = 'right';
+    context.textBaseline = 'middle';
+    for (let absMag = -5; absMag <= 15; absMag += 5) {
+        const y = HR_MARGIN.top + hrToPlot(0, absMag).y;
+        context.fillText(String(absMag), HR_MARGIN.left - 4, y);
+    }
+
+    const box = hrState.dragStart && hrState.dragEnd ? [hrState.dragStart, hrState.dragEnd] : null;
+    if (box) {
+        context.strokeStyle = 'rgb(255, 204, 51)';
+        context.setLineDash([4, 3]);
+        context.strokeRect(box[0].x, box[0].y, box[1].x - box[0].x, box[1].y - box[0].y);
+        context.setLineDash([]);
+    } else if (selectionState.brush) {
+        const { bpRpMin, bpRpMax, absMagMin, absMagMax } = selectionState.brush;
+        const a = hrToPlot(bpRpMin, absMagMin);
+        const b = hrToPlot(bpRpMax, absMagMax);
+        context.strokeStyle = 'rgb(255, 204, 51)';
+        context.strokeRect(HR_MARGIN.left + a.x, HR_MARGIN.top + a.y, b.x - a.x, b.y - a.y);
+    }
+
+    if (pickState.selectedIndex >= 0) {
+        const { bpRp, absMag } = starState.photometry;
+        const { x, y } = hrToPlot(bpRp[pickState.selectedIndex], absMag[pickState.selectedIndex]);
+        context.strokeStyle = '#7eb8f7';
+        context.lineWidth = 2;
+        context.beginPath();
+        context.arc(HR_MARGIN.left + x, HR_MARGIN.top + y, 6, 0, 2 * Math.PI);
+        context.stroke();
+        context.lineWidth = 1;
+    }
+}
+
+/**
+ * Bins the catalogue once it has loaded.
+ * @returns {void}
+ */
+function buildHrDiagram() {
+    if (!starState.fullStarData || !hrState.context) return;
+    hrState.counts = binHrDiagram();
+    hrState.selectedCounts = null;
+    renderHrImage();
+    drawHrDiagram();
+}
+
+function updateSelectionInfo() {
+    const info = document.getElementById('hr-selection-info');
+    info.innerText = selectionState.count > 0
+        ? `${selectionState.count.toLocaleString()} stars selected`
+        : 'Drag on the diagram, or Shift+drag in 3D';
+}
+
+/**
+ * Replaces the selection with the stars for which `predicate(index)` is true and
+ * pushes it to the GPU and the diagram.
+ * @param {(index: number) => boolean} predicate
+ * @param {object|null} brush - The diagram box that made the selection, if any.
+ * @param {string} [description] - How the selection was made.
+ * @returns {void}
+ */
+function setSelection(predicate, brush = null, description = '') {
+    const catalog = starState.fullStarData;
+    if (!catalog || !selectionState.mask) return;
+
+    let count = 0;
+    for (let i = 0; i < catalog.count; i++) {
+        const isSelected = predicate(i);
+        selectionState.mask[i] = isSelected ? 1 : 0;
+        if (isSelected) count++;
+    }
+    selectionState.count = count;
+    selectionState.brush = count > 0 ? brush : null;
+    selectionState.description = description;
+    onSelectionChanged();
+}
+
+function clearSelection() {
+    if (selectionState.mask) selectionState.mask.fill(0);
+    selectionState.count = 0;
+    selectionState.brush = null;
+    selectionState.description = '';
+    onSelectionChanged();
+}
+
+function onSelectionChanged() {
+    if (starState.starPoints) {
+        starState.starPoints.geometry.attributes.selected.needsUpdate = true;
+        starState.starMaterial.uniforms.u_selection_mode.value =
+            selectionState.count > 0 ? SELECTION_MODES[selectionState.mode] : SELECTION_MODES.none;
+    }
+    if (hrState.counts) {
+        hrState.selectedCounts = selectionState.count > 0 ? binHrDiagram(selectionState.mask) : null;
+        renderHrImage();
+    }
+    drawHrDiagram();
+    updateSelectionInfo();
+    updateRegionSummary();
+    if (colorState.mode === 'selected') applyColorMode();
+}
+
+function selectHrBox(start, end) {
+    const a = plotToHr(Math.min(start.x, end.x) - HR_MARGIN.left, Math.min(start.y, end.y) - HR_MARGIN.top);
+    const b = plotToHr(Math.max(start.x, end.x) - HR_MARGIN.left, Math.max(start.y, end.y) - HR_MARGIN.top);
+    const brush = { bpRpMin: a.bpRp, bpRpMax: b.bpRp, absMagMin: a.absMag, absMagMax: b.absMag };
+    const photometry = starState.photometry;
+    setSelection((i) => {
+        const bpRp = photometry.bpRp[i];
+        const absMag = photometry.absMag[i];
+        return bpRp >= brush.bpRpMin && bpRp <= brush.bpRpMax && absMag >= brush.absMagMin && absMag <= brush.absMagMax;
+    }, brush, `HR diagram box: BP-RP ${brush.bpRpMin.toFixed(2)} to ${brush.bpRpMax.toFixed(2)}, absolute G ${brush.absMagMin.toFixed(2)} to ${brush.absMagMax.toFixed(2)}`);
+}
+
+/**
+ * Selects every star whose current position projects inside a screen rectangle.
+ * @param {number} x0 - Client coordinates of one corner.
+ * @param {number} y0
+ * @param {number} x1 - Client coordinates of the opposite corner.
+ * @param {number} y1
+ * @returns {void}
+ */
+function selectScreenRegion(x0, y0, x1, y1) {
+    if (!starState.fullStarData) return;
+    const rect = renderer.domElement.getBoundingClientRect();
+    const left = Math.min(x0, x1) - rect.left;
+    const right = Math.max(x0, x1) - rect.left;
+    const top = Math.min(y0, y1) - rect.top;
+    const bottom = Math.max(y0, y1) - rect.top;
+
+    camera.updateMatrixWorld();
+    const time = animationState.simulationTime;
+    const position = new THREE.Vector3();
+    const viewPos = new THREE.Vector3();
+
+    // Includes stars the LOD has thinned out, so the selection does not depend on zoom
+    setSelection((i) => {
+        getStarPositionAtTime(i, time, position);
+        viewPos.copy(position).applyMatrix4(camera.matrixWorldInverse);
+        if (viewPos.z >= 0) return false; // Behind the camera
+        viewPos.applyMatrix4(camera.projectionMatrix);
+        const screenX = (viewPos.x + 1) * 0.5 * rect.width;
+        const screenY = (1 - viewPos.y) * 0.5 * rect.height;
+        return screenX >= left && screenX <= right && screenY >= top && screenY <= bottom;
+    }, null, 'Screen rectangle in the 3D view');
+}
+
+function setHrPanelVisible(visible) {
+    document.getElementById('hr-panel').style.display = visible ? 'block' : 'none';
+    if (visible) drawHrDiagram();
+}
+
+/**
+ * Sets up the HR diagram panel (brushing, docking, mode) and Shift+drag region
+ * selection in the 3D view.
+ * @returns {void}
+ */
+function setupHrDiagram() {
+    const panel = document.getElementById('hr-panel');
+    hrState.canvas = document.getElementById('hr-canvas');
+    hrState.context = hrState.canvas.getContext('2d');
+    hrState.plotWidth = hrState.canvas.width - HR_MARGIN.left - HR_MARGIN.right;
+    hrState.plotHeight = hrState.canvas.height - HR_MARGIN.top - HR_MARGIN.bottom;
+    updateSelectionInfo();
+
+    document.getElementById('hr-diagram-button').addEventListener('click', () => {
+        setHrPanelVisible(panel.style.display === 'none');
+    });
+    document.getElementById('hr-panel-close').addEventListener('click', () => setHrPanelVisible(false));
+    document.getElementById('hr-dock-button').addEventListener('click', () => {
+        panel.classList.toggle('docked-left');
+    });
+    document.getElementById('hr-clear-button').addEventListener('click', clearSelection);
+    document.getElementById('hr-mode-select').addEventListener('change', (event) => {
+        selectionState.mode = event.target.value;
+        onSelectionChanged();
+    });
+
+    // --- Brushing on the diagram ---
+    const canvas = hrState.canvas;
+    const toCanvas = (event) => {
+        const rect = canvas.getBoundingClientRect();
+        const x = (event.clientX - rect.left) * (canvas.width / rect.width);
+        const y = (event.clientY - rect.top) * (canvas.height / rect.height);
+        return {
+            x: Math.min(Math.max(x, HR_MARGIN.left), HR_MARGIN.left + hrState.plotWidth),
+            y: Math.min(Math.max(y, HR_MARGIN.top), HR_MARGIN.top + hrState.plotHeight),
+        };
+    };
+    canvas.addEventListener('pointerdown', (event) => {
+        if (!hrState.image || event.button !== 0) return;
+        hrState.dragStart = toCanvas(event);
+        hrState.dragEnd = hrState.dragStart;
+        canvas.setPointerCapture(event.pointerId);
+    });
+    canvas.addEventListener('pointermove', (event) => {
+        if (!hrState.dragStart) return;
+        hrState.dragEnd = toCanvas(event);
+        drawHrDiagram();
+    });
+    canvas.addEventListener('pointerup', () => {
+        if (!hrState.dragStart) return;
+        const start = hrState.dragStart;
+        const end = hrState.dragEnd;
+        hrState.dragStart = null;
+        hrState.dragEnd = null;
+        // A click without a drag clears the selection
+        if (Math.abs(end.x - start.x) < 2 || Math.abs(end.y - start.y) < 2) {
+            clearSelection();
+        } else {
+            selectHrBox(start, end);
+        }
+    });
+
+    // --- Shift+drag region selection in 3D ---
+    const view = renderer.domElement;
+    const regionBox = document.getElementById('selection-rect');
+    let regionStart = null;
+    let controlsWereEnabled = null;
+
+    const drawRegionBox = (x, y) => {
+        regionBox.style.left = `${Math.min(regionStart.x, x)}px`;
+        regionBox.style.top = `${Math.min(regionStart.y, y)}px`;
+        regionBox.style.width = `${Math.abs(x - regionStart.x)}px`;
+        regionBox.style.height = `${Math.abs(y - regionStart.y)}px`;
+    };
+
+    // Capture phase, so the camera controls are switched off before they see the press
+    view.addEventListener('pointerdown', (event) => {
+        if (!event.shiftKey || event.button !== 0) return;
+        regionStart = { x: event.clientX, y: event.clientY };
+        controlsWereEnabled = { orbit: controls.enabled, fly: flyControls.enabled };
+        controls.enabled = false;
+        flyControls.enabled = false;
+        drawRegionBox(event.clientX, event.clientY);
+        regionBox.style.display = 'block';
+        view.setPointerCapture(event.pointerId);
+    }, { capture: true });
+
+    view.addEventListener('pointermove', (event) => {
+        if (regionStart) drawRegionBox(event.clientX, event.clientY);
+    });
+
+    view.addEventListener('pointerup', (event) => {
+        if (!regionStart) return;
+        const start = regionStart;
+        regionStart = null;
+        regionBox.style.display = 'none';
+        controls.enabled = controlsWereEnabled.orbit;
+        flyControls.enabled = controlsWereEnabled.fly;
+        if (Math.abs(event.clientX - start.x) < PICK_CLICK_TOLERANCE_PX || Math.abs(event.clientY - start.y) < PICK_CLICK_TOLERANCE_PX) return;
+        selectScreenRegion(start.x, start.y, event.clientX, event.clientY);
+        setHrPanelVisible(true);
+    });
+}
+
+// --- Region Selection & Export ---
+// Geometric selections on the shared selection mask: a box or sphere around a point, a
+// cone from the Sun along a line of sight, or a lasso drawn on screen. Box, sphere and
+// cone are tested against the catalogue positions, i.e. the present day as in the source
+// files, in heliocentric galactic coordinates: X toward the galactic centre, Y toward
+// l = 90° and Z toward the north galactic pole. The lasso, like Shift+drag, uses where the
+// stars are drawn now. Whichever tool made the selection, the panel summarises it and
+// exports it as CSV or VOTable.
+
+const REGION_HISTOGRAM_BINS = 30;
+const REGION_G_MAG_RANGE = [0, 21];
+const REGION_MIN_LASSO_POINTS = 3;
+const REGION_LASSO_SPACING_PX = 4; // Pointer travel between recorded lasso vertices
+
+const regionState = {
+    visible: false,
+    shape: 'sphere', // 'box', 'sphere', 'cone' or 'lasso'
+    lasso: null, // [{ x, y }] client coordinates while a lasso is drawn
+};
+
+/**
+ * A star's catalogue position relative to the Sun, on the region axes.
+ * @param {number} index
+ * @returns {{x: number, y: number, z: number}} pc.
+ */
+function getHeliocentricPosition(index) {
+    const position = starState.fullStarData.position;
+    const i3 = index * 3;
+    // Scene axes: x toward the centre, y north, z toward l = 270°
+    return {
+        x: position[i3] - SUN_POSITION_PC.x,
+        y: -(position[i3 + 2] - SUN_POSITION_PC.z),
+        z: position[i3 + 1] - SUN_POSITION_PC.y,
+    };
+}
+
+function readRegionNumber(id, fallback = NaN) {
+    const value = parseFloat(document.getElementById(id).value);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+function formatRegionVector(v) {
+    return `(${v.x}, ${v.y}, ${v.z}) pc`;
+}
+
+/**
+ * Selects the stars inside the box, sphere or cone described by the panel's inputs.
+ * @returns {void}
+ */
+function selectRegion() {
+    if (!starState.fullStarData) return;
+    const center = {
+        x: readRegionNumber('region-center-x', 0),
+        y: readRegionNumber('region-center-y', 0),
+        z: readRegionNumber('region-center-z', 0),
+    };
+
+    if (regionState.shape === 'box') {
+        const half = {
+            x: Math.abs(readRegionNumber('region-size-x', 0)) / 2,
+            y: Math.abs(readRegionNumber('region-size-y', 0)) / 2,
+            z: Math.abs(readRegionNumber('region-size-z', 0)) / 2,
+        };
+        setSelection((i) => {
+            const h = getHeliocentricPosition(i);
+            return Math.abs(h.x - center.x) <= half.x && Math.abs(h.y - center.y) <= half.y && Math.abs(h.z - center.z) <= half.z;
+        }, null, `Box of ${half.x * 2} x ${half.y * 2} x ${half.z * 2} pc centred on heliocentric galactic ${formatRegionVector(center)}`);
+    } else if (regionState.shape === 'sphere') {
+        const radius = Math.abs(readRegionNumber('region-radius', 0));
+        setSelection((i) => {
+            const h = getHeliocentricPosition(i);
+            return Math.hypot(h.x - center.x, h.y - center.y, h.z - center.z) <= radius;
+        }, null, `Sphere of radius ${radius} pc centred on heliocentric galactic ${formatRegionVector(center)}`);
+    } else if (regionState.shape === 'cone') {
+        const lDeg = readRegionNumber('region-cone-l', 0);
+        const bDeg = readRegionNumber('region-cone-b', 0);
+        const l = lDeg * (Math.PI / 180);
+        const b = bDeg * (Math.PI / 180);
+        const halfAngle = THREE.MathUtils.clamp(readRegionNumber('region-cone-angle', 0), 0, 90);
+        const maxDistance = readRegionNumber('region-cone-max', Infinity);
+        const axis = { x: Math.cos(b) * Math.cos(l), y: Math.cos(b) * Math.sin(l), z: Math.sin(b) };
+        const minCos = Math.cos(halfAngle * (Math.PI / 180));
+        const catalog = starState.fullStarData;
+        setSelection((i) => {
+            if (catalog.distance[i] > maxDistance) return false;
+            const h = getHeliocentricPosition(i);
+            const length = Math.hypot(h.x, h.y, h.z);
+            return length > 0 && (h.x * axis.x + h.y * axis.y + h.z * axis.z) / length >= minCos;
+        }, null, `Cone from the Sun toward l = ${lDeg}°, b = ${bDeg}° with a half-angle of ${halfAngle}°`
+            + (Number.isFinite(maxDistance) ? ` out to ${maxDistance} pc` : ''));
+    }
+}
+
+/**
+ * Fills the centre (box and sphere) or the axis (cone) from the star whose details are shown.
+ * @returns {void}
+ */
+function setRegionFromSelectedStar() {
+    const index = pickState.selectedIndex;
+    if (index < 0 || !starState.fullStarData) return;
+    const round = (value) => Math.round(value * 10) / 10;
+    if (regionState.shape === 'cone') {
+        const { l, b } = getGalacticLonLat(starState.fullStarData.ra[index], starState.fullStarData.dec[index]);
+        document.getElementById('region-cone-l').value = round(l);
+        document.getElementById('region-cone-b').value = round(b);
+    } else {
+        const h = getHeliocentricPosition(index);
+        document.getElementById('region-center-x').value = round(h.x);
+        document.getElementById('region-center-y').value = round(h.y);
+        document.getElementById('region-center-z').value = round(h.z);
+    }
+}
+
+/**
+ * Whether a point is inside a polygon, by counting edge crossings of a ray to the right.
+ * @param {number} x
+ * @param {number} y
+ * @param {{x: number, y: number}[]} polygon
+ * @returns {boolean}
+ */
+function isInsidePolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > y) !== (b.y > y) && x < a.x + ((y - a.y) / (b.y - a.y)) * (b.x - a.x)) inside = !inside;
+    }
+    return inside;
+}
+
+/**
+ * Selects every star whose current position projects inside a lasso drawn on screen.
+ * @param {{x: number, y: number}[]} points - Client coordinates of the lasso's vertices.
+ * @returns {void}
+ */
+function selectLasso(points) {
+    if (!starState.fullStarData || points.length < REGION_MIN_LASSO_POINTS) return;
+    const rect = renderer.domElement.getBoundingClientRect();
+    const polygon = points.map((point) => ({ x: point.x - rect.left, y: point.y - rect.top }));
+    const xs = polygon.map((point) => point.x);
+    const ys = polygon.map((point) => point.y);
+    const bounds = { left: Math.min(...xs), right: Math.max(...xs), top: Math.min(...ys), bottom: Math.max(...ys) };
+
+    camera.updateMatrixWorld();
+    const time = animationState.simulationTime;
+    const position = new THREE.Vector3();
+    const viewPos = new THREE.Vector3();
+
+    setSelection((i) => {
+        getStarPositionAtTime(i, time, position);
+        viewPos.copy(position).applyMatrix4(camera.matrixWorldInverse);
+        if (viewPos.z >= 0) return false; // Behind the camera
+        viewPos.applyMatrix4(camera.projectionMatrix);
+        const screenX = (viewPos.x + 1) * 0.5 * rect.width;
+        const screenY = (1 - viewPos.y) * 0.5 * rect.height;
+        if (screenX < bounds.left || screenX > bounds.right || screenY < bounds.top || screenY > bounds.bottom) return false;
+        return isInsidePolygon(screenX, screenY, polygon);
+    }, null, 'Lasso in the 3D view');
+}
+
+function getSelectedIndices() {
+    const indices = new Uint32Array(selectionState.count);
+    let n = 0;
+    for (let i = 0; i < selectionState.mask.length && n < indices.length; i++) {
+        if (selectionState.mask[i]) indices[n++] = i;
+    }
+    return indices;
+}
+
+/**
+ * Counts values into equal bins over a range; values outside it go into the end bins.
+ * @param {Uint32Array} indices
+ * @param {ArrayLike<number>} values
+ * @param {number[]} range - [min, max]
+ * @returns {Uint32Array}
+ */
+function histogramSelection(indices, values, range) {
+    const bins = new Uint32Array(REGION_HISTOGRAM_BINS);
+    const scale = REGION_HISTOGRAM_BINS / (range[1] - range[0]);
+    for (const i of indices) {
+        if (Number.isNaN(values[i])) continue;
+        const bin = Math.floor((values[i] - range[0]) * scale);
+        bins[THREE.MathUtils.clamp(bin, 0, REGION_HISTOGRAM_BINS - 1)]++;
+    }
+    return bins;
+}
+
+function drawRegionHistogram(context, bins, range, label, x, width, height) {
+    const maxCount = Math.max(...bins, 1);
+    const plotHeight = height - 24;
+    const barWidth = width / bins.length;
+    context.fillStyle = `rgb(${HR_SELECTION_COLOR.join(', ')})`;
+    bins.forEach((count, bin) => {
+        const barHeight = (count / maxCount) * plotHeight;
+        context.fillRect(x + bin * barWidth, 12 + plotHeight - barHeight, Math.max(barWidth - 1, 1), barHeight);
+    });
+    context.fillStyle = '#aaa';
+    context.textBaseline = 'top';
+    context.textAlign = 'center';
+    context.fillText(label, x + width / 2, 0);
+    context.textAlign = 'left';
+    context.fillText(String(range[0]), x, height - 10);
+    context.textAlign = 'right';
+    context.fillText(String(range[1]), x + width, height - 10);
+}
+
+/**
+ * Rewrites the panel's count, distance range and G magnitude and BP-RP histograms for
+ * the current selection.
+ * @returns {void}
+ */
+function updateRegionSummary() {
+    if (!regionState.visible) return;
+    const summary = document.getElementById('region-summary');
+    const canvas = document.getElementById('region-histograms');
+    const context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    const exportable = starState.fullStarData && selectionState.count > 0;
+    document.getElementById('region-export-csv').disabled = !exportable;
+    document.getElementById('region-export-votable').disabled = !exportable;
+    if (!exportable) {
+        summary.innerText = starState.fullStarData ? 'No stars selected.' : 'Waiting for star data...';
+        canvas.style.display = 'none';
+        return;
+    }
+
+    const indices = getSelectedIndices();
+    const distance = starState.fullStarData.distance;
+    const distances = Float32Array.from(indices, (i) => distance[i]).sort();
+    const median = distances[Math.floor(distances.length / 2)];
+    summary.innerText = `${selectionState.count.toLocaleString()} stars selected\n`
+        + `Distance ${formatDistance(distances[0])} to ${formatDistance(distances[distances.length - 1])}, median ${formatDistance(median)}`;
+
+    canvas.style.display = 'block';
+    context.font = '10px monospace';
+    const half = canvas.width / 2;
+    const { gMag, bpRp } = starState.photometry;
+    drawRegionHistogram(context, histogramSelection(indices, gMag, REGION_G_MAG_RANGE), REGION_G_MAG_RANGE, 'G mag', 0, half - 8, canvas.height);
+    drawRegionHistogram(context, histogramSelection(indices, bpRp, HR_BP_RP_RANGE), HR_BP_RP_RANGE, 'BP-RP', half + 8, half - 8, canvas.height);
+}
+
+/**
+ * Downloads the selected stars with their Gaia and derived columns.
+ * @param {'csv'|'votable'} format
+ * @returns {void}
+ */
+function exportSelection(format) {
+    if (!starState.fullStarData || selectionState.count === 0) return;
+    const indices = getSelectedIndices();
+    const description = `${indices.length} stars selected in GalaxyMap from ${starState.dataUrl}. `
+        + `${selectionState.description || 'Selection'}. Distances by ${DISTANCE_ESTIMATOR_LABELS[starState.fullStarData.stats.estimator]}.`;
+    if (format === 'votable') {
+        const parts = formatVoTable(starState.fullStarData, indices, description);
+        downloadBlob(new Blob(parts, { type: 'application/x-votable+xml' }), 'galaxymap-selection.vot');
+    } else {
+        const parts = formatCsvTable(starState.fullStarData, indices);
+        downloadBlob(new Blob(parts, { type: 'text/csv' }), 'galaxymap-selection.csv');
+    }
+}
+
+function setRegionShape(shape) {
+    regionState.shape = shape;
+    document.querySelectorAll('[data-region-shapes]').forEach((element) => {
+        element.style.display = element.dataset.regionShapes.split(' ').includes(shape) ? '' : 'none';
+    });
+}
+
+function setRegionPanelVisible(visible) {
+    regionState.visible = visible;
+    document.getElementById('region-panel').style.display = visible ? 'block' : 'none';
+    updateRegionSummary();
+}
+
+/**
+ * Sets up the region panel and lasso drawing in the 3D view, which takes over left
+ * drags while the panel is open on the lasso shape.
+ * @returns {void}
+ */
+function setupRegionSelection() {
+    const shapeSelect = document.getElementById('region-shape-select');
+    setRegionShape(shapeSelect.value);
+    shapeSelect.addEventListener('change', () => setRegionShape(shapeSelect.value));
+    document.getElementById('region-button').addEventListener('click', () => setRegionPanelVisible(!regionState.visible));
+    document.getElementById('region-panel-close').addEventListener('click', () => setRegionPanelVisible(false));
+    document.getElementById('region-select-button').addEventListener('click', selectRegion);
+    document.getElementById('region-from-star-button').addEventListener('click', setRegionFromSelectedStar);
+    document.getElementById('region-clear-button').addEventListener('click', clearSelection);
+    document.getElementById('region-export-csv').addEventListener('click', () => exportSelection('csv'));
+    document.getElementById('region-export-votable').addEventListener('click', () => exportSelection('votable'));
+
+    // --- Lasso drawing in 3D ---
+    const view = renderer.domElement;
+    const overlay = document.getElementById('lasso-overlay');
+    const polygon = document.getElementById('lasso-polygon');
+    let controlsWereEnabled = null;
+
+    const drawLasso = () => {
+        polygon.setAttribute('points', regionState.lasso.map((point) => `${point.x},${point.y}`).join(' '));
+    };
+
+    // Capture phase, so the camera controls are switched off before they see the press
+    view.addEventListener('pointerdown', (event) => {
+        if (!regionState.visible || regionState.shape !== 'lasso' || event.shiftKey || event.button !== 0 || skyState.active) return;
+        regionState.lasso = [{ x: event.clientX, y: event.clientY }];
+        controlsWereEnabled = { orbit: controls.enabled, fly: flyControls.enabled };
+        controls.enabled = false;
+        flyControls.enabled = false;
+        drawLasso();
+        overlay.style.display = 'block';
+        view.setPointerCapture(event.pointerId);
+    }, { capture: true });
+
+    view.addEventListener('pointermove', (event) => {
+        if (!regionState.lasso) return;
+        const last = regionState.lasso[regionState.lasso.length - 1];
+        if (Math.hypot(event.clientX - last.x, event.clientY - last.y) < REGION_LASSO_SPACING_PX) return;
+        regionState.lasso.push({ x: event.clientX, y: event.clientY });
+        drawLasso();
+    });
+
+    const endLasso = () => {
+        const points = regionState.lasso;
+        regionState.lasso = null;
+        overlay.style.display = 'none';
+        controls.enabled = controlsWereEnabled.orbit;
+        flyControls.enabled = controlsWereEnabled.fly;
+        return points;
+    };
+
+    view.addEventListener('pointerup', () => {
+        if (regionState.lasso) selectLasso(endLasso());
+    });
+
+    // An interrupted touch or lost capture drops the lasso without selecting
+    view.addEventListener('pointercancel', () => {
+        if (regionState.lasso) endLasso();
+    });
+}
+
+// --- Colour Modes & Filters ---
+// Stars can be coloured by a derived quantity instead of their BP-RP colour. The
+// colour attribute is a working copy of the catalogue colours, rewritten in place
+// when the mode changes. Range filters hide stars on the GPU: each quantity has a
+// [min, max] uniform and the shader drops stars outside it, so dragging a limit is
+// as cheap as any other uniform change. Picking applies the same test on the CPU.
+
+const FILTER_NO_LIMIT = 1e30; // Stands in for an open end of a range in the shader
+const MISSING_VALUE_COLOR = [0.3, 0.3, 0.3]; // Stars without the quantity, e.g. no parallax error
+const UNSELECTED_COLOR = [0.35, 0.35, 0.35];
+// Plasma-like, dark blue through purple and orange to yellow
+const SEQUENTIAL_RAMP = [[0.05, 0.03, 0.53], [0.49, 0.01, 0.66], [0.8, 0.28, 0.47], [0.97, 0.59, 0.25], [0.94, 0.98, 0.13]];
+// Blue below the disk, grey in it, red above
+const DIVERGING_RAMP = [[0.23, 0.3, 0.75], [0.87, 0.87, 0.87], [0.71, 0.02, 0.15]];
+
+// value(index) returns the quantity on the scale that `range` maps onto the ramp
+const COLOR_MODES = {
+    true: { label: 'True colour (BP-RP)' },
+    absMag: {
+        label: 'Absolute magnitude',
+        ramp: SEQUENTIAL_RAMP,
+        range: [15, -5],
+        legend: ['M 15', 'M -5'],
+        value: (index) => starState.photometry.absMag[index],
+    },
+    distance: {
+        label: 'Distance from Sun',
+        ramp: SEQUENTIAL_RAMP,
+        range: [1, 4],
+        legend: ['10 pc', '10 kpc'],
+        value: (index) => Math.log10(starState.fullStarData.distance[index]),
+    },
+    height: {
+        label: 'Height above the disk',
+        ramp: DIVERGING_RAMP,
+        range: [-1000, 1000],
+        legend: ['-1 kpc', '+1 kpc'],
+        value: (index) => starState.fullStarData.position[index * 3 + 1],
+    },
+    parallaxSnr: {
+        label: 'Parallax S/N',
+        ramp: SEQUENTIAL_RAMP,
+        range: [0, 2],
+        legend: ['1', '100'],
+        value: (index) => (colorState.parallaxSnr[index] > 0 ? Math.log10(colorState.parallaxSnr[index]) : NaN),
+    },
+    selected: { label: 'Selected set' },
+};
+
+// Filterable quantities, each matched by a vec2 uniform in the star shader
+const STAR_FILTERS = {
+    distance: { uniform: 'u_filter_distance', value: (index) => starState.fullStarData.distance[index] },
+    absMag: { uniform: 'u_filter_abs_mag', value: (index) => starState.photometry.absMag[index] },
+    height: { uniform: 'u_filter_height', value: (index) => starState.fullStarData.position[index * 3 + 1] },
+    parallaxSnr: { uniform: 'u_filter_snr', value: (index) => colorState.parallaxSnr[index] },
+};
+
+const FILTER_COUNT_DELAY_MS = 250; // Typing pause before the stars passing the filters are counted again
+
+const FILTER_PRESETS = {
+    nearby: { distance: [-Infinity, 500] },
+    giants: { absMag: [-Infinity, 0] },
+    precise: { parallaxSnr: [5, Infinity] },
+};
+
+const colorState = {
+    mode: 'true',
+    colors: null, // Float32Array behind the 'color' attribute
+    parallaxSnr: null, // Float32Array, parallax / parallax_error; 0 when the error is unknown
+    filters: Object.fromEntries(Object.keys(STAR_FILTERS).map((key) => [key, [-Infinity, Infinity]])),
+    countTimer: null, // Pending countFilteredStars(), if the filters changed since the last count
+};
+
+/**
+ * Parallax signal-to-noise for every star, or zeros when the catalogue has no
+ * parallax_error column.
+ * @param {object} catalog
+ * @returns {Float32Array}
+ */
+function computeParallaxSnr(catalog) {
+    const snr = new Float32Array(catalog.count);
+    if (!catalog.parallaxError) return snr;
+    for (let i = 0; i < catalog.count; i++) {
+        const error = catalog.parallaxError[i];
+        if (error > 0) snr[i] = catalog.parallax[i] / error;
+    }
+    return snr;
+}
+
+function sampleRamp(ramp, t, out, offset) {
+    const position = Math.min(Math.max(t, 0), 1) * (ramp.length - 1);
+    const index = Math.min(Math.floor(position), ramp.length - 2);
+    const f = position - index;
+    for (let c = 0; c < 3; c++) out[offset + c] = ramp[index][c] + (ramp[index + 1][c] - ramp[index][c]) * f;
+}
+
+/**
+ * Rewrites the colour attribute for the current colour mode.
+ * @returns {void}
+ */
+function applyColorMode() {
+    if (!starState.starPoints) return;
+    const catalog = starState.fullStarData;
+    const colors = colorState.colors;
+    const mode = COLOR_MODES[colorState.mode];
+
+    if (colorState.mode === 'true') {
+        colors.set(starState.photometry.color);
+    } else if (colorState.mode === 'selected') {
+        const highlight = HR_SELECTION_COLOR.map((c) => c / 255);
+        for (let i = 0; i < catalog.count; i++) {
+            const color = selectionState.mask[i] ? highlight : UNSELECTED_COLOR;
+            colors[i * 3] = color[0];
+            colors[i * 3 + 1] = color[1];
+            colors[i * 3 + 2] = color[2];
+        }
+    } else {
+        const [low, high] = mode.range;
+        for (let i = 0; i < catalog.count; i++) {
+            const value = mode.value(i);
+            if (Number.isNaN(value)) {
+                colors.set(MISSING_VALUE_COLOR, i * 3);
+            } else {
+                sampleRamp(mode.ramp, (value - low) / (high - low), colors, i * 3);
+            }
+        }
+    }
+    starState.starPoints.geometry.getAttribute('color').needsUpdate = true;
+    drawColorLegend();
+}
+
+/**
+ * Shows the ramp and its end values under the colour mode selector.
+ * @returns {void}
+ */
+function drawColorLegend() {
+    const mode = COLOR_MODES[colorState.mode];
+    const legend = document.getElementById('color-legend');
+    legend.style.display = mode.ramp ? 'block' : 'none';
+    if (!mode.ramp) return;
+
+    const canvas = document.getElementById('color-legend-canvas');
+    const context = canvas.getContext('2d');
+    const rgb = [0, 0, 0];
+    for (let x = 0; x < canvas.width; x++) {
+        sampleRamp(mode.ramp, x / (canvas.width - 1), rgb, 0);
+        context.fillStyle = `rgb(${rgb.map((c) => Math.round(c * 255)).join(',')})`;
+        context.fillRect(x, 0, 1, canvas.height);
+    }
+    document.getElementById('color-legend-min').innerText = mode.legend[0];
+    document.getElementById('color-legend-max').innerText = mode.legend[1];
+}
+
+/**
+ * True if a star is inside every range filter. Mirrors the test in the star shader.
+ * @param {number} index - Index into starState.fullStarData.
+ * @returns {boolean}
+ */
+function passesStarFilters(index) {
+    for (const key in STAR_FILTERS) {
+        const [min, max] = colorState.filters[key];
+        if (min === -Infinity && max === Infinity) continue;
+        const value = STAR_FILTERS[key].value(index);
+        if (!(value >= min && value <= max)) return false;
+    }
+    return true;
+}
+
+/**
+ * Sends the filter ranges to the shader and, once typing pauses, reports how many stars pass.
+ * @returns {void}
+ */
+function applyStarFilters() {
+    if (!starState.starPoints) return;
+    const uniforms = starState.starMaterial.uniforms;
+    const clampLimit = (value) => Math.min(Math.max(value, -FILTER_NO_LIMIT), FILTER_NO_LIMIT);
+    for (const key in STAR_FILTERS) {
+        const [min, max] = colorState.filters[key];
+        uniforms[STAR_FILTERS[key].uniform].value.set(clampLimit(min), clampLimit(max));
+    }
+    if (pickState.selectedIndex >= 0 && !passesStarFilters(pickState.selectedIndex)) selectStar(-1);
+
+    // Counting walks the whole catalogue, too slow to repeat on every keystroke
+    clearTimeout(colorState.countTimer);
+    colorState.countTimer = setTimeout(countFilteredStars, FILTER_COUNT_DELAY_MS);
+}
+
+function countFilteredStars() {
+    colorState.countTimer = null;
+    if (!starState.starPoints) return;
+    const count = starState.fullStarData.count;
+    let shown = 0;
+    for (let i = 0; i < count; i++) {
+        if (passesStarFilters(i)) shown++;
+    }
+    document.getElementById('filter-info').innerText = `Showing ${shown.toLocaleString()} of ${count.toLocaleString()} stars`;
+}
+
+/**
+ * Sets every filter from a preset (unlisted quantities are cleared) and updates the inputs.
+ * @param {object} ranges - e.g. { distance: [-Infinity, 500] }
+ * @returns {void}
+ */
+function setStarFilters(ranges) {
+    for (const key in STAR_FILTERS) {
+        colorState.filters[key] = ranges[key] ? [...ranges[key]] : [-Infinity, Infinity];
+        const [min, max] = colorState.filters[key];
+        document.getElementById(`filter-${key}-min`).value = Number.isFinite(min) ? min : '';
+        document.getElementById(`filter-${key}-max`).value = Number.isFinite(max) ? max : '';
+    }
+    applyStarFilters();
+}
+
+/**
+ * Wires up the colour mode selector and the filters popup.
+ * @returns {void}
+ */
+function setupColorModes() {
+    const modeSelect = document.getElementById('color-mode-select');
+    modeSelect.addEventListener('change', () => {
+        colorState.mode = modeSelect.value;
+        applyColorMode();
+    });
+
+    for (const key in STAR_FILTERS) {
+        ['min', 'max'].forEach((end, side) => {
+            const input = document.getElementById(`filter-${key}-${end}`);
+            input.addEventListener('input', () => {
+                const value = parseFloat(input.value);
+                colorState.filters[key][side] = Number.isFinite(value) ? value : (side === 0 ? -Infinity : Infinity);
+                applyStarFilters();
+            });
+        });
+    }
+    document.querySelectorAll('[data-filter-preset]').forEach((button) => {
+        button.addEventListener('click', () => setStarFilters(FILTER_PRESETS[button.dataset.filterPreset] || {}));
+    });
+}
+
+/**
+ * Applies the colour mode and filters to a newly created star field.
+ * @returns {void}
+ */
+function initColorModes() {
+    const hasErrors = Boolean(starState.fullStarData.parallaxError);
+    const note = hasErrors ? '' : ' (needs parallax_error)';
+    const option = document.querySelector('#color-mode-select option[value="parallaxSnr"]');
+    option.disabled = !hasErrors;
+    option.innerText = COLOR_MODES.parallaxSnr.label + note;
+    document.getElementById('filter-parallaxSnr-note').innerText = note;
+    // Every star's S/N is 0 without errors, so an S/N range would hide them all
+    document.querySelector('[data-filter-preset="precise"]').disabled = !hasErrors;
+    document.getElementById('filter-parallaxSnr-min').disabled = !hasErrors;
+    document.getElementById('filter-parallaxSnr-max').disabled = !hasErrors;
+    applyColorMode();
+    applyStarFilters();
+}
+
+// --- Interstellar Dust ---
+// Every star carries the extinction A_G and reddening E(BP-RP) chosen when the catalogue
+// was built: Gaia's GSP-Phot values where present, otherwise the dust model in
+// starCatalog.js. Dereddening swaps the magnitudes and colours the rest of the map
+// reads (starState.photometry) for intrinsic ones, so brightness, the HR diagram,
+// colour modes and filters all follow the toggle.
+
+const dustState = {
+    dereddened: false,
+    intrinsic: null, // Dereddened photometry, computed the first time it is needed
+};
+
+/**
+ * Intrinsic magnitudes and colours: observed values with the extinction and reddening removed.
+ * @param {object} catalog
+ * @returns {{absMag: Float32Array, bpRp: Float32Array, gMag: Float32Array, color: Float32Array}}
+ */
+function computeIntrinsicPhotometry(catalog) {
+    const intrinsic = {
+        absMag: new Float32Array(catalog.count),
+        bpRp: new Float32Array(catalog.count),
+        gMag: new Float32Array(catalog.count),
+        color: new Float32Array(catalog.count * 3),
+    };
+    for (let i = 0; i < catalog.count; i++) {
+        intrinsic.absMag[i] = catalog.absMag[i] - catalog.extinction[i];
+        intrinsic.gMag[i] = catalog.gMag[i] - catalog.extinction[i];
+        intrinsic.bpRp[i] = catalog.bpRp[i] - catalog.colorExcess[i];
+        getStarColorFromBpRp(intrinsic.bpRp[i], intrinsic.color, i * 3);
+    }
+    return intrinsic;
+}
+
+/**
+ * The photometry the map should show for the current dust setting.
+ * @returns {{absMag: Float32Array, bpRp: Float32Array, gMag: Float32Array, color: Float32Array}}
+ */
+function getPhotometry() {
+    const catalog = starState.fullStarData;
+    if (!dustState.dereddened) {
+        return { absMag: catalog.absMag, bpRp: catalog.bpRp, gMag: catalog.gMag, color: catalog.color };
+    }
+    if (!dustState.intrinsic) dustState.intrinsic = computeIntrinsicPhotometry(catalog);
+    return dustState.intrinsic;
+}
+
+/**
+ * Star detail rows for the extinction, reddening and dereddened photometry of a star.
+ * @param {number} index
+ * @returns {string[][]}
+ */
+function getDustRows(index) {
+    const catalog = starState.fullStarData;
+    const measured = (catalog.extinctionG && !Number.isNaN(catalog.extinctionG[index]))
+        || (catalog.reddening && !Number.isNaN(catalog.reddening[index]));
+    const source = measured ? 'Gaia' : 'model';
+    return [
+        ['Extinction A_G', `${catalog.extinction[index].toFixed(3)} (${source})`],
+        ['Reddening E(BP-RP)', `${catalog.colorExcess[index].toFixed(3)} (${source})`],
+        ['Dereddened BP-RP', (catalog.bpRp[index] - catalog.colorExcess[index]).toFixed(3)],
+        ['Dereddened abs. mag', (catalog.absMag[index] - catalog.extinction[index]).toFixed(2)],
+    ];
+}
+
+/**
+ * Switches the map between observed and dereddened magnitudes and colours.
+ * @param {boolean} enabled
+ * @returns {void}
+ */
+function setDereddened(enabled) {
+    dustState.dereddened = enabled;
+    document.getElementById('deredden-checkbox').checked = enabled;
+    if (!starState.starPoints) return;
+
+    starState.photometry = getPhotometry();
+    const geometry = starState.starPoints.geometry;
+    for (const name of ['absMag', 'gMag']) {
+        const attribute = geometry.getAttribute(name);
+        attribute.array.set(starState.photometry[name]);
+        attribute.needsUpdate = true;
+    }
+    applyColorMode();
+    applyStarFilters();
+    buildHrDiagram();
+    // The selected stars stay selected, but a diagram brush no longer outlines them
+    selectionState.brush = null;
+    onSelectionChanged();
+}
+
+/**
+ * Wires up the dust correction toggle.
+ * @returns {void}
+ */
+function setupDust() {
+    const checkbox = document.getElementById('deredden-checkbox');
+    checkbox.addEventListener('change', () => setDereddened(checkbox.checked));
+}
+
+// --- Catalogue Layers ---
+// Besides the Gaia star field, any number of small catalogues can be loaded as layers:
+// open clusters, Cepheids, masers or a list of targets. Each layer is its own points
+// object with a colour, a point size and a visibility toggle, and turns with the disk
+// like the stars. Layers come from a URL or a CSV file opened or dropped on the page,
+// with the column mapping chosen when they are added (see parseLayerCsv). URL layers
+// are remembered in localStorage; file layers last for the session.
+
+const LAYER_STORAGE_KEY = 'galaxymap.layers';
+const LAYER_COLORS = ['#ff7f50', '#7fdbff', '#2ecc40', '#f012be', '#ffdc00', '#b0a0ff'];
+const LAYER_DEFAULT_POINT_SIZE = 6; // Screen pixels
+const LAYER_MAX_POINT_SIZE = 40;
+
+const layerState = {
+    layers: [], // [{ id, name, color, size, visible, url, mapping, count, names, points }]
+    nextId: 1,
+    starsVisible: true, // The Gaia star field's own toggle
+    pending: null, // { name, url, text } waiting for its column mapping
+    pixelScale: 1.0, // Device pixels per screen pixel (larger while exporting)
+};
+
+/**
+ * Material for a layer: fixed-size round markers carried round by the same
+ * rotation as the star shader.
+ * @param {string} color - CSS colour.
+ * @param {number} size - Point diameter in screen pixels.
+ * @returns {THREE.ShaderMaterial}
+ */
+function createLayerMaterial(color, size) {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            u_time: { value: animationState.simulationTime },
+            u_color: { value: new THREE.Color(color) },
+            u_point_size: { value: size },
+            u_pixel_scale: { value: layerState.pixelScale },
+        },
+        transparent: true,
+        depthWrite: false,
+        vertexShader: `
+            attribute float radius;
+            attribute float initialAngle;
+            attribute float angularVelocity;
+            uniform float u_time;
+            uniform float u_point_size;
+            uniform float u_pixel_scale;
+            void main() {
+                float angle = initialAngle + angularVelocity * u_time;
+                vec3 rotated = vec3(radius * cos(angle), position.y, radius * sin(angle));
+                gl_PointSize = u_point_size * u_pixel_scale;
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(rotated, 1.0);
+            }`,
+        fragmentShader: `
+            uniform vec3 u_color;
+            void main() {
+                float dist = length(gl_PointCoord.xy - 0.5);
+                if (dist > 0.5) discard;
+                // Bright rim around a translucent core, so layers stand out from stars
+                float alpha = mix(0.45, 1.0, smoothstep(0.3, 0.45, dist)) * (1.0 - smoothstep(0.45, 0.5, dist));
+                gl_FragColor = vec4(u_color, alpha);
+            }`,
+    });
+}
+
+/**
+ * Builds a layer's points object from parsed positions.
+ * @param {object} layer
+ * @param {Float32Array} position - Galactocentric x, y, z per point (pc).
+ * @returns {void}
+ */
+function createLayerPoints(layer, position) {
+    const count = position.length / 3;
+    const radius = new Float32Array(count);
+    const initialAngle = new Float32Array(count);
+    const angularVelocity = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+        const x = position[i * 3];
+        const z = position[i * 3 + 2];
+        radius[i] = Math.sqrt(x * x + z * z);
+        initialAngle[i] = Math.atan2(z, x);
+        angularVelocity[i] = getAngularVelocity(radius[i]);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(position, 3));
+    geometry.setAttribute('radius', new THREE.BufferAttribute(radius, 1));
+    geometry.setAttribute('initialAngle', new THREE.BufferAttribute(initialAngle, 1));
+    geometry.setAttribute('angularVelocity', new THREE.BufferAttribute(angularVelocity, 1));
+    layer.points = new THREE.Points(geometry, createLayerMaterial(layer.color, layer.size));
+    // Drawn over the stars, and moved by the shader so the bounding sphere is stale
+    layer.points.renderOrder = 1;
+    layer.points.frustumCulled = false;
+    layer.points.visible = layer.visible;
+    scene.add(layer.points);
+}
+
+/**
+ * Parses a catalogue and adds it as a layer.
+ * @param {object} options
+ * @param {string} options.name
+ * @param {string} options.text - CSV contents.
+ * @param {object} options.mapping - See guessLayerMapping().
+ * @param {string|null} [options.url] - Where the file came from, if it can be fetched again.
+ * @param {string} [options.color]
+ * @param {number} [options.size]
+ * @param {boolean} [options.visible=true]
+ * @returns {object} The new layer. Throws if no row has a usable position.
+ */
+function addLayer({ name, text, mapping, url = null, color, size = LAYER_DEFAULT_POINT_SIZE, visible = true }) {
+    const parsed = parseLayerCsv(text, mapping);
+    const id = layerState.nextId++;
+    const layer = {
+        id,
+        name,
+        color: color || LAYER_COLORS[(id - 1) % LAYER_COLORS.length],
+        size,
+        visible,
+        url,
+        mapping,
+        count: parsed.count,
+        skipped: parsed.skipped,
+        names: parsed.names,
+        points: null,
+    };
+    createLayerPoints(layer, parsed.position);
+    layerState.layers.push(layer);
+    saveLayers();
+    renderLayers();
+    return layer;
+}
+
+function removeLayer(layer) {
+    scene.remove(layer.points);
+    layer.points.geometry.dispose();
+    layer.points.material.dispose();
+    layerState.layers.splice(layerState.layers.indexOf(layer), 1);
+    saveLayers();
+    renderLayers();
+}
+
+function setStarsVisible(visible) {
+    layerState.starsVisible = visible;
+    if (starState.starPoints) starState.starPoints.visible = visible;
+    renderLayers();
+}
+
+/**
+ * Re-derives layer angular velocities after a rotation curve change, rebasing
+ * their starting angles like setRotationCurve does for stars.
+ * @param {number} time - Current simulation time in years.
+ * @returns {void}
+ */
+function refreshLayerRotation(time) {
+    for (const layer of layerState.layers) {
+        const geometry = layer.points.geometry;
+        const radius = geometry.attributes.radius.array;
+        const initialAngle = geometry.attributes.initialAngle.array;
+        const angularVelocity = geometry.attributes.angularVelocity.array;
+        for (let i = 0; i < radius.length; i++) {
+            const newVelocity = getAngularVelocity(radius[i]);
+            initialAngle[i] += (angularVelocity[i] - newVelocity) * time;
+            angularVelocity[i] = newVelocity;
+        }
+        geometry.attributes.initialAngle.needsUpdate = true;
+        geometry.attributes.angularVelocity.needsUpdate = true;
+    }
+}
+
+/**
+ * Per-frame layer update: keeps every layer on the current simulation time.
+ * @returns {void}
+ */
+function updateLayers() {
+    for (const layer of layerState.layers) {
+        layer.points.material.uniforms.u_time.value = animationState.simulationTime;
+    }
+}
+
+/**
+ * Scales layer point sizes, e.g. for an export larger than the screen.
+ * @param {number} scale - Device pixels per screen pixel.
+ * @returns {void}
+ */
+function setLayerPixelScale(scale) {
+    layerState.pixelScale = scale;
+    for (const layer of layerState.layers) {
+        layer.points.material.uniforms.u_pixel_scale.value = scale;
+    }
+}
+
+function saveLayers() {
+    // File layers cannot be reloaded, so only layers with a URL are kept
+    const saved = layerState.layers
+        .filter((layer) => layer.url)
+        .map(({ name, url, mapping, color, size, visible }) => ({ name, url, mapping, color, size, visible }));
+    try {
+        localStorage.setItem(LAYER_STORAGE_KEY, JSON.stringify(saved));
+    } catch (error) {
+        console.warn('Could not save layers to localStorage.', error);
+    }
+}
+
+async function fetchLayerText(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP error! Status: ${response.status}`);
+    return response.text();
+}
+
+/**
+ * Reloads the layers saved from URLs in an earlier session.
+ * @returns {Promise<void>}
+ */
+async function loadSavedLayers() {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem(LAYER_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.warn('Ignoring unreadable layers in localStorage.', error);
+        return;
+    }
+    if (!Array.isArray(saved)) return;
+    for (const entry of saved) {
+        if (!entry || typeof entry.url !== 'string' || !entry.mapping) continue;
+        try {
+            addLayer({ ...entry, text: await fetchLayerText(entry.url) });
+        } catch (error) {
+            console.warn(`Could not reload layer "${entry.name}" from ${entry.url}.`, error);
+        }
+    }
+}
+
+function setLayerStatus(message) {
+    document.getElementById('layer-status').innerText = message;
+}
+
+/**
+ * Shows the column mapping form for a file that has just been read.
+ * @param {string} name - Suggested layer name (usually the file name).
+ * @param {string} text - CSV contents.
+ * @param {string|null} url
+ * @returns {void}
+ */
+function startLayerMapping(name, text, url) {
+    const { columns, mapping } = guessLayerMapping(text);
+    layerState.pending = { name, text, url };
+
+    document.getElementById('layer-name-input').value = name.replace(/\.[^.]*$/, '');
+    document.getElementById('layer-frame-select').value = mapping.frame;
+    document.querySelectorAll('[data-layer-field]').forEach((select) => {
+        select.innerHTML = '';
+        select.append(new Option('(none)', '-1'));
+        columns.forEach((column, index) => select.append(new Option(column, String(index))));
+        select.value = String(mapping[select.dataset.layerField]);
+    });
+    updateLayerMappingFrame();
+    document.getElementById('layer-mapping').style.display = 'block';
+    setLayerStatus(`${columns.length} columns found. Check the mapping and press "Add Layer".`);
+}
+
+function updateLayerMappingFrame() {
+    const frame = document.getElementById('layer-frame-select').value;
+    document.querySelectorAll('[data-layer-frame]').forEach((row) => {
+        row.style.display = row.dataset.layerFrame === frame ? 'flex' : 'none';
+    });
+}
+
+function readLayerMapping() {
+    const mapping = { frame: document.getElementById('layer-frame-select').value };
+    for (const field of LAYER_FIELDS) {
+        const select = document.querySelector(`[data-layer-field="${field}"]`);
+        mapping[field] = parseInt(select.value, 10);
+    }
+    return mapping;
+}
+
+function finishLayerMapping() {
+    const pending = layerState.pending;
+    if (!pending) return;
+    const name = document.getElementById('layer-name-input').value.trim() || pending.name;
+    try {
+        const layer = addLayer({ name, text: pending.text, url: pending.url, mapping: readLayerMapping() });
+        setLayerStatus(`Added ${layer.count.toLocaleString()} points to "${layer.name}"${layer.skipped ? ` (${layer.skipped} rows skipped)` : ''}.`);
+    } catch (error) {
+        setLayerStatus(`Could not add the layer: ${error.message}`);
+        return;
+    }
+    cancelLayerMapping();
+}
+
+function cancelLayerMapping() {
+    layerState.pending = null;
+    document.getElementById('layer-mapping').style.display = 'none';
+}
+
+async function readLayerFile(file) {
+    try {
+        startLayerMapping(file.name, await file.text(), null);
+    } catch (error) {
+        setLayerStatus(`Could not read ${file.name}: ${error.message}`);
+    }
+}
+
+/**
+ * Redraws the layer list in the popup and the legend in the control panel.
+ * @returns {void}
+ */
+function renderLayers() {
+    const list = document.getElementById('layer-list');
+    const legend = document.getElementById('layer-legend');
+    list.innerHTML = '';
+    legend.innerHTML = '';
+
+    const addLegendEntry = (name, color) => {
+        const entry = document.createElement('div');
+        entry.className = 'layer-legend-entry';
+        const swatch = document.createElement('span');
+        swatch.className = 'layer-swatch';
+        swatch.style.background = color;
+        entry.append(swatch, document.createTextNode(name));
+        legend.appendChild(entry);
+    };
+
+    const createToggle = (checked, onChange) => {
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.style.width = 'auto';
+        toggle.checked = checked;
+        toggle.title = 'Show or hide';
+        toggle.addEventListener('change', () => onChange(toggle.checked));
+        return toggle;
+    };
+
+    // The Gaia star field is always the first layer
+    const starsRow = document.createElement('div');
+    starsRow.className = 'bookmark-row';
+    const starsName = document.createElement('span');
+    starsName.style.flex = '1';
+    const starCount = starState.fullStarData ? ` (${starState.fullStarData.count.toLocaleString()})` : '';
+    starsName.innerText = `Gaia stars${starCount}`;
+    starsRow.append(createToggle(layerState.starsVisible, setStarsVisible), starsName);
+    list.appendChild(starsRow);
+    if (layerState.starsVisible) addLegendEntry('Gaia stars', '#fff4e8');
+
+    for (const layer of layerState.layers) {
+        const row = document.createElement('div');
+        row.className = 'bookmark-row';
+
+        const toggle = createToggle(layer.visible, (visible) => {
+            layer.visible = visible;
+            layer.points.visible = visible;
+            saveLayers();
+            renderLayers();
+        });
+
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.value = layer.color;
+        color.title = 'Colour';
+        color.className = 'layer-color';
+        color.addEventListener('input', () => {
+            layer.color = color.value;
+            layer.points.material.uniforms.u_color.value.set(color.value);
+        });
+        color.addEventListener('change', () => {
+            saveLayers();
+            renderLayers();
+        });
+
+        const name = document.createElement('span');
+        name.style.flex = '1';
+        name.innerText = `${layer.name} (${layer.count.toLocaleString()})`;
+        name.title = layer.url || 'Local file';
+
+        const size = document.createElement('input');
+        size.type = 'number';
+        size.className = 'tour-seconds';
+        size.min = '1';
+        size.max = String(LAYER_MAX_POINT_SIZE);
+        size.value = String(layer.size);
+        size.title = 'Point size in pixels';
+        size.addEventListener('change', () => {
+            const value = parseFloat(size.value);
+            if (!(value >= 1)) return;
+            layer.size = Math.min(value, LAYER_MAX_POINT_SIZE);
+            layer.points.material.uniforms.u_point_size.value = layer.size;
+            saveLayers();
+        });
+
+        const remove = document.createElement('button');
+        remove.innerHTML = '&times;';
+        remove.title = 'Remove layer';
+        remove.addEventListener('click', () => removeLayer(layer));
+
+        row.append(toggle, color, name, size, remove);
+        list.appendChild(row);
+        if (layer.visible) addLegendEntry(layer.name, layer.color);
+    }
+}
+
+/**
+ * Wires up the layers popup and drag-and-drop, then reloads saved layers.
+ * @returns {void}
+ */
+function setupLayers() {
+    const urlInput = document.getElementById('layer-url');
+    const fileInput = document.getElementById('layer-file-input');
+
+    document.getElementById('layer-load-url').addEventListener('click', async () => {
+        const url = urlInput.value.trim();
+        if (!url) return;
+        setLayerStatus(`Loading ${url}...`);
+        try {
+            startLayerMapping(url.split('/').pop() || url, await fetchLayerText(url), url);
+        } catch (error) {
+            setLayerStatus(`Could not load ${url}: ${error.message}`);
+        }
+    });
+    document.getElementById('layer-open-file').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) readLayerFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+    document.getElementById('layer-frame-select').addEventListener('change', updateLayerMappingFrame);
+    document.getElementById('layer-add').addEventListener('click', finishLayerMapping);
+    document.getElementById('layer-cancel').addEventListener('click', cancelLayerMapping);
+
+    // A CSV dropped anywhere on the page becomes a new layer
+    window.addEventListener('dragover', (event) => {
+        if (event.dataTransfer && event.dataTransfer.types.includes('Files')) event.preventDefault();
+    });
+    window.addEventListener('drop', (event) => {
+        if (!event.dataTransfer || event.dataTransfer.files.length === 0) return;
+        event.preventDefault();
+        document.getElementById('layers-popup').classList.add('active');
+        readLayerFile(event.dataTransfer.files[0]);
+    });
+
+    renderLayers();
+    loadSavedLayers();
+}
+
+// --- Landmarks & Annotations ---
+// Named places from landmarks.json (bright stars, Messier and NGC clusters and nebulae,
+// the spiral arms) and the user's own annotations are drawn as HTML labels over the
+// canvas. Each frame the labels are projected to the screen, sized by distance and
+// placed in priority order, skipping any that would overlap one already placed.
+// Landmarks turn with the disk like the stars; clicking a label flies there.
+// Entries give ra/dec/distance (pc) or astropy-style galactocentric x/y/z (pc).
+
+const LANDMARKS_URL = 'landmarks.json';
+const LANDMARKS_STORAGE_KEY = 'galaxymap.landmarks';
+// Labels fade out beyond maxDistance (pc from the camera) and, for arms, inside minDistance.
+// Higher priority labels win when two overlap.
+const LANDMARK_TYPES = {
+    annotation: { label: 'My annotations', color: '#7fff9f', priority: 4, minDistance: 0, maxDistance: Infinity, flyDistance: 50 },
+    arm: { label: 'Spiral arms', color: '#ffd27f', priority: 3, minDistance: 1500, maxDistance: Infinity, flyDistance: 4000 },
+    center: { label: 'Galactic centre', color: '#ffd700', priority: 3, minDistance: 0, maxDistance: Infinity, flyDistance: 100 },
+    cluster: { label: 'Clusters', color: '#9fd8ff', priority: 2, minDistance: 0, maxDistance: 20000, flyDistance: 40 },
+    nebula: { label: 'Nebulae', color: '#ff9fd0', priority: 2, minDistance: 0, maxDistance: 20000, flyDistance: 40 },
+    star: { label: 'Named stars', color: '#fff4c0', priority: 1, minDistance: 0, maxDistance: 2000, flyDistance: 5 },
+};
+const LANDMARK_FONT_PX = { min: 9, max: 16, perDecade: 2.5 }; // Shrinks by perDecade per decade beyond flyDistance
+const LANDMARK_LABEL_PADDING_PX = 4;
+const LANDMARK_FADE_SHARE = 0.3; // Share of the distance range over which labels fade
+
+const landmarkState = {
+    landmarks: [], // [{ name, type, radius, y, initialAngle, angularVelocity, element }]
+    annotations: [], // [{ name, position: [x, y, z] }], map positions at time 0
+    hiddenTypes: new Set(),
+};
+
+/**
+ * Creates a landmark from a galactocentric scene position at time 0, with its label.
+ * @param {string} name
+ * @param {string} type - Key of LANDMARK_TYPES.
+ * @param {{x: number, y: number, z: number}} position
+ * @returns {object}
+ */
+function createLandmark(name, type, position) {
+    const landmark = {
+        name,
+        type,
+        ...getDiskPoint(position),
+        element: document.createElement('div'),
+    };
+    landmark.element.className = 'landmark-label';
+    landmark.element.innerText = name;
+    landmark.element.style.color = LANDMARK_TYPES[type].color;
+    landmark.element.addEventListener('click', () => flyToLandmark(landmark));
+    document.getElementById('landmark-labels').appendChild(landmark.element);
+    return landmark;
+}
+
+/**
+ * Orbit of a fixed point carried round by the disk, in the form getLandmarkPosition reads.
+ * @param {{x: number, y: number, z: number}} position - Galactocentric scene position at time 0.
+ * @returns {{radius: number, y: number, initialAngle: number, angularVelocity: number}}
+ */
+function getDiskPoint(position) {
+    const radius = Math.sqrt(position.x ** 2 + position.z ** 2);
+    return {
+        radius,
+        y: position.y,
+        initialAngle: Math.atan2(position.z, position.x),
+        angularVelocity: getAngularVelocity(radius),
+    };
+}
+
+function getLandmarkPosition(landmark, time, target) {
+    const angle = landmark.initialAngle + landmark.angularVelocity * time;
+    return target.set(landmark.radius * Math.cos(angle), landmark.y, landmark.radius * Math.sin(angle));
+}
+
+function flyToLandmark(landmark) {
+    const target = new THREE.Vector3();
+    flyTo({
+        target: () => getLandmarkPosition(landmark, animationState.simulationTime, target),
+        distance: LANDMARK_TYPES[landmark.type].flyDistance,
+    });
+}
+
+/**
+ * Rebases landmark angles after a rotation curve change, as setRotationCurve does for stars.
+ * @param {number} time - Current simulation time in years.
+ * @returns {void}
+ */
+function refreshLandmarkRotation(time) {
+    for (const landmark of landmarkState.landmarks) {
+        const newVelocity = getAngularVelocity(landmark.radius);
+        landmark.initialAngle += (landmark.angularVelocity - newVelocity) * time;
+        landmark.angularVelocity = newVelocity;
+    }
+}
+
+/**
+ * Reads the bundled landmark catalogue. Entries without a usable position are skipped.
+ * @returns {Promise<void>}
+ */
+async function loadLandmarks() {
+    let entries;
+    try {
+        const response = await fetch(LANDMARKS_URL);
+        if (!response.ok) throw new Error(`HTTP error! Status: ${response.status}`);
+        entries = (await response.json()).landmarks;
+        if (!Array.isArray(entries)) throw new Error('no "landmarks" list');
+    } catch (error) {
+        console.warn(`Could not load ${LANDMARKS_URL}.`, error);
+        return;
+    }
+    for (const entry of entries) {
+        if (!entry || typeof entry.name !== 'string' || !LANDMARK_TYPES[entry.type] || entry.type === 'annotation') continue;
+        const position = Number.isFinite(entry.distance)
+            ? skyToGalactocentric(entry.ra, entry.dec, entry.distance)
+            : galactocentricToScene(entry.x, entry.y, entry.z);
+        if (![position.x, position.y, position.z].every(Number.isFinite)) continue;
+        landmarkState.landmarks.push(createLandmark(entry.name, entry.type, position));
+    }
+}
+
+function loadLandmarkSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(LANDMARKS_STORAGE_KEY));
+        if (!stored) return;
+        if (Array.isArray(stored.hiddenTypes)) landmarkState.hiddenTypes = new Set(stored.hiddenTypes);
+        if (Array.isArray(stored.annotations)) {
+            landmarkState.annotations = stored.annotations.filter((annotation) => annotation
+                && typeof annotation.name === 'string'
+                && Array.isArray(annotation.position)
+                && annotation.position.length === 3
+                && annotation.position.every(Number.isFinite));
+        }
+    } catch (error) {
+        console.warn('Ignoring unreadable landmark settings in localStorage.', error);
+    }
+}
+
+function saveLandmarkSettings() {
+    try {
+        localStorage.setItem(LANDMARKS_STORAGE_KEY, JSON.stringify({
+            hiddenTypes: [...landmarkState.hiddenTypes],
+            annotations: landmarkState.annotations,
+        }));
+    } catch (error) {
+        console.warn('Could not save landmark settings to localStorage.', error);
+    }
+}
+
+/**
+ * Replaces the annotation landmarks with the current annotation list.
+ * @returns {void}
+ */
+function rebuildAnnotationLandmarks() {
+    landmarkState.landmarks = landmarkState.landmarks.filter((landmark) => {
+        if (landmark.type === 'annotation') landmark.element.remove();
+        return landmark.type !== 'annotation';
+    });
+    for (const annotation of landmarkState.annotations) {
+        const [x, y, z] = annotation.position;
+        landmarkState.landmarks.push(createLandmark(annotation.name, 'annotation', { x, y, z }));
+    }
+}
+
+/**
+ * Adds an annotation at the selected star, or at the point the camera turns around.
+ * The position is stored as it was at time 0, so it turns with the disk from there.
+ * @param {string} name
+ * @returns {void}
+ */
+function addAnnotation(name) {
+    const time = animationState.simulationTime;
+    const position = pickState.selectedIndex >= 0
+        ? getStarPositionAtTime(pickState.selectedIndex, time, new THREE.Vector3())
+        : getCameraPivot(new THREE.Vector3());
+    const radius = Math.sqrt(position.x ** 2 + position.z ** 2);
+    const angle = Math.atan2(position.z, position.x) - getAngularVelocity(radius) * time;
+    landmarkState.annotations.push({
+        name: name || `Annotation ${landmarkState.annotations.length + 1}`,
+        position: [radius * Math.cos(angle), position.y, radius * Math.sin(angle)],
+    });
+    landmarkState.hiddenTypes.delete('annotation');
+    saveLandmarkSettings();
+    rebuildAnnotationLandmarks();
+    renderLandmarkSettings();
+}
+
+/**
+ * Positions, sizes and declutters the landmark labels for the current camera.
+ * @returns {void}
+ */
+function updateLandmarkLabels() {
+    const time = animationState.simulationTime;
+    const { width, height } = viewportState;
+    const world = new THREE.Vector3();
+    camera.updateMatrixWorld();
+
+    const candidates = [];
+    for (const landmark of landmarkState.landmarks) {
+        const type = LANDMARK_TYPES[landmark.type];
+        landmark.element.style.display = 'none';
+        if (landmarkState.hiddenTypes.has(landmark.type)) continue;
+
+        getLandmarkPosition(landmark, time, world);
+        const distance = world.distanceTo(camera.position);
+        if (distance > type.maxDistance || distance < type.minDistance) continue;
+        world.project(camera);
+        // Behind the camera or off screen (NaN when the camera sits on the landmark itself)
+        if (!(world.z < 1 && Math.abs(world.x) <= 1 && Math.abs(world.y) <= 1)) continue;
+
+        const decades = Math.max(Math.log10(distance / type.flyDistance), 0);
+        const fontSize = Math.max(LANDMARK_FONT_PX.max - LANDMARK_FONT_PX.perDecade * decades, LANDMARK_FONT_PX.min);
+        const fadeFar = Number.isFinite(type.maxDistance) ? (type.maxDistance - distance) / (type.maxDistance * LANDMARK_FADE_SHARE) : 1;
+        const fadeNear = type.minDistance > 0 ? (distance - type.minDistance) / (type.minDistance * LANDMARK_FADE_SHARE) : 1;
+        candidates.push({
+            landmark,
+            distance,
+            fontSize,
+            opacity: Math.min(fadeFar, fadeNear, 1),
+            x: viewportState.left + (world.x + 1) * 0.5 * width,
+            y: viewportState.top + (1 - world.y) * 0.5 * height,
+        });
+    }
+
+    // Most important first, then nearest; a label is skipped if it would overlap one already placed
+    candidates.sort((a, b) => LANDMARK_TYPES[b.landmark.type].priority - LANDMARK_TYPES[a.landmark.type].priority || a.distance - b.distance);
+    const placed = [];
+    for (const candidate of candidates) {
+        // Width is estimated from the text length, as measuring would force a layout every frame
+        const box = {
+            left: candidate.x - LANDMARK_LABEL_PADDING_PX,
+            top: candidate.y - candidate.fontSize / 2 - LANDMARK_LABEL_PADDING_PX,
+            right: candidate.x + candidate.landmark.name.length * candidate.fontSize * 0.55 + 10 + LANDMARK_LABEL_PADDING_PX,
+            bottom: candidate.y + candidate.fontSize / 2 + LANDMARK_LABEL_PADDING_PX,
+        };
+        if (placed.some((other) => box.left < other.right && box.right > other.left && box.top < other.bottom && box.bottom > other.top)) continue;
+        placed.push(box);
+
+        const style = candidate.landmark.element.style;
+        style.display = 'block';
+        style.fontSize = `${candidate.fontSize.toFixed(1)}px`;
+        style.opacity = candidate.opacity.toFixed(2);
+        style.transform = `translate(${candidate.x.toFixed(1)}px, ${(candidate.y - candidate.fontSize / 2).toFixed(1)}px)`;
+    }
+}
+
+/**
+ * Redraws the type toggles and the annotation list in the landmarks popup.
+ * @returns {void}
+ */
+function renderLandmarkSettings() {
+    const types = document.getElementById('landmark-types');
+    types.innerHTML = '';
+    for (const [key, type] of Object.entries(LANDMARK_TYPES)) {
+        const row = document.createElement('div');
+        row.className = 'bookmark-row';
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.id = `landmark-type-${key}`;
+        toggle.style.width = 'auto';
+        toggle.checked = !landmarkState.hiddenTypes.has(key);
+        toggle.addEventListener('change', () => {
+            if (toggle.checked) landmarkState.hiddenTypes.delete(key);
+            else landmarkState.hiddenTypes.add(key);
+            saveLandmarkSettings();
+        });
+        const label = document.createElement('label');
+        label.htmlFor = toggle.id;
+        label.innerText = type.label;
+        label.style.color = type.color;
+        row.append(toggle, label);
+        types.appendChild(row);
+    }
+
+    const list = document.getElementById('annotation-list');
+    list.innerHTML = '';
+    if (landmarkState.annotations.length === 0) {
+        list.innerText = 'No annotations yet.';
+        return;
+    }
+    landmarkState.annotations.forEach((annotation, index) => {
+        const row = document.createElement('div');
+        row.className = 'bookmark-row';
+
+        const go = document.createElement('button');
+        go.className = 'bookmark-name';
+        go.innerText = annotation.name;
+        go.title = 'Fly here';
+        go.addEventListener('click', () => {
+            const landmark = landmarkState.landmarks.filter((l) => l.type === 'annotation')[index];
+            if (landmark) flyToLandmark(landmark);
+        });
+
+        const rename = document.createElement('button');
+        rename.innerText = 'Rename';
+        rename.addEventListener('click', () => {
+            const newName = prompt('Annotation name', annotation.name);
+            if (!newName || !newName.trim()) return;
+            annotation.name = newName.trim();
+            saveLandmarkSettings();
+            rebuildAnnotationLandmarks();
+            renderLandmarkSettings();
+        });
+
+        const remove = document.createElement('button');
+        remove.innerHTML = '&times;';
+        remove.title = 'Delete';
+        remove.addEventListener('click', () => {
+            landmarkState.annotations.splice(index, 1);
+            saveLandmarkSettings();
+            rebuildAnnotationLandmarks();
+            renderLandmarkSettings();
+        });
+
+        row.append(go, rename, remove);
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Loads the landmark catalogue and saved annotations, and wires up the landmarks popup.
+ * @returns {void}
+ */
+function setupLandmarks() {
+    loadLandmarkSettings();
+    rebuildAnnotationLandmarks();
+    renderLandmarkSettings();
+
+    const nameInput = document.getElementById('annotation-name');
+    document.getElementById('annotation-add').addEventListener('click', () => {
+        addAnnotation(nameInput.value.trim());
+        nameInput.value = '';
+    });
+    loadLandmarks();
+}
+
+// --- Search ---
+// One box finds landmarks and layer objects by name, Gaia stars by source_id, and
+// places by coordinates: "RA Dec [distance]" in degrees or sexagesimal (05:35:17 -05:23:28),
+// or "l 120 b -5 [2 kpc]" in galactic coordinates. Coordinates are relative to the Sun and
+// carried round by the disk from there, like the stars. Without a distance the box
+// lists the brightest catalogue stars in that direction; the catalogue is sorted
+// brightest first, so scanning in index order ranks them by G magnitude.
+
+const SEARCH_MAX_RESULTS = 8;
+const SEARCH_CONE_DEGREES = 0.5; // Radius of the cone searched around a direction
+const SEARCH_DEFAULT_DISTANCE_PC = 1000; // Where a direction without a distance is placed
+const SEARCH_POINT_DISTANCE = 100; // pc from a coordinate target on arrival
+const SEARCH_MIN_SOURCE_ID_DIGITS = 6;
+
+const searchState = {
+    results: [], // [{ label, detail, go }]
+    active: -1, // Highlighted result
+};
+
+/**
+ * Parses an angle in decimal degrees, or sexagesimal with ':' or h/d, m, s separators.
+ * @param {string} text
+ * @param {boolean} hours - Sexagesimal values are hours (RA) rather than degrees.
+ * @returns {number} Degrees, or NaN.
+ */
+function parseSearchAngle(text, hours) {
+    if (/^[+-]?\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+    const match = /^([+-]?)(\d+)[:hd°](\d+)(?:[:m'](\d+(?:\.\d+)?))?[s"]?$/.exec(text);
+    if (!match) return NaN;
+    const value = parseInt(match[2], 10) + parseInt(match[3], 10) / 60 + (match[4] ? parseFloat(match[4]) / 3600 : 0);
+    return (match[1] === '-' ? -value : value) * (hours ? 15 : 1);
+}
+
+/**
+ * Reads a coordinate query.
+ * @param {string} query
+ * @returns {{frame: string, lon: number, lat: number, distance: number}|null} Degrees and pc
+ *     (distance NaN when not given), or null if the query is not coordinates.
+ */
+function parseCoordinateQuery(query) {
+    let text = query.trim().toLowerCase();
+    const frame = /^(gal|l[\s=\d])/.test(text) ? 'galactic' : 'equatorial';
+    text = text.replace(/\b(galactic|gal|distance|dist|dec|ra|l|b|d)\s*=?/g, ' ');
+    let distance = NaN;
+    const unit = /([\d.]+)\s*(pc|kpc)\s*$/.exec(text);
+    if (unit) {
+        distance = parseFloat(unit[1]) * (unit[2] === 'kpc' ? 1000 : 1);
+        text = text.slice(0, unit.index);
+    }
+    const tokens = text.split(/[\s,]+/).filter(Boolean);
+    if (tokens.length === 3 && !unit) distance = parseFloat(tokens.pop());
+    if (tokens.length !== 2) return null;
+
+    const lon = parseSearchAngle(tokens[0], frame === 'equatorial' && /[:h]/.test(tokens[0]));
+    const lat = parseSearchAngle(tokens[1], false);
+    if (!Number.isFinite(lon) || !(Math.abs(lat) <= 90)) return null;
+    if (frame === 'equatorial' && !(lon >= 0 && lon <= 360)) return null;
+    if (!Number.isNaN(distance) && !(distance > 0)) return null;
+    return { frame, lon: ((lon % 360) + 360) % 360, lat, distance };
+}
+
+/**
+ * Unit vector from the Sun toward a sky position, on scene axes at time 0.
+ * @param {{frame: string, lon: number, lat: number}} coordinates
+ * @returns {THREE.Vector3}
+ */
+function getSearchDirection({ frame, lon, lat }) {
+    if (frame === 'equatorial') {
+        const p = skyToGalactocentric(lon, lat, 1);
+        return new THREE.Vector3(p.x - SUN_POSITION_PC.x, p.y - SUN_POSITION_PC.y, p.z - SUN_POSITION_PC.z).normalize();
+    }
+    const l = lon * (Math.PI / 180);
+    const b = lat * (Math.PI / 180);
+    // Same axes as equatorialToGalactic: y to the north pole, z toward l = 270
+    return new THREE.Vector3(Math.cos(b) * Math.cos(l), Math.sin(b), -Math.cos(b) * Math.sin(l));
+}
+
+function getStarSearchLabel(index) {
+    const catalog = starState.fullStarData;
+    const sourceId = catalog.sourceId ? catalog.sourceId[index] : 0n;
+    return sourceId > 0n ? `Gaia ${sourceId}` : `Star #${index.toLocaleString()}`;
+}
+
+function getStarSearchResult(index) {
+    const catalog = starState.fullStarData;
+    return {
+        label: getStarSearchLabel(index),
+        detail: `G ${catalog.gMag[index].toFixed(2)}, ${formatDistance(catalog.distance[index])}`,
+        go: () => {
+            selectStar(index);
+            flyToStar(index);
+        },
+    };
+}
+
+/**
+ * A result that flies to a fixed point of the disk.
+ * @param {string} label
+ * @param {string} detail
+ * @param {object} point - As returned by getDiskPoint().
+ * @param {number} distance - pc from the point on arrival.
+ * @returns {object}
+ */
+function getPointSearchResult(label, detail, point, distance) {
+    return {
+        label,
+        detail,
+        go: () => {
+            const target = new THREE.Vector3();
+            flyTo({ target: () => getLandmarkPosition(point, animationState.simulationTime, target), distance });
+        },
+    };
+}
+
+/**
+ * Brightest catalogue stars within SEARCH_CONE_DEGREES of a direction from the Sun.
+ * @param {THREE.Vector3} direction - Unit vector, scene axes at time 0.
+ * @param {number} maxResults
+ * @returns {number[]} Star indices, brightest first.
+ */
+function findStarsInDirection(direction, maxResults) {
+    const catalog = starState.fullStarData;
+    if (!catalog) return [];
+    const minCos = Math.cos(SEARCH_CONE_DEGREES * (Math.PI / 180));
+    const found = [];
+    for (let i = 0; i < catalog.count && found.length < maxResults; i++) {
+        const dx = catalog.position[i * 3] - SUN_POSITION_PC.x;
+        const dy = catalog.position[i * 3 + 1] - SUN_POSITION_PC.y;
+        const dz = catalog.position[i * 3 + 2] - SUN_POSITION_PC.z;
+        const dot = dx * direction.x + dy * direction.y + dz * direction.z;
+        if (dot > 0 && dot * dot >= minCos * minCos * (dx * dx + dy * dy + dz * dz) && passesStarFilters(i)) found.push(i);
+    }
+    return found;
+}
+
+/**
+ * Finds everything a query could mean, best matches first.
+ * @param {string} query
+ * @returns {object[]} Results with a label, a detail line and a go() action.
+ */
+function searchQuery(query) {
+    const trimmed = query.trim();
+    if (!trimmed) return [];
+    const results = [];
+
+    // Gaia source_id, with or without a "Gaia DR3" prefix
+    const idMatch = /^(?:gaia\s*(?:dr\d)?\s*)?(\d+)$/i.exec(trimmed);
+    const catalog = starState.fullStarData;
+    if (idMatch && idMatch[1].length >= SEARCH_MIN_SOURCE_ID_DIGITS && catalog && catalog.sourceId) {
+        const id = BigInt(idMatch[1]);
+        const index = catalog.sourceId.indexOf(id);
+        if (index >= 0) results.push(getStarSearchResult(index));
+    }
+
+    const coordinates = parseCoordinateQuery(trimmed);
+    if (coordinates) {
+        const direction = getSearchDirection(coordinates);
+        const frameLabel = coordinates.frame === 'galactic'
+            ? `l ${coordinates.lon.toFixed(2)}°, b ${coordinates.lat.toFixed(2)}°`
+            : `RA ${coordinates.lon.toFixed(3)}°, Dec ${coordinates.lat.toFixed(3)}°`;
+        const hasDistance = !Number.isNaN(coordinates.distance);
+        const distance = hasDistance ? coordinates.distance : SEARCH_DEFAULT_DISTANCE_PC;
+        const point = getDiskPoint({
+            x: SUN_POSITION_PC.x + direction.x * distance,
+            y: SUN_POSITION_PC.y + direction.y * distance,
+            z: SUN_POSITION_PC.z + direction.z * distance,
+        });
+        const detail = hasDistance ? formatDistance(distance) : `no distance given, placed at ${formatDistance(distance)}`;
+        results.push(getPointSearchResult(frameLabel, detail, point, SEARCH_POINT_DISTANCE));
+        for (const index of findStarsInDirection(direction, SEARCH_MAX_RESULTS - results.length)) {
+            results.push(getStarSearchResult(index));
+        }
+        return results;
+    }
+
+    // Names: landmarks first, then layer objects; matches at the start of a word rank first
+    const needle = trimmed.toLowerCase();
+    const wordStart = new RegExp(`(^|[\\s(])${needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`);
+    const named = [];
+    for (const landmark of landmarkState.landmarks) {
+        const name = landmark.name.toLowerCase();
+        if (!name.includes(needle)) continue;
+        const type = LANDMARK_TYPES[landmark.type];
+        named.push({
+            rank: wordStart.test(name) ? 0 : 1,
+            result: {
+                label: landmark.name,
+                detail: type.label,
+                go: () => flyToLandmark(landmark),
+            },
+        });
+    }
+    for (const layer of layerState.layers) {
+        if (!layer.names) continue;
+        const attributes = layer.points.geometry.attributes;
+        for (let i = 0; i < layer.names.length && named.length < SEARCH_MAX_RESULTS * 4; i++) {
+            const name = layer.names[i].toLowerCase();
+            if (!name.includes(needle)) continue;
+            const point = {
+                radius: attributes.radius.array[i],
+                y: attributes.position.array[i * 3 + 1],
+                initialAngle: attributes.initialAngle.array[i],
+                angularVelocity: attributes.angularVelocity.array[i],
+            };
+            named.push({
+                rank: wordStart.test(name) ? 0 : 1,
+                result: getPointSearchResult(layer.names[i], `Layer: ${layer.name}`, point, LANDMARK_TYPES.cluster.flyDistance),
+            });
+        }
+    }
+    // Stable sort, so equally good matches keep the catalogue order
+    named.sort((a, b) => a.rank - b.rank);
+    results.push(...named.map((entry) => entry.result));
+    return results.slice(0, SEARCH_MAX_RESULTS);
+}
+
+function renderSearchResults() {
+    const list = document.getElementById('search-results');
+    list.innerHTML = '';
+    list.style.display = searchState.results.length > 0 ? 'block' : 'none';
+    searchState.results.forEach((result, index) => {
+        const item = document.createElement('div');
+        item.className = 'search-result' + (index === searchState.active ? ' active' : '');
+        const label = document.createElement('div');
+        label.innerText = result.label;
+        const detail = document.createElement('div');
+        detail.className = 'search-result-detail';
+        detail.innerText = result.detail;
+        item.append(label, detail);
+        // mousedown, so the input's blur does not hide the list before the click lands
+        item.addEventListener('mousedown', (event) => {
+            event.preventDefault();
+            chooseSearchResult(index);
+        });
+        list.appendChild(item);
+    });
+}
+
+function chooseSearchResult(index) {
+    const result = searchState.results[index];
+    if (!result) return;
+    const input = document.getElementById('search-input');
+    input.value = result.label;
+    searchState.results = [];
+    searchState.active = -1;
+    renderSearchResults();
+    input.blur();
+    result.go();
+}
+
+/**
+ * Wires up the search box: results update as you type, arrow keys move through
+ * them and Enter goes to the highlighted (or first) one.
+ * @returns {void}
+ */
+function setupSearch() {
+    const input = document.getElementById('search-input');
+    const status = document.getElementById('search-status');
+    input.addEventListener('input', () => {
+        searchState.results = searchQuery(input.value);
+        searchState.active = searchState.results.length > 0 ? 0 : -1;
+        status.innerText = input.value.trim() && searchState.results.length === 0 ? 'No matches.' : '';
+        renderSearchResults();
+    });
+    input.addEventListener('keydown', (event) => {
+        const count = searchState.results.length;
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault(); // Keeps the caret in place
+            event.stopPropagation(); // The arrows belong to the result list here, not to flight
+            if (count === 0) return;
+            searchState.active = (searchState.active + (event.key === 'ArrowDown' ? 1 : count - 1)) % count;
+            renderSearchResults();
+        } else if (event.key === 'Enter') {
+            chooseSearchResult(Math.max(searchState.active, 0));
+        } else if (event.key === 'Escape') {
+            input.value = '';
+            searchState.results = [];
+            status.innerText = '';
+            renderSearchResults();
+            input.blur();
+        }
+    });
+    input.addEventListener('blur', () => {
+        searchState.results = [];
+        renderSearchResults();
+    });
+}
+
+// --- HUD ---
+// A readout of where the camera is and when: galactocentric XYZ, heliocentric l/b and
+// distance, distances to the Sun and the galactic centre, the simulated time and the
+// Sun's orbits since the start, a scale bar for the distance of the view's pivot, and a
+// top-down minimap of the galaxy image with the camera and its heading. It is written
+// after each render, like the landmark labels, and never drawn into exported images.
+
+const HUD_SCALE_BAR_MAX_PX = 100;
+const HUD_MINIMAP_SIZE_PX = 120;
+const HUD_MINIMAP_EXTENT_PC = 43000; // Width of the galaxy the minimap shows
+
+const hudState = {
+    visible: true,
+    fields: {}, // Readout elements by data-hud-field
+    minimap: null, // 2D context of the minimap canvas
+    minimapBackground: null, // { texture, placement, canvas, pixelScale }, see getMinimapBackground
+};
+
+/**
+ * A round length no longer than the given one: 1, 2 or 5 times a power of ten.
+ * @param {number} pc
+ * @returns {number}
+ */
+function getScaleBarLength(pc) {
+    const power = 10 ** Math.floor(Math.log10(pc));
+    const step = [5, 2, 1].find((multiple) => multiple * power <= pc);
+    return step * power;
+}
+
+function formatScaleLength(pc) {
+    if (pc < 0.01) return `${Math.round(pc * 206265).toLocaleString()} AU`;
+    if (pc >= 1000) return `${(pc / 1000).toLocaleString()} kpc`;
+    return `${pc.toLocaleString()} pc`;
+}
+
+function formatHudKpc(pc) {
+    return (pc / 1000).toLocaleString(undefined, { minimumFractionDigits: 3, maximumFractionDigits: 3 });
+}
+
+/**
+ * The galaxy image at the minimap's scale, redrawn only when the image or its placement
+ * changes, so each frame copies a small canvas instead of scaling the full texture.
+ * @returns {object} { texture, placement, canvas, pixelScale } - Minimap pixels per image pixel.
+ */
+function getMinimapBackground() {
+    const { texture, placement } = overlayState;
+    const cached = hudState.minimapBackground;
+    if (cached && cached.texture === texture && cached.placement === placement) return cached;
+
+    const pixelScale = (HUD_MINIMAP_SIZE_PX / HUD_MINIMAP_EXTENT_PC) * placement.pcPerPixel;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(Math.ceil(texture.image.width * pixelScale), 1);
+    canvas.height = Math.max(Math.ceil(texture.image.height * pixelScale), 1);
+    canvas.getContext('2d').drawImage(texture.image, 0, 0, canvas.width, canvas.height);
+    hudState.minimapBackground = { texture, placement, canvas, pixelScale };
+    return hudState.minimapBackground;
+}
+
+function drawMinimap(sunPosition) {
+    const context = hudState.minimap;
+    const size = HUD_MINIMAP_SIZE_PX;
+    const scale = size / HUD_MINIMAP_EXTENT_PC;
+    // Seen from the north galactic pole: scene x to the right and scene z (-y_gal) down
+    const toMap = (position) => ({
+        x: THREE.MathUtils.clamp(size / 2 + position.x * scale, 0, size),
+        y: THREE.MathUtils.clamp(size / 2 + position.z * scale, 0, size),
+    });
+
+    context.clearRect(0, 0, size, size);
+    if (galaxyPlaneMesh) {
+        // Turned with the image in the scene; the plane lies along x and -z, so its angle flips
+        const { canvas, pixelScale } = getMinimapBackground();
+        const center = overlayState.placement.center;
+        context.save();
+        context.translate(size / 2, size / 2);
+        context.rotate(-galaxyPlaneMesh.rotation.z);
+        context.globalAlpha = 0.8;
+        const image = overlayState.texture.image;
+        context.drawImage(canvas, -center[0] * pixelScale, -center[1] * pixelScale, image.width * pixelScale, image.height * pixelScale);
+        context.restore();
+    }
+
+    const sun = toMap(sunPosition);
+    context.fillStyle = '#00ff00';
+    context.fillRect(sun.x - 1.5, sun.y - 1.5, 3, 3);
+
+    const cameraPoint = toMap(camera.position);
+    const heading = getViewDirection(camera.quaternion, new THREE.Vector3());
+    const headingLength = Math.hypot(heading.x, heading.z);
+    context.strokeStyle = '#7eb8f7';
+    context.fillStyle = '#7eb8f7';
+    if (headingLength > 1e-3) {
+        // Looking straight down or up leaves no heading to draw
+        context.beginPath();
+        context.moveTo(cameraPoint.x, cameraPoint.y);
+        context.lineTo(cameraPoint.x + (heading.x / headingLength) * 12, cameraPoint.y + (heading.z / headingLength) * 12);
+        context.stroke();
+    }
+    context.beginPath();
+    context.arc(cameraPoint.x, cameraPoint.y, 3, 0, Math.PI * 2);
+    context.fill();
+}
+
+/**
+ * Rewrites the HUD for the current camera and simulation time.
+ * @returns {void}
+ */
+function updateHud() {
+    if (!hudState.visible) return;
+    const fields = hudState.fields;
+    const time = animationState.simulationTime;
+    const position = camera.position;
+    const sunPosition = getSunPositionAtTime(time, new THREE.Vector3());
+
+    // Scene axes back to galactocentric ones (see galactocentricToScene)
+    fields.x.innerText = formatHudKpc(position.x);
+    fields.y.innerText = formatHudKpc(-position.z);
+    fields.z.innerText = formatHudKpc(position.y);
+
+    const fromSun = position.clone().sub(sunPosition);
+    const sunDistance = fromSun.length();
+    if (sunDistance > 0) {
+        const { azimuth, altitude } = getSkyCoordinates(fromSun.normalize(), 'galactic');
+        fields.lb.innerText = `${THREE.MathUtils.radToDeg(azimuth).toFixed(2)}°, ${THREE.MathUtils.radToDeg(altitude).toFixed(2)}°`;
+    } else {
+        fields.lb.innerText = '-';
+    }
+    fields.sun.innerText = formatDistance(sunDistance);
+    fields.center.innerText = formatDistance(position.length());
+
+    const orbits = (rotationState.sunAngularVelocity * time) / (2 * Math.PI);
+    fields.time.innerText = formatSimulationTime(time);
+    fields.orbits.innerText = orbits.toLocaleString(undefined, { maximumFractionDigits: 3 });
+
+    // Everything is at infinity from the Sun, so a length scale means nothing there
+    const scaleRow = document.getElementById('hud-scale');
+    scaleRow.style.display = skyState.active ? 'none' : 'flex';
+    if (!skyState.active) {
+        const pivotDistance = position.distanceTo(getCameraPivot(new THREE.Vector3()));
+        const pcPerPixel = (2 * pivotDistance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2)) / viewportState.height;
+        const length = getScaleBarLength(pcPerPixel * HUD_SCALE_BAR_MAX_PX);
+        document.getElementById('hud-scale-bar').style.width = `${length / pcPerPixel}px`;
+        fields.scale.innerText = formatScaleLength(length);
+    }
+
+    drawMinimap(sunPosition);
+}
+
+function setHudVisible(visible) {
+    hudState.visible = visible;
+    document.getElementById('hud').style.display = visible ? 'flex' : 'none';
+}
+
+/**
+ * Collects the HUD's readout fields and wires up its checkbox.
+ * @returns {void}
+ */
+function setupHud() {
+    for (const element of document.querySelectorAll('[data-hud-field]')) {
+        hudState.fields[element.dataset.hudField] = element;
+    }
+    const minimap = document.getElementById('hud-minimap');
+    minimap.width = HUD_MINIMAP_SIZE_PX;
+    minimap.height = HUD_MINIMAP_SIZE_PX;
+    hudState.minimap = minimap.getContext('2d');
+
+    const checkbox = document.getElementById('hud-checkbox');
+    checkbox.checked = hudState.visible;
+    checkbox.addEventListener('change', (event) => setHudVisible(event.target.checked));
+    setHudVisible(hudState.visible);
+}
+
+// --- Shareable Views & Bookmarks ---
+// The view (camera, control mode, time and display settings) is kept in the URL hash,
+// e.g. #mode=orbit&pos=-8200,400,300&target=-8200,20,0&time=0, so a copied link
+// reopens the same view. Named bookmarks hold the same state in localStorage and can
+// be exported and imported as JSON. Any field may be missing; only those present are applied.
+
+const VIEW_HASH_UPDATE_MS = 1000;
+const BOOKMARKS_STORAGE_KEY = 'galaxymap.bookmarks';
+const BOOKMARKS_FILE_VERSION = 1;
+const DEFAULT_BOOKMARKS = [
+    { name: 'Sun', view: { mode: 'orbit', position: [-8200, 400, 300], target: [SUN_POSITION.x, SUN_POSITION.y, SUN_POSITION.z] } },
+    { name: 'Galactic centre', view: { mode: 'orbit', position: [0, 6000, 9000], target: [0, 0, 0] } },
+    // ~2 kpc from the Sun toward l = 135°, where the Perseus arm crosses the outer disk
+    { name: 'Perseus arm', view: { mode: 'orbit', position: [-9600, 4000, 2500], target: [-9600, 0, -1400] } },
+];
+
+const bookmarkState = {
+    bookmarks: [], // [{ name, view }]
+    lastHash: '', // Last hash written, so our own updates are not re-applied
+};
+
+/**
+ * Captures the current view. In the view from Earth the camera pose recorded is the
+ * one that will be restored on exit, with the sky direction stored separately.
+ * @returns {object}
+ */
+function getViewState() {
+    const pose = skyState.active
+        ? skyState.saved
+        : { position: camera.position, quaternion: camera.quaternion, target: controls.target, flyMode: isFlyMode };
+    const view = {
+        mode: pose.flyMode ? 'fly' : 'orbit',
+        position: pose.position.toArray(),
+        quaternion: pose.quaternion.toArray(),
+        target: pose.target.toArray(),
+        time: animationState.simulationTime,
+        speed: parseFloat(document.getElementById('speed-slider').value),
+        paused: animationState.isPaused,
+        sizeScale: getSizeScale(),
+        opacity: overlayState.opacity,
+    };
+    if (skyState.active) {
+        view.sky = { frame: skyState.frame, azimuth: skyState.azimuth, altitude: skyState.altitude, fov: skyState.fov };
+    }
+    return view;
+}
+
+/**
+ * Keeps only well-formed fields of a view state from an untrusted source.
+ * @param {object} raw
+ * @returns {object}
+ */
+function sanitizeViewState(raw) {
+    const view = {};
+    if (!raw || typeof raw !== 'object') return view;
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+    const isVector = (value, length) => Array.isArray(value) && value.length === length && value.every(isNumber);
+
+    if (raw.mode === 'orbit' || raw.mode === 'fly') view.mode = raw.mode;
+    if (isVector(raw.position, 3)) view.position = raw.position;
+    if (isVector(raw.quaternion, 4)) view.quaternion = raw.quaternion;
+    if (isVector(raw.target, 3)) view.target = raw.target;
+    ['time', 'speed', 'sizeScale', 'opacity'].forEach((key) => {
+        if (isNumber(raw[key])) view[key] = raw[key];
+    });
+    if (typeof raw.paused === 'boolean') view.paused = raw.paused;
+    const sky = raw.sky;
+    if (sky && (sky.frame === 'equatorial' || sky.frame === 'galactic') &&
+        isNumber(sky.azimuth) && isNumber(sky.altitude) && isNumber(sky.fov)) {
+        view.sky = { frame: sky.frame, azimuth: sky.azimuth, altitude: sky.altitude, fov: sky.fov };
+    }
+    return view;
+}
+
+function setInputValue(id, value, eventType) {
+    const input = document.getElementById(id);
+    if (input.type === 'checkbox') input.checked = value;
+    else input.value = value;
+    input.dispatchEvent(new Event(eventType));
+}
+
+/**
+ * Restores a view captured by getViewState(). Sliders are set through their own
+ * handlers so the panel and the scene stay in step.
+ * @param {object} view
+ * @param {object} [options]
+ * @param {boolean} [options.animate=false] - Fly to the camera pose instead of jumping.
+ * @returns {void}
+ */
+function applyViewState(view, { animate = false } = {}) {
+    exitSkyView();
+    endCameraTransition();
+    pauseTour();
+
+    if (view.time !== undefined) animationState.simulationTime = view.time;
+    if (view.speed !== undefined) setInputValue('speed-slider', view.speed, 'input');
+    if (view.paused !== undefined) setInputValue('pause-checkbox', view.paused, 'change');
+    if (view.sizeScale !== undefined) setSizeScale(view.sizeScale);
+    if (view.opacity !== undefined) setInputValue('opacity-slider', view.opacity, 'input');
+
+    if (animate && view.position && !view.sky) {
+        const position = new THREE.Vector3().fromArray(view.position);
+        flyTo({
+            position,
+            target: view.target ? new THREE.Vector3().fromArray(view.target) : new THREE.Vector3(0, 0, 0),
+            quaternion: view.quaternion ? new THREE.Quaternion().fromArray(view.quaternion).normalize() : undefined,
+            mode: view.mode,
+        });
+        return;
+    }
+
+    if (view.mode && (view.mode === 'fly') !== isFlyMode) setExploreMode(view.mode === 'fly', false);
+    if (view.position) camera.position.fromArray(view.position);
+    if (view.target) controls.target.fromArray(view.target);
+    if (view.quaternion) {
+        camera.quaternion.fromArray(view.quaternion).normalize();
+    } else if (view.target) {
+        camera.lookAt(controls.target);
+    }
+
+    if (view.sky) {
+        enterSkyView();
+        skyState.frame = view.sky.frame;
+        document.getElementById('sky-frame-select').value = view.sky.frame;
+        skyState.azimuth = view.sky.azimuth;
+        skyState.altitude = Math.min(Math.max(view.sky.altitude, -SKY_MAX_ALTITUDE), SKY_MAX_ALTITUDE);
+        setSkyFov(view.sky.fov);
+    }
+}
+
+// Positions get 12 significant digits: the camera can sit a few AU from a star 8 kpc out
+function formatHashNumbers(values, digits) {
+    return values.map((value) => String(Number(value.toPrecision(digits)))).join(',');
+}
+
+/**
+ * @param {object} view
+ * @returns {string} Hash without the leading '#'.
+ */
+function viewStateToHash(view) {
+    const params = new URLSearchParams();
+    if (view.mode) params.set('mode', view.mode);
+    if (view.position) params.set('pos', formatHashNumbers(view.position, 12));
+    if (view.quaternion) params.set('rot', formatHashNumbers(view.quaternion, 6));
+    if (view.target) params.set('target', formatHashNumbers(view.target, 12));
+    if (view.time !== undefined) params.set('time', formatHashNumbers([view.time], 10));
+    if (view.speed !== undefined) params.set('speed', String(view.speed));
+    if (view.paused !== undefined) params.set('paused', view.paused ? '1' : '0');
+    if (view.sizeScale !== undefined) params.set('size', String(view.sizeScale));
+    if (view.opacity !== undefined) params.set('opacity', String(view.opacity));
+    if (view.sky) {
+        const { frame, azimuth, altitude, fov } = view.sky;
+        params.set('sky', `${frame},${formatHashNumbers([azimuth, altitude, fov], 6)}`);
+    }
+    // Commas are safe in a fragment and much easier to read than %2C
+    return params.toString().replace(/%2C/g, ',');
+}
+
+/**
+ * @param {string} hash - location.hash, with or without the leading '#'.
+ * @returns {object} Sanitized view state; empty if the hash holds none.
+ */
+function parseViewHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const numbers = (key) => (params.has(key) ? params.get(key).split(',').map(Number) : undefined);
+    const raw = {
+        mode: params.get('mode'),
+        position: numbers('pos'),
+        quaternion: numbers('rot'),
+        target: numbers('target'),
+        time: numbers('time')?.[0],
+        speed: numbers('speed')?.[0],
+        paused: params.has('paused') ? params.get('paused') === '1' : undefined,
+        sizeScale: numbers('size')?.[0],
+        opacity: numbers('opacity')?.[0],
+    };
+    if (params.has('sky')) {
+        const [frame, azimuth, altitude, fov] = params.get('sky').split(',');
+        raw.sky = { frame, azimuth: Number(azimuth), altitude: Number(altitude), fov: Number(fov) };
+    }
+    return sanitizeViewState(raw);
+}
+
+/**
+ * Writes the current view into the URL without adding history entries.
+ * @returns {void}
+ */
+function updateViewHash() {
+    const hash = viewStateToHash(getViewState());
+    if (hash === bookmarkState.lastHash) return;
+    bookmarkState.lastHash = hash;
+    history.replaceState(null, '', `#${hash}`);
+    emitMapEvent('viewChanged', parseViewHash(hash));
+}
+
+function loadBookmarks() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(BOOKMARKS_STORAGE_KEY));
+        if (Array.isArray(stored)) return stored;
+    } catch (error) {
+        console.warn('Ignoring unreadable bookmarks in localStorage.', error);
+    }
+    return DEFAULT_BOOKMARKS.map((bookmark) => ({ ...bookmark }));
+}
+
+function saveBookmarks() {
+    try {
+        localStorage.setItem(BOOKMARKS_STORAGE_KEY, JSON.stringify(bookmarkState.bookmarks));
+    } catch (error) {
+        console.warn('Could not save bookmarks to localStorage.', error);
+    }
+    renderBookmarks();
+}
+
+function setBookmarkStatus(text) {
+    document.getElementById('bookmark-status').innerText = text;
+}
+
+/**
+ * Rebuilds the bookmarks list in the popup.
+ * @returns {void}
+ */
+function renderBookmarks() {
+    const list = document.getElementById('bookmark-list');
+    list.innerHTML = '';
+    if (bookmarkState.bookmarks.length === 0) {
+        list.innerText = 'No bookmarks yet.';
+        return;
+    }
+    bookmarkState.bookmarks.forEach((bookmark, index) => {
+        const row = document.createElement('div');
+        row.className = 'bookmark-row';
+
+        const name = document.createElement('button');
+        name.className = 'bookmark-name';
+        name.innerText = bookmark.name;
+        name.title = 'Go to this view';
+        name.addEventListener('click', () => applyViewState(sanitizeViewState(bookmark.view), { animate: true }));
+
+        const rename = document.createElement('button');
+        rename.innerText = 'Rename';
+        rename.addEventListener('click', () => {
+            const newName = prompt('Bookmark name', bookmark.name);
+            if (!newName || !newName.trim()) return;
+            bookmark.name = newName.trim();
+            saveBookmarks();
+        });
+
+        const remove = document.createElement('button');
+        remove.innerHTML = '&times;';
+        remove.title = 'Delete';
+        remove.addEventListener('click', () => {
+            bookmarkState.bookmarks.splice(index, 1);
+            saveBookmarks();
+        });
+
+        row.append(name, rename, remove);
+        list.appendChild(row);
+    });
+}
+
+function exportBookmarks() {
+    const file = { version: BOOKMARKS_FILE_VERSION, bookmarks: bookmarkState.bookmarks };
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, 'galaxymap-bookmarks.json');
+}
+
+/**
+ * Appends bookmarks from an exported JSON file, skipping malformed entries.
+ * @param {File} file
+ * @returns {Promise<void>}
+ */
+async function importBookmarks(file) {
+    let entries;
+    try {
+        const parsed = JSON.parse(await file.text());
+        entries = Array.isArray(parsed) ? parsed : parsed.bookmarks;
+        if (!Array.isArray(entries)) throw new Error('no "bookmarks" list');
+    } catch (error) {
+        setBookmarkStatus(`Could not import ${file.name}: ${error.message}`);
+        return;
+    }
+
+    let imported = 0;
+    entries.forEach((entry) => {
+        if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) return;
+        const view = sanitizeViewState(entry.view);
+        if (Object.keys(view).length === 0) return;
+        bookmarkState.bookmarks.push({ name: entry.name.trim(), view });
+        imported++;
+    });
+    saveBookmarks();
+    const skipped = entries.length - imported;
+    setBookmarkStatus(`Imported ${imported} bookmark${imported === 1 ? '' : 's'}${skipped ? ` (${skipped} skipped)` : ''}.`);
+}
+
+/**
+ * Restores the view from the URL, keeps the URL up to date, and wires up the
+ * bookmarks popup.
+ * @returns {void}
+ */
+function setupBookmarks() {
+    bookmarkState.bookmarks = loadBookmarks();
+    renderBookmarks();
+
+    const nameInput = document.getElementById('bookmark-name');
+    const importInput = document.getElementById('bookmark-import-file');
+
+    document.getElementById('bookmark-save').addEventListener('click', () => {
+        const name = nameInput.value.trim() || `View ${bookmarkState.bookmarks.length + 1}`;
+        bookmarkState.bookmarks.push({ name, view: getViewState() });
+        nameInput.value = '';
+        saveBookmarks();
+        setBookmarkStatus(`Saved "${name}".`);
+    });
+
+    document.getElementById('bookmark-copy-link').addEventListener('click', () => {
+        updateViewHash();
+        navigator.clipboard.writeText(location.href).then(
+            () => setBookmarkStatus('Link to this view copied.'),
+            () => setBookmarkStatus('Copy failed; the link is in the address bar.')
+        );
+    });
+
+    document.getElementById('bookmark-export').addEventListener('click', exportBookmarks);
+    document.getElementById('bookmark-import').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+        if (importInput.files.length > 0) importBookmarks(importInput.files[0]);
+        importInput.value = '';
+    });
+
+    if (location.hash.length > 1) {
+        bookmarkState.lastHash = location.hash.slice(1);
+        applyViewState(parseViewHash(location.hash));
+    }
+    window.addEventListener('hashchange', () => {
+        if (location.hash.slice(1) === bookmarkState.lastHash) return;
+        bookmarkState.lastHash = location.hash.slice(1);
+        applyViewState(parseViewHash(location.hash));
+    });
+    setInterval(updateViewHash, VIEW_HASH_UPDATE_MS);
+}
+
+// --- Camera Tours ---
+// A tour is a list of keyframes, each holding a view (as in getViewState()), a caption,
+// the seconds taken to fly there from the previous keyframe and the seconds to stay.
+// Playback flies the same eased paths as flyTo() and drives the sliders through their
+// own handlers, so the control panel follows along. The tour is kept in localStorage
+// and can be exported and imported as JSON. Touching the view pauses playback.
+
+const TOUR_STORAGE_KEY = 'galaxymap.tour';
+const TOUR_FILE_VERSION = 1;
+const TOUR_DEFAULT_TRAVEL_SECONDS = 6;
+const TOUR_DEFAULT_HOLD_SECONDS = 4;
+const DEFAULT_TOUR_KEYFRAMES = [
+    {
+        caption: 'The Milky Way from above. The image is an artist\'s impression; every point is a star measured by Gaia.',
+        travel: 0,
+        hold: 5,
+        view: { mode: 'orbit', position: [0, 25000, 0], target: [0, 0, 0], time: 0, speed: 0, paused: false, sizeScale: 1, opacity: 0.6 },
+    },
+    {
+        caption: 'The Sun, about 8,200 parsecs (27,000 light-years) from the galactic centre.',
+        travel: 6,
+        hold: 5,
+        view: { mode: 'orbit', position: [-8200, 400, 300], target: [SUN_POSITION.x, SUN_POSITION.y, SUN_POSITION.z], time: 0, speed: 0, paused: false, sizeScale: 1, opacity: 0.3 },
+    },
+    {
+        caption: 'The solar neighbourhood: the nearest stars are only a few parsecs away.',
+        travel: 5,
+        hold: 6,
+        view: { mode: 'orbit', position: [SUN_POSITION.x, SUN_POSITION.y + 15, 25], target: [SUN_POSITION.x, SUN_POSITION.y, SUN_POSITION.z], time: 0, speed: 0, paused: false, sizeScale: 1000, opacity: 0 },
+    },
+    {
+        caption: 'The galactic centre and its black hole, Sagittarius A*. Dust hides most of this region from Gaia.',
+        travel: 8,
+        hold: 5,
+        view: { mode: 'orbit', position: [0, 6000, 9000], target: [0, 0, 0], time: 0, speed: 0, paused: false, sizeScale: 1, opacity: 0.6 },
+    },
+];
+
+const tourState = {
+    keyframes: [], // [{ view, caption, travel, hold }]
+    timeline: [], // Per keyframe: { start, arrive, pose, path }, in seconds from the start of the tour
+    duration: 0, // Seconds
+    playhead: 0, // Seconds
+    playing: false,
+    mode: 'orbit', // Mode of the last keyframe reached, used when playback stops
+    pivot: new THREE.Vector3(),
+};
+
+/**
+ * The camera pose of a view as a pivot ahead of the camera, the distance to it and
+ * an orientation, the form the flight paths work in.
+ * @param {object} view
+ * @returns {{pivot: THREE.Vector3, distance: number, quaternion: THREE.Quaternion}}
+ */
+function getTourPose(view) {
+    const position = new THREE.Vector3().fromArray(view.position);
+    const target = view.target ? new THREE.Vector3().fromArray(view.target) : new THREE.Vector3(0, 0, 0);
+    const quaternion = view.quaternion
+        ? new THREE.Quaternion().fromArray(view.quaternion).normalize()
+        : getLevelQuaternion(position, target);
+    const distance = Math.max(position.distanceTo(target), MIN_PIVOT_DISTANCE);
+    const pivot = getViewDirection(quaternion, new THREE.Vector3()).multiplyScalar(distance).add(position);
+    return { pivot, distance, quaternion };
+}
+
+/**
+ * Keeps only well-formed fields of a keyframe from an untrusted source.
+ * @param {object} raw
+ * @returns {object|null} Null if the keyframe has no camera position.
+ */
+function sanitizeTourKeyframe(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const view = sanitizeViewState(raw.view);
+    if (!view.position) return null;
+    delete view.sky; // Tours fly the 3D view only
+    const isSeconds = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    return {
+        view,
+        caption: typeof raw.caption === 'string' ? raw.caption : '',
+        travel: isSeconds(raw.travel) ? raw.travel : TOUR_DEFAULT_TRAVEL_SECONDS,
+        hold: isSeconds(raw.hold) ? raw.hold : TOUR_DEFAULT_HOLD_SECONDS,
+    };
+}
+
+function loadTour() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(TOUR_STORAGE_KEY));
+        if (stored && Array.isArray(stored.keyframes)) return stored.keyframes.map(sanitizeTourKeyframe).filter(Boolean);
+    } catch (error) {
+        console.warn('Ignoring unreadable tour in localStorage.', error);
+    }
+    return DEFAULT_TOUR_KEYFRAMES.map(sanitizeTourKeyframe);
+}
+
+/**
+ * Stores the tour and rebuilds its timeline and keyframe list.
+ * @returns {void}
+ */
+function saveTour() {
+    try {
+        localStorage.setItem(TOUR_STORAGE_KEY, JSON.stringify({ version: TOUR_FILE_VERSION, keyframes: tourState.keyframes }));
+    } catch (error) {
+        console.warn('Could not save the tour to localStorage.', error);
+    }
+    rebuildTourTimeline();
+    renderTourKeyframes();
+}
+
+/**
+ * Lays the keyframes out in time and plans the flight into each one.
+ * @returns {void}
+ */
+function rebuildTourTimeline() {
+    let clock = 0;
+    tourState.timeline = tourState.keyframes.map((keyframe, index) => {
+        const start = clock;
+        const arrive = index === 0 ? start : start + keyframe.travel;
+        clock = arrive + keyframe.hold;
+        return { start, arrive, pose: getTourPose(keyframe.view), path: null };
+    });
+    tourState.timeline.forEach((entry, index) => {
+        if (index === 0) return;
+        const from = tourState.timeline[index - 1].pose;
+        entry.path = planCameraPath(from.pivot, from.distance, entry.pose.pivot, entry.pose.distance);
+    });
+    tourState.duration = clock;
+    tourState.playhead = Math.min(tourState.playhead, clock);
+
+    const scrubber = document.getElementById('tour-scrubber');
+    scrubber.max = clock;
+    scrubber.disabled = tourState.keyframes.length === 0;
+    updateTourTimeDisplay();
+}
+
+function updateTourTimeDisplay() {
+    document.getElementById('tour-scrubber').value = tourState.playhead;
+    document.getElementById('tour-time').innerText = `${tourState.playhead.toFixed(1)} / ${tourState.duration.toFixed(1)} s`;
+}
+
+function setTourCaption(text) {
+    const caption = document.getElementById('tour-caption');
+    caption.innerText = text;
+    caption.style.display = text ? 'block' : 'none';
+}
+
+/**
+ * Puts the camera, time and sliders where the tour has them at the playhead.
+ * Camera and overlay settings ease between keyframes; the simulation time runs
+ * steadily from one keyframe's time to the next.
+ * @returns {void}
+ */
+function applyTourFrame() {
+    const { keyframes, timeline, playhead } = tourState;
+    if (keyframes.length === 0) return;
+
+    // Keyframe being flown to (or held), and the last one arrived at
+    let index = 0;
+    while (index + 1 < keyframes.length && timeline[index + 1].start <= playhead) index++;
+    const entry = timeline[index];
+    const arrived = playhead >= entry.arrive ? index : index - 1;
+    const progress = arrived === index ? 1 : easeInOutCubic((playhead - entry.start) / (entry.arrive - entry.start));
+    const to = keyframes[index].view;
+    const from = arrived === index ? to : keyframes[index - 1].view;
+
+    let distance = entry.pose.distance;
+    if (arrived === index) {
+        tourState.pivot.copy(entry.pose.pivot);
+        camera.quaternion.copy(entry.pose.quaternion);
+    } else {
+        const previous = timeline[index - 1].pose;
+        tourState.pivot.lerpVectors(previous.pivot, entry.pose.pivot, getPathPanShare(entry.path, progress));
+        camera.quaternion.slerpQuaternions(previous.quaternion, entry.pose.quaternion, progress);
+        distance = Math.exp(getPathLogDistance(entry.path, progress));
+    }
+    getViewDirection(camera.quaternion, camera.position).multiplyScalar(-distance).add(tourState.pivot);
+    controls.target.copy(tourState.pivot);
+
+    const ease = (key, log = false) => {
+        const a = from[key] ?? to[key];
+        const b = to[key] ?? from[key];
+        if (a === undefined) return undefined;
+        return log ? Math.exp(Math.log(a) + (Math.log(b) - Math.log(a)) * progress) : a + (b - a) * progress;
+    };
+    const opacity = ease('opacity');
+    if (opacity !== undefined) setInputValue('opacity-slider', opacity, 'input');
+    const sizeScale = ease('sizeScale', true);
+    if (sizeScale !== undefined) setSizeScale(sizeScale);
+
+    const reached = keyframes[arrived].view;
+    const next = keyframes[arrived + 1]?.view;
+    if (next && reached.time !== undefined && next.time !== undefined) {
+        const span = timeline[arrived + 1].arrive - timeline[arrived].arrive;
+        const t = span > 0 ? Math.min((playhead - timeline[arrived].arrive) / span, 1) : 1;
+        animationState.simulationTime = reached.time + (next.time - reached.time) * t;
+    } else if (reached.time !== undefined) {
+        animationState.simulationTime = reached.time;
+    }
+    if (reached.speed !== undefined) setInputValue('speed-slider', reached.speed, 'input');
+    if (reached.paused !== undefined) setInputValue('pause-checkbox', reached.paused, 'change');
+    if (reached.mode) tourState.mode = reached.mode;
+    setTourCaption(keyframes[arrived].caption);
+}
+
+/**
+ * Starts the tour from the playhead, or from the beginning once it has finished.
+ * @returns {void}
+ */
+function playTour() {
+    if (tourState.keyframes.length === 0 || tourState.playing) return;
+    exitSkyView();
+    endCameraTransition();
+    if (tourState.playhead >= tourState.duration) tourState.playhead = 0;
+    tourState.playing = true;
+    controls.enabled = false;
+    flyControls.enabled = false;
+    document.getElementById('tour-play').innerText = 'Pause';
+}
+
+/**
+ * Stops playback where it is and hands the camera to the mode of the last keyframe.
+ * @param {boolean} [keepCaption=false] - Leave the caption up, e.g. for the Pause button.
+ * @returns {void}
+ */
+function pauseTour(keepCaption = false) {
+    if (!keepCaption) setTourCaption('');
+    if (!tourState.playing) return;
+    tourState.playing = false;
+    document.getElementById('tour-play').innerText = 'Play';
+    setExploreMode(tourState.mode === 'fly', false);
+}
+
+/**
+ * Advances the playhead. Called every frame while the tour plays.
+ * @param {number} delta - Seconds since the last frame.
+ * @returns {void}
+ */
+function updateTourPlayback(delta) {
+    tourState.playhead = Math.min(tourState.playhead + delta, tourState.duration);
+    applyTourFrame();
+    updateTourTimeDisplay();
+    if (tourState.playhead >= tourState.duration) pauseTour(true);
+}
+
+/**
+ * Moves the playhead without playing, e.g. from the timeline slider.
+ * @param {number} seconds
+ * @returns {void}
+ */
+function seekTour(seconds) {
+    exitSkyView();
+    endCameraTransition();
+    pauseTour(true);
+    tourState.playhead = Math.min(Math.max(seconds, 0), tourState.duration);
+    applyTourFrame();
+    updateTourTimeDisplay();
+}
+
+function setTourStatus(text) {
+    document.getElementById('tour-status').innerText = text;
+}
+
+function createTourNumberInput(value, title, onChange) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = '0.5';
+    input.value = value;
+    input.title = title;
+    input.className = 'tour-seconds';
+    input.addEventListener('change', () => {
+        const seconds = parseFloat(input.value);
+        if (Number.isFinite(seconds) && seconds >= 0) onChange(seconds);
+        saveTour();
+    });
+    return input;
+}
+
+/**
+ * Rebuilds the keyframe list in the tour panel.
+ * @returns {void}
+ */
+function renderTourKeyframes() {
+    const list = document.getElementById('tour-keyframe-list');
+    list.innerHTML = '';
+    if (tourState.keyframes.length === 0) {
+        list.innerText = 'No keyframes yet. Set up a view and press "Add Keyframe".';
+        return;
+    }
+    tourState.keyframes.forEach((keyframe, index) => {
+        const row = document.createElement('div');
+        row.className = 'tour-keyframe-row';
+
+        const go = document.createElement('button');
+        go.innerText = String(index + 1);
+        go.title = 'Go to this keyframe';
+        go.addEventListener('click', () => seekTour(tourState.timeline[index].arrive));
+
+        const caption = document.createElement('input');
+        caption.type = 'text';
+        caption.placeholder = 'Caption';
+        caption.value = keyframe.caption;
+        caption.style.flex = '1';
+        caption.addEventListener('change', () => {
+            keyframe.caption = caption.value;
+            saveTour();
+        });
+
+        const travel = createTourNumberInput(keyframe.travel, 'Seconds to fly here from the previous keyframe', (seconds) => {
+            keyframe.travel = seconds;
+        });
+        travel.disabled = index === 0;
+        const hold = createTourNumberInput(keyframe.hold, 'Seconds to stay here', (seconds) => {
+            keyframe.hold = seconds;
+        });
+
+        const update = document.createElement('button');
+        update.innerText = 'Set';
+        update.title = 'Replace with the current view';
+        update.addEventListener('click', () => {
+            keyframe.view = sanitizeTourKeyframe({ view: getViewState() }).view;
+            saveTour();
+        });
+
+        const remove = document.createElement('button');
+        remove.innerHTML = '&times;';
+        remove.title = 'Delete';
+        remove.addEventListener('click', () => {
+            tourState.keyframes.splice(index, 1);
+            saveTour();
+        });
+
+        row.append(go, caption, travel, hold, update, remove);
+        list.appendChild(row);
+    });
+}
+
+function exportTour() {
+    const file = { version: TOUR_FILE_VERSION, keyframes: tourState.keyframes };
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, 'galaxymap-tour.json');
+}
+
+/**
+ * Replaces the tour with one from an exported JSON file, skipping malformed keyframes.
+ * @param {File} file
+ * @returns {Promise<void>}
+ */
+async function importTour(file) {
+    let entries;
+    try {
+        const parsed = JSON.parse(await file.text());
+        entries = Array.isArray(parsed) ? parsed : parsed.keyframes;
+        if (!Array.isArray(entries)) throw new Error('no "keyframes" list');
+    } catch (error) {
+        setTourStatus(`Could not import ${file.name}: ${error.message}`);
+        return;
+    }
+
+    const keyframes = entries.map(sanitizeTourKeyframe).filter(Boolean);
+    if (keyframes.length === 0) {
+        setTourStatus(`Could not import ${file.name}: no usable keyframes.`);
+        return;
+    }
+    pauseTour();
+    tourState.keyframes = keyframes;
+    tourState.playhead = 0;
+    saveTour();
+    const skipped = entries.length - keyframes.length;
+    setTourStatus(`Imported ${keyframes.length} keyframe${keyframes.length === 1 ? '' : 's'}${skipped ? ` (${skipped} skipped)` : ''}.`);
+}
+
+function setTourPanelVisible(visible) {
+    document.getElementById('tour-panel').style.display = visible ? 'block' : 'none';
+    if (!visible) pauseTour();
+}
+
+/**
+ * Loads the saved tour and wires up the tour panel and its timeline.
+ * @returns {void}
+ */
+function setupTours() {
+    tourState.keyframes = loadTour();
+    rebuildTourTimeline();
+    renderTourKeyframes();
+
+    const panel = document.getElementById('tour-panel');
+    const importInput = document.getElementById('tour-import-file');
+
+    document.getElementById('tour-button').addEventListener('click', () => {
+        setTourPanelVisible(panel.style.display === 'none');
+    });
+    document.getElementById('tour-panel-close').addEventListener('click', () => setTourPanelVisible(false));
+
+    document.getElementById('tour-play').addEventListener('click', () => {
+        if (tourState.playing) pauseTour(true);
+        else playTour();
+    });
+    document.getElementById('tour-scrubber').addEventListener('input', (event) => {
+        seekTour(parseFloat(event.target.value));
+    });
+
+    document.getElementById('tour-add').addEventListener('click', () => {
+        const keyframe = sanitizeTourKeyframe({ view: getViewState() });
+        if (tourState.keyframes.length === 0) keyframe.travel = 0;
+        tourState.keyframes.push(keyframe);
+        saveTour();
+        setTourStatus(`Added keyframe ${tourState.keyframes.length}.`);
+    });
+    document.getElementById('tour-clear').addEventListener('click', () => {
+        if (tourState.keyframes.length > 0 && !confirm('Delete every keyframe in this tour?')) return;
+        pauseTour();
+        tourState.keyframes = [];
+        tourState.playhead = 0;
+        saveTour();
+    });
+    document.getElementById('tour-export').addEventListener('click', exportTour);
+    document.getElementById('tour-import').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+        if (importInput.files.length > 0) importTour(importInput.files[0]);
+        importInput.value = '';
+    });
+
+    // Grabbing the view takes over from the tour, as it does from a fly-to
+    renderer.domElement.addEventListener('pointerdown', () => pauseTour(), { capture: true });
+    renderer.domElement.addEventListener('wheel', () => pauseTour(), { capture: true });
+}
+
+// --- HDR Rendering ---
+// Stars are drawn on their own camera layer into a half-float target, where their light
+// adds up unclamped. A full-screen pass then scales it by the exposure, tone maps it and
+// adds it over the rest of the scene, which is drawn straight to the screen as before.
+// Auto exposure reads back a coarse grid of the target's mean log luminance every few
+// frames and eases towards the exposure that puts the brighter part of the view at
+// AUTO_EXPOSURE_KEY. The optional glow blurs the light above the white point at half
+// resolution and adds it back before tone mapping. Where half-float targets cannot be
+// rendered to, stars are drawn straight to the screen instead, each star exposed and tone
+// mapped on its own, with no auto exposure or glow.
+
+const STAR_RENDER_LAYER = 1;
+const TONE_MAPPINGS = { linear: 0, log: 1, aces: 2 };
+const LOG_TONE_STRETCH = 1000; // How far the log curve lifts faint light
+const EXPOSURE_LOG_RANGE = [-4, 6]; // log10 limits of the exposure, manual or automatic
+const AUTO_EXPOSURE_KEY = 0.5; // Exposed luminance of the AUTO_EXPOSURE_PERCENTILE block
+const AUTO_EXPOSURE_PERCENTILE = 0.9; // Of the blocks with any starlight in them
+const AUTO_EXPOSURE_GRID = 16; // Blocks across the luminance measurement
+const AUTO_EXPOSURE_INTERVAL = 10; // Frames between measurements
+const AUTO_EXPOSURE_RATE = 2; // Adaptation speed, per second
+const LUMINANCE_LOG2_RANGE = [-40, 24]; // log2 luminance range the measurement stores in a byte
+const BLOOM_THRESHOLD = 1; // Exposed intensity where the glow starts
+const BLOOM_STRENGTH = 0.8;
+const BLOOM_REACH_PX = 10; // How far the glow spreads at a pixel scale of 1: half resolution, 4.2-texel blur
+// The tone curves of applyToneMapping(), shared by the composite pass and the star shader
+const TONE_MAPPING_GLSL = `
+    vec3 toneMap(vec3 x, float mode) {
+        if (mode > ${(TONE_MAPPINGS.aces - 0.5).toFixed(1)}) {
+            return clamp((x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14), 0.0, 1.0);
+        } else if (mode > ${(TONE_MAPPINGS.log - 0.5).toFixed(1)}) {
+            return log(1.0 + ${LOG_TONE_STRETCH.toFixed(1)} * min(x, 1.0)) / log(${(1 + LOG_TONE_STRETCH).toFixed(1)});
+        }
+        return min(x, 1.0);
+    }`;
+
+const hdrState = {
+    exposure: 1, // Manual exposure, or the compensation applied on top of auto exposure
+    autoExposure: false,
+    autoValue: 1, // Exposure auto exposure has settled on so far
+    toneMapping: 'linear', // Key of TONE_MAPPINGS
+    bloom: false,
+    floatTargets: true, // Whether half-float targets can be rendered to; checked by setupHdrControls
+    pixelScale: 1, // Device pixels per screen pixel; larger for high-resolution exports
+    targets: null, // { hdr, bloomA, bloomB, luminance }
+    passes: null, // { bright, blur, composite, luminance } ShaderMaterials
+    quad: null, // Full-screen mesh the passes are drawn with
+    quadCamera: new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1),
+    framesSinceMeasure: 0,
+    elapsed: 0, // Seconds since the last measurement
+    luminancePixels: new Uint8Array(AUTO_EXPOSURE_GRID * AUTO_EXPOSURE_GRID * 4),
+};
+
+/**
+ * Exposure the tone mapping pass applies, including auto exposure.
+ * @returns {number}
+ */
+function getExposure() {
+    return hdrState.autoExposure ? hdrState.autoValue * hdrState.exposure : hdrState.exposure;
+}
+
+/**
+ * The tone curve of the composite pass, for picking.
+ * @param {number} x - Exposed intensity.
+ * @returns {number} Between 0 and 1.
+ */
+function applyToneMapping(x) {
+    if (hdrState.toneMapping === 'log') return Math.log1p(LOG_TONE_STRETCH * Math.min(x, 1)) / Math.log1p(LOG_TONE_STRETCH);
+    if (hdrState.toneMapping === 'aces') return THREE.MathUtils.clamp((x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14), 0, 1);
+    return Math.min(x, 1);
+}
+
+function createPassMaterial(fragmentShader, uniforms, blending = THREE.NoBlending) {
+    return new THREE.ShaderMaterial({
+        uniforms,
+        blending,
+        depthTest: false,
+        depthWrite: false,
+        vertexShader: `
+            varying vec2 vUv;
+            void main() {
+                vUv = uv;
+                gl_Position = vec4(position.xy, 0.0, 1.0);
+            }`,
+        fragmentShader,
+    });
+}
+
+function createHdrPasses() {
+    const bright = createPassMaterial(`
+        uniform sampler2D u_input;
+        uniform float u_exposure;
+        varying vec2 vUv;
+        void main() {
+            vec3 light = texture2D(u_input, vUv).rgb;
+            float peak = max(max(light.r, light.g), light.b) * u_exposure;
+            gl_FragColor = vec4(light * max(peak - ${BLOOM_THRESHOLD.toFixed(1)}, 0.0) / max(peak, 1e-20), 1.0);
+        }`, { u_input: { value: null }, u_exposure: { value: 1 } });
+
+    // Nine-tap Gaussian along one axis
+    const blur = createPassMaterial(`
+        uniform sampler2D u_input;
+        uniform vec2 u_step;
+        varying vec2 vUv;
+        void main() {
+            vec3 sum = texture2D(u_input, vUv).rgb * 0.2270270270;
+            sum += (texture2D(u_input, vUv + u_step * 1.3846153846).rgb + texture2D(u_input, vUv - u_step * 1.3846153846).rgb) * 0.3162162162;
+            sum += (texture2D(u_input, vUv + u_step * 3.2307692308).rgb + texture2D(u_input, vUv - u_step * 3.2307692308).rgb) * 0.0702702703;
+            gl_FragColor = vec4(sum, 1.0);
+        }`, { u_input: { value: null }, u_step: { value: new THREE.Vector2() } });
+
+    const composite = createPassMaterial(`
+        uniform sampler2D u_input;
+        uniform sampler2D u_bloom;
+        uniform float u_bloom_strength;
+        uniform float u_exposure;
+        uniform float u_tone_mapping;
+        varying vec2 vUv;
+        ${TONE_MAPPING_GLSL}
+        void main() {
+            vec3 light = texture2D(u_input, vUv).rgb + u_bloom_strength * texture2D(u_bloom, vUv).rgb;
+            gl_FragColor = vec4(toneMap(light * u_exposure, u_tone_mapping), 1.0);
+        }`, {
+        u_input: { value: null },
+        u_bloom: { value: null },
+        u_bloom_strength: { value: 0 },
+        u_exposure: { value: 1 },
+        u_tone_mapping: { value: TONE_MAPPINGS.linear },
+    }, THREE.AdditiveBlending);
+
+    // Mean log luminance of blocks of the target, read from its mipmaps
+    const luminance = createPassMaterial(`
+        uniform sampler2D u_input;
+        uniform float u_lod;
+        varying vec2 vUv;
+        void main() {
+            float value = dot(textureLod(u_input, vUv, u_lod).rgb, vec3(0.2126, 0.7152, 0.0722));
+            float encoded = (log2(max(value, 1e-30)) - ${LUMINANCE_LOG2_RANGE[0].toFixed(1)}) / ${(LUMINANCE_LOG2_RANGE[1] - LUMINANCE_LOG2_RANGE[0]).toFixed(1)};
+            gl_FragColor = vec4(clamp(encoded, 0.0, 1.0), 0.0, 0.0, 1.0);
+        }`, { u_input: { value: null }, u_lod: { value: 0 } });
+
+    hdrState.passes = { bright, blur, composite, luminance };
+    hdrState.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), composite);
+    hdrState.quad.frustumCulled = false;
+}
+
+/**
+ * Creates the render targets, or resizes them to the drawing buffer.
+ * @param {number} width - Device pixels.
+ * @param {number} height - Device pixels.
+ * @returns {void}
+ */
+function ensureHdrTargets(width, height) {
+    const targets = hdrState.targets;
+    const bloomWidth = Math.max(Math.floor(width / 2), 1);
+    const bloomHeight = Math.max(Math.floor(height / 2), 1);
+    if (targets) {
+        if (targets.hdr.width !== width || targets.hdr.height !== height) {
+            targets.hdr.setSize(width, height);
+            targets.bloomA.setSize(bloomWidth, bloomHeight);
+            targets.bloomB.setSize(bloomWidth, bloomHeight);
+        }
+        return;
+    }
+    const floatOptions = { type: THREE.HalfFloatType, depthBuffer: false, minFilter: THREE.LinearFilter, magFilter: THREE.LinearFilter };
+    hdrState.targets = {
+        // Mipmapped so auto exposure can read block averages from it
+        hdr: new THREE.WebGLRenderTarget(width, height, { ...floatOptions, minFilter: THREE.LinearMipmapLinearFilter, generateMipmaps: true }),
+        bloomA: new THREE.WebGLRenderTarget(bloomWidth, bloomHeight, floatOptions),
+        bloomB: new THREE.WebGLRenderTarget(bloomWidth, bloomHeight, floatOptions),
+        luminance: new THREE.WebGLRenderTarget(AUTO_EXPOSURE_GRID, AUTO_EXPOSURE_GRID, { depthBuffer: false }),
+    };
+}
+
+function runPass(material, target) {
+    hdrState.quad.material = material;
+    renderer.setRenderTarget(target);
+    renderer.render(hdrState.quad, hdrState.quadCamera);
+}
+
+/**
+ * Draws the scene to the current size of the renderer: everything but the stars
+ * directly, then the stars through the HDR target and tone mapping pass.
+ * @returns {void}
+ */
+function renderView() {
+    const starUniforms = starState.starMaterial ? starState.starMaterial.uniforms : null;
+    if (!hdrState.floatTargets) {
+        if (starUniforms) {
+            starUniforms.u_direct_exposure.value = getExposure();
+            starUniforms.u_tone_mapping.value = TONE_MAPPINGS[hdrState.toneMapping];
+        }
+        camera.layers.enable(STAR_RENDER_LAYER);
+        renderer.render(scene, camera);
+        camera.layers.set(0);
+        return;
+    }
+
+    renderer.render(scene, camera);
+    if (!starState.starPoints || !starState.starPoints.visible) return;
+    starUniforms.u_direct_exposure.value = 0;
+    if (!hdrState.passes) createHdrPasses();
+    const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+    ensureHdrTargets(size.x, size.y);
+    const { hdr, bloomA, bloomB } = hdrState.targets;
+    const passes = hdrState.passes;
+    const exposure = getExposure();
+
+    renderer.setRenderTarget(hdr);
+    camera.layers.set(STAR_RENDER_LAYER);
+    renderer.render(scene, camera);
+    camera.layers.set(0);
+
+    if (hdrState.bloom) {
+        passes.bright.uniforms.u_input.value = hdr.texture;
+        passes.bright.uniforms.u_exposure.value = exposure;
+        runPass(passes.bright, bloomA);
+        passes.blur.uniforms.u_input.value = bloomA.texture;
+        passes.blur.uniforms.u_step.value.set(hdrState.pixelScale / bloomA.width, 0);
+        runPass(passes.blur, bloomB);
+        passes.blur.uniforms.u_input.value = bloomB.texture;
+        passes.blur.uniforms.u_step.value.set(0, hdrState.pixelScale / bloomA.height);
+        runPass(passes.blur, bloomA);
+    }
+
+    const uniforms = passes.composite.uniforms;
+    uniforms.u_input.value = hdr.texture;
+    uniforms.u_bloom.value = bloomA.texture;
+    uniforms.u_bloom_strength.value = hdrState.bloom ? BLOOM_STRENGTH : 0;
+    uniforms.u_exposure.value = exposure;
+    uniforms.u_tone_mapping.value = TONE_MAPPINGS[hdrState.toneMapping];
+    renderer.autoClear = false; // Added over the rest of the scene
+    runPass(passes.composite, null);
+    renderer.autoClear = true;
+}
+
+/**
+ * Measures the last frame's star light and eases auto exposure towards it.
+ * Exports do not call this, so a frame sequence keeps one exposure throughout.
+ * @param {number} delta - Seconds since the previous frame.
+ * @returns {void}
+ */
+function updateAutoExposure(delta) {
+    hdrState.elapsed += delta;
+    if (!hdrState.autoExposure || !hdrState.targets || !starState.starPoints || !starState.starPoints.visible) return;
+    if (++hdrState.framesSinceMeasure < AUTO_EXPOSURE_INTERVAL) return;
+    hdrState.framesSinceMeasure = 0;
+    const elapsed = hdrState.elapsed;
+    hdrState.elapsed = 0;
+
+    const { hdr, luminance } = hdrState.targets;
+    const pass = hdrState.passes.luminance;
+    pass.uniforms.u_input.value = hdr.texture;
+    pass.uniforms.u_lod.value = Math.max(Math.log2(Math.max(hdr.width, hdr.height) / AUTO_EXPOSURE_GRID), 0);
+    runPass(pass, luminance);
+    renderer.setRenderTarget(null);
+    const pixels = hdrState.luminancePixels;
+    renderer.readRenderTargetPixels(luminance, 0, 0, AUTO_EXPOSURE_GRID, AUTO_EXPOSURE_GRID, pixels);
+
+    // Empty sky would drag the exposure up without limit, so only lit blocks count
+    const levels = [];
+    for (let i = 0; i < pixels.length; i += 4) {
+        if (pixels[i] > 0) levels.push(pixels[i]);
+    }
+    if (levels.length === 0) return;
+    levels.sort((a, b) => a - b);
+    const level = levels[Math.floor(AUTO_EXPOSURE_PERCENTILE * (levels.length - 1))];
+    const log2Luminance = LUMINANCE_LOG2_RANGE[0] + (level / 255) * (LUMINANCE_LOG2_RANGE[1] - LUMINANCE_LOG2_RANGE[0]);
+    const target = THREE.MathUtils.clamp(
+        Math.log10(AUTO_EXPOSURE_KEY) - log2Luminance * Math.LOG10_2,
+        EXPOSURE_LOG_RANGE[0], EXPOSURE_LOG_RANGE[1]
+    );
+    const current = Math.log10(hdrState.autoValue);
+    hdrState.autoValue = 10 ** (current + (target - current) * (1 - Math.exp(-AUTO_EXPOSURE_RATE * elapsed)));
+    updateExposureDisplay();
+}
+
+function updateExposureDisplay() {
+    const format = (value) => value.toLocaleString(undefined, { maximumSignificantDigits: 3 });
+    document.getElementById('exposure-display').innerText = hdrState.autoExposure
+        ? `Auto: ${format(getExposure())}x (${format(hdrState.exposure)}x compensation)`
+        : `Exposure: ${format(hdrState.exposure)}x`;
+}
+
+/**
+ * Wires up the exposure slider, auto exposure, tone mapping and glow controls.
+ * @returns {void}
+ */
+function setupHdrControls() {
+    hdrState.floatTargets = renderer.extensions.has('EXT_color_buffer_half_float') || renderer.extensions.has('EXT_color_buffer_float');
+    if (!hdrState.floatTargets) {
+        for (const id of ['auto-exposure-checkbox', 'bloom-checkbox']) {
+            const checkbox = document.getElementById(id);
+            checkbox.disabled = true;
+            checkbox.parentElement.title = 'Needs float render targets, which this browser or GPU lacks';
+        }
+    }
+    const exposureSlider = document.getElementById('exposure-slider');
+    exposureSlider.addEventListener('input', () => {
+        hdrState.exposure = 10 ** parseFloat(exposureSlider.value); // The slider holds log10
+        updateExposureDisplay();
+    });
+    document.getElementById('auto-exposure-checkbox').addEventListener('change', (event) => {
+        hdrState.autoExposure = event.target.checked;
+        hdrState.autoValue = 1;
+        updateExposureDisplay();
+    });
+    document.getElementById('tone-mapping-select').addEventListener('change', (event) => {
+        hdrState.toneMapping = event.target.value;
+    });
+    document.getElementById('bloom-checkbox').addEventListener('change', (event) => {
+        hdrState.bloom = event.target.checked;
+    });
+    updateExposureDisplay();
+}
+
+// --- Image & Video Export ---
+// Renders the scene offscreen, without the page UI, at any resolution. Large images
+// are drawn in tiles through camera.setViewOffset() and stitched on a 2D canvas.
+// Star sizes are set as if the screen were that tall, so a poster looks like the
+// screen, only sharper. Frame sequences step the simulation on a fixed timestep,
+// so the same settings always give the same frames, and are saved as a ZIP of PNGs
+// or a WebM video.
+
+const EXPORT_TILE_SIZE = 2048; // Largest tile drawn in one pass, in pixels
+const EXPORT_MAX_SIZE = 16384; // Largest image side browsers reliably allow for a 2D canvas
+const EXPORT_RESOLUTIONS = {
+    '1080p': [1920, 1080],
+    '4k': [3840, 2160],
+    '8k': [7680, 4320],
+};
+const WEBM_BITS_PER_PIXEL = 0.1; // Per frame; sets the encoder's target bitrate
+
+const exportState = {
+    recording: false, // True while a frame sequence owns the animation loop
+    cancelled: false,
+};
+
+function setExportStatus(text) {
+    document.getElementById('export-status').innerText = text;
+}
+
+/**
+ * Renders the current scene into a new canvas of the given size. The renderer's own
+ * canvas is borrowed for each tile and put back afterwards.
+ * @param {number} width - Pixels.
+ * @param {number} height - Pixels.
+ * @returns {HTMLCanvasElement}
+ */
+function renderImage(width, height) {
+    const output = document.createElement('canvas');
+    output.width = width;
+    output.height = height;
+    const context = output.getContext('2d');
+
+    const pixelRatio = renderer.getPixelRatio();
+    const screenWidth = viewportState.width;
+    const screenHeight = viewportState.height;
+    const maxViewport = renderer.getContext().getParameter(renderer.getContext().MAX_VIEWPORT_DIMS);
+    const uniforms = starState.starPoints ? starState.starMaterial.uniforms : null;
+
+    // Points are sized in device pixels, so scale them by the output's height over the screen's
+    if (uniforms) {
+        uniforms.u_viewport_height.value = height / pixelRatio;
+        uniforms.u_pixel_scale.value = height / (screenHeight * pixelRatio);
+    }
+    setLayerPixelScale(height / (screenHeight * pixelRatio));
+    hdrState.pixelScale = height / (screenHeight * pixelRatio);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+    updateStarLOD(); // For the output's field of view, not the screen's
+
+    // The glow is blurred per tile, so each tile is drawn with a margin of its neighbours'
+    // pixels and cropped; even, to keep the half-resolution bloom texels aligned across tiles
+    const glowing = hdrState.floatTargets && hdrState.bloom;
+    const margin = glowing ? 2 * Math.ceil((BLOOM_REACH_PX * hdrState.pixelScale) / 2) : 0;
+    const tileSize = Math.min(EXPORT_TILE_SIZE, maxViewport[0], maxViewport[1]) - 2 * margin;
+
+    renderer.setPixelRatio(1);
+    for (let y = 0; y < height; y += tileSize) {
+        for (let x = 0; x < width; x += tileSize) {
+            const tileWidth = Math.min(tileSize, width - x);
+            const tileHeight = Math.min(tileSize, height - y);
+            // Not past the image's edges, where the screen's glow stops too
+            const left = Math.max(x - margin, 0);
+            const top = Math.max(y - margin, 0);
+            const drawWidth = Math.min(x + tileWidth + margin, width) - left;
+            const drawHeight = Math.min(y + tileHeight + margin, height) - top;
+            renderer.setSize(drawWidth, drawHeight, false);
+            camera.setViewOffset(width, height, left, top, drawWidth, drawHeight);
+            renderView();
+            // Copied in the same task as the render, before the drawing buffer is cleared
+            context.drawImage(renderer.domElement, x - left, y - top, tileWidth, tileHeight, x, y, tileWidth, tileHeight);
+        }
+    }
+
+    camera.clearViewOffset();
+    camera.aspect = screenWidth / screenHeight;
+    camera.updateProjectionMatrix();
+    renderer.setPixelRatio(pixelRatio);
+    renderer.setSize(screenWidth, screenHeight, false);
+    if (uniforms) {
+        uniforms.u_viewport_height.value = screenHeight;
+        uniforms.u_pixel_scale.value = 1.0;
+    }
+    setLayerPixelScale(1.0);
+    hdrState.pixelScale = 1;
+    return output;
+}
+
+function canvasToBlob(canvas, type) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('the image is too large to encode'))), type);
+    });
+}
+
+function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    // Revoking straight away can cancel the download before it starts (Firefox, Safari)
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Builds an uncompressed ZIP archive. PNGs are already compressed, so storing them
+ * as they are costs almost nothing. Entries and the archive must stay under 4 GB.
+ * @param {{name: string, blob: Blob, crc: number}[]} files
+ * @returns {Blob}
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    const header = (size, fill) => {
+        const bytes = new Uint8Array(size);
+        fill(new DataView(bytes.buffer));
+        return bytes;
+    };
+
+    files.forEach((file) => {
+        const name = encoder.encode(file.name);
+        const size = file.blob.size;
+        const local = header(30, (view) => {
+            view.setUint32(0, 0x04034b50, true); // Local file header signature
+            view.setUint16(4, 20, true); // Version needed to extract
+            view.setUint32(14, file.crc, true);
+            view.setUint32(18, size, true); // Compressed size (stored)
+            view.setUint32(22, size, true);
+            view.setUint16(26, name.length, true);
+        });
+        central.push(header(46, (view) => {
+            view.setUint32(0, 0x02014b50, true); // Central directory signature
+            view.setUint16(4, 20, true); // Version made by
+            view.setUint16(6, 20, true);
+            view.setUint32(16, file.crc, true);
+            view.setUint32(20, size, true);
+            view.setUint32(24, size, true);
+            view.setUint16(28, name.length, true);
+            view.setUint32(42, offset, true); // Offset of the local header
+        }), name);
+        parts.push(local, name, file.blob);
+        offset += local.length + name.length + size;
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = header(22, (view) => {
+        view.setUint32(0, 0x06054b50, true); // End of central directory signature
+        view.setUint16(8, files.length, true);
+        view.setUint16(10, files.length, true);
+        view.setUint32(12, centralSize, true);
+        view.setUint32(16, offset, true);
+    });
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+/**
+ * Reads the output size from the export popup, clamped to what can be drawn.
+ * @returns {{width: number, height: number}}
+ */
+function getExportSize() {
+    const clamp = (value) => Math.min(Math.max(Math.round(value) || 1, 1), EXPORT_MAX_SIZE);
+    return {
+        width: clamp(parseFloat(document.getElementById('export-width').value)),
+        height: clamp(parseFloat(document.getElementById('export-height').value)),
+    };
+}
+
+/**
+ * Saves the current view as a PNG at the size chosen in the export popup.
+ * @returns {Promise<void>}
+ */
+async function exportScreenshot() {
+    const { width, height } = getExportSize();
+    setExportStatus(`Rendering ${width} × ${height}...`);
+    try {
+        const blob = await canvasToBlob(renderImage(width, height), 'image/png');
+        downloadBlob(blob, `galaxymap-${width}x${height}.png`);
+        setExportStatus(`Saved a ${width} × ${height} image.`);
+    } catch (error) {
+        setExportStatus(`Could not save the image: ${error.message}`);
+    }
+}
+
+/**
+ * Renders a frame sequence on a fixed timestep and saves it as a ZIP of PNGs or as
+ * a WebM video. The animation loop is held while it runs. WebM frames are handed to
+ * the encoder at the video's frame rate, so recording takes at least as long as the
+ * video; the PNG sequence goes as fast as frames can be drawn.
+ * @param {object} options
+ * @param {number} options.fps
+ * @param {number} options.seconds - Length of the sequence; ignored when playing the tour.
+ * @param {string} options.format - 'png' or 'webm'.
+ * @param {boolean} options.tour - Play the tour from its start and record all of it.
+ * @returns {Promise<void>}
+ */
+async function exportFrameSequence({ fps, seconds, format, tour }) {
+    const { width, height } = getExportSize();
+    const mimeType = format === 'webm'
+        ? ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find((type) => MediaRecorder.isTypeSupported(type))
+        : null;
+    if (format === 'webm' && !mimeType) {
+        setExportStatus('This browser cannot record WebM video; use the PNG sequence.');
+        return;
+    }
+    if (tour) {
+        if (tourState.keyframes.length === 0) {
+            setExportStatus('The tour has no keyframes.');
+            return;
+        }
+        seekTour(0);
+        playTour();
+        seconds = tourState.duration;
+    }
+    const frameCount = Math.max(Math.round(seconds * fps), 1);
+    const step = 1 / fps;
+
+    let recorder = null;
+    let stream = null;
+    let streamContext = null;
+    const chunks = [];
+    const frames = [];
+    if (format === 'webm') {
+        const streamCanvas = document.createElement('canvas');
+        streamCanvas.width = width;
+        streamCanvas.height = height;
+        streamContext = streamCanvas.getContext('2d');
+        stream = streamCanvas.captureStream(0);
+        recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: Math.round(width * height * fps * WEBM_BITS_PER_PIXEL) });
+        recorder.addEventListener('dataavailable', (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        });
+        recorder.start();
+    }
+
+    exportState.recording = true;
+    exportState.cancelled = false;
+    document.getElementById('export-cancel').disabled = false;
+    const startTime = performance.now();
+    let failed = false;
+    try {
+        for (let frame = 0; frame < frameCount && !exportState.cancelled; frame++) {
+            advanceFrame(frame === 0 ? 0 : step);
+            const image = renderImage(width, height);
+
+            if (recorder) {
+                streamContext.drawImage(image, 0, 0);
+                const due = startTime + frame * step * 1000;
+                await new Promise((resolve) => setTimeout(resolve, Math.max(due - performance.now(), 0)));
+                stream.getVideoTracks()[0].requestFrame();
+            } else {
+                const blob = await canvasToBlob(image, 'image/png');
+                const crc = crc32(new Uint8Array(await blob.arrayBuffer()));
+                frames.push({ name: `frame_${String(frame).padStart(5, '0')}.png`, blob, crc });
+                await new Promise((resolve) => setTimeout(resolve, 0)); // Let the page show progress
+            }
+            setExportStatus(`Rendered frame ${frame + 1} of ${frameCount}...`);
+        }
+    } catch (error) {
+        failed = true;
+        setExportStatus(`Export failed: ${error.message}`);
+    } finally {
+        exportState.recording = false;
+        document.getElementById('export-cancel').disabled = true;
+        clock.getDelta(); // Don't count the export as one long frame
+        if (tour) pauseTour();
+    }
+
+    if (recorder) {
+        await new Promise((resolve) => {
+            recorder.addEventListener('stop', resolve, { once: true });
+            // Hold the last frame for its full duration before stopping
+            setTimeout(() => recorder.stop(), step * 1000);
+        });
+        stream.getTracks().forEach((track) => track.stop());
+    }
+    if (failed) return;
+    if (exportState.cancelled) {
+        setExportStatus('Export cancelled.');
+        return;
+    }
+
+    if (recorder) {
+        downloadBlob(new Blob(chunks, { type: 'video/webm' }), 'galaxymap.webm');
+    } else {
+        downloadBlob(createZip(frames), 'galaxymap-frames.zip');
+    }
+    setExportStatus(`Saved ${frameCount} frames at ${width} × ${height}.`);
+}
+
+/**
+ * Wires up the export popup: output size, screenshot and frame-sequence buttons.
+ * @returns {void}
+ */
+function setupExport() {
+    const presetSelect = document.getElementById('export-preset');
+    const widthInput = document.getElementById('export-width');
+    const heightInput = document.getElementById('export-height');
+
+    const applyPreset = () => {
+        const [width, height] = EXPORT_RESOLUTIONS[presetSelect.value] ||
+            [renderer.domElement.width, renderer.domElement.height];
+        widthInput.value = width;
+        heightInput.value = height;
+    };
+    presetSelect.addEventListener('change', applyPreset);
+    document.getElementById('export-button').addEventListener('click', () => {
+        if (presetSelect.value === 'screen') applyPreset();
+    });
+    applyPreset();
+
+    document.getElementById('export-screenshot').addEventListener('click', exportScreenshot);
+    document.getElementById('export-sequence').addEventListener('click', () => {
+        if (exportState.recording) return;
+        exportFrameSequence({
+            fps: Math.max(parseFloat(document.getElementById('export-fps').value) || 30, 1),
+            seconds: Math.max(parseFloat(document.getElementById('export-seconds').value) || 0, 0),
+            format: document.getElementById('export-format').value,
+            tour: document.getElementById('export-tour').checked,
+        });
+    });
+    document.getElementById('export-cancel').addEventListener('click', () => {
+        exportState.cancelled = true;
+    });
+}
+
+// --- Flight Input: Keys, D-pad, Touch & Gamepad ---
+// Every input source writes into flyControls.moveState through setFlightInput(), which
+// keeps a value per source so releasing a D-pad button does not cancel a held key.
+// FlyControls' own keyboard handling is fixed to WASD, so key events are taken in the
+// capture phase and mapped through remappable bindings instead.
+
+const KEYBINDINGS_STORAGE_KEY = 'galaxymap.keybindings';
+const FLIGHT_ACTIONS = [
+    { action: 'forward', label: 'Move forward', code: 'KeyW' },
+    { action: 'back', label: 'Move backward', code: 'KeyS' },
+    { action: 'left', label: 'Move left', code: 'KeyA' },
+    { action: 'right', label: 'Move right', code: 'KeyD' },
+    { action: 'up', label: 'Move up', code: 'KeyR' },
+    { action: 'down', label: 'Move down', code: 'KeyF' },
+    { action: 'pitchUp', label: 'Look up', code: 'ArrowUp' },
+    { action: 'pitchDown', label: 'Look down', code: 'ArrowDown' },
+    { action: 'yawLeft', label: 'Look left', code: 'ArrowLeft' },
+    { action: 'yawRight', label: 'Look right', code: 'ArrowRight' },
+    { action: 'rollLeft', label: 'Roll counter-clockwise', code: 'KeyQ' },
+    { action: 'rollRight', label: 'Roll clockwise', code: 'KeyE' },
+    { action: 'slow', label: 'Hold to move slowly', code: 'ShiftLeft' },
+];
+// Keys FlyControls reacts to on its own; they are kept from reaching it
+const FLY_CONTROLS_CODES = new Set([...FLIGHT_ACTIONS.map((entry) => entry.code), 'ShiftRight']);
+const DPAD_ACTIONS = {
+    'move-forward': 'forward',
+    'move-backward': 'back',
+    'move-left': 'left',
+    'move-right': 'right',
+    'move-up': 'up',
+    'move-down': 'down',
+};
+const SLOW_SPEED_MULTIPLIER = 0.1; // Same as FlyControls' Shift
+const GAMEPAD_DEADZONE = 0.15;
+const PINCH_DOLLY_SECONDS = 1; // Doubling the finger spread moves as far as this long at full speed
+
+const flightInputState = {
+    bindings: {}, // action -> KeyboardEvent.code
+    sources: { keyboard: {}, dpad: {}, gamepad: {} }, // source -> action -> 0..1
+    capturingAction: null, // Action waiting for a new key in the controls popup
+    touches: new Map(), // pointerId -> { x, y } for touches on the canvas
+    gesture: null, // { distance, x, y } of the last two-finger frame
+};
+
+function loadKeyBindings() {
+    const bindings = {};
+    FLIGHT_ACTIONS.forEach(({ action, code }) => {
+        bindings[action] = code;
+    });
+    try {
+        const stored = JSON.parse(localStorage.getItem(KEYBINDINGS_STORAGE_KEY));
+        if (stored && typeof stored === 'object') {
+            Object.keys(bindings).forEach((action) => {
+                if (typeof stored[action] === 'string') bindings[action] = stored[action];
+            });
+        }
+    } catch (error) {
+        console.warn('Ignoring unreadable key bindings in localStorage.', error);
+    }
+    return bindings;
+}
+
+function formatKeyCode(code) {
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Arrow')) return `Arrow ${code.slice(5)}`;
+    if (code.startsWith('Shift')) return 'Shift';
+    return code;
+}
+
+/**
+ * Sets one source's value for a flight action and pushes the strongest value
+ * across all sources into FlyControls.
+ * @param {string} source - 'keyboard', 'dpad' or 'gamepad'.
+ * @param {string} action - A FLIGHT_ACTIONS action.
+ * @param {number} value - 0 to 1.
+ * @returns {void}
+ */
+function setFlightInput(source, action, value) {
+    flightInputState.sources[source][action] = value;
+    const combined = Math.max(...Object.values(flightInputState.sources).map((values) => values[action] || 0));
+    if (action === 'slow') {
+        flyControls.movementSpeedMultiplier = combined > 0 ? SLOW_SPEED_MULTIPLIER : 1;
+        return;
+    }
+    flyControls.moveState[action] = combined;
+    flyControls.updateMovementVector();
+    flyControls.updateRotationVector();
+}
+
+function isTextEntry(target) {
+    return target instanceof HTMLElement &&
+        (target.tagName === 'TEXTAREA' || target.tagName === 'SELECT' ||
+            (target.tagName === 'INPUT' && target.type !== 'range' && target.type !== 'checkbox'));
+}
+
+/**
+ * Lists the bindings in the controls popup; clicking one waits for a new key.
+ * @returns {void}
+ */
+function renderKeyBindings() {
+    const list = document.getElementById('keybinding-list');
+    list.innerHTML = '';
+    FLIGHT_ACTIONS.forEach(({ action, label }) => {
+        const row = document.createElement('div');
+        row.className = 'keybind-row';
+        const key = document.createElement('button');
+        key.className = 'keybind-key keybind-button';
+        key.innerText = flightInputState.capturingAction === action
+            ? 'Press a key...'
+            : formatKeyCode(flightInputState.bindings[action]);
+        key.addEventListener('click', () => {
+            flightInputState.capturingAction = action;
+            renderKeyBindings();
+        });
+        const desc = document.createElement('span');
+        desc.className = 'keybind-desc';
+        desc.innerText = label;
+        row.append(key, desc);
+        list.appendChild(row);
+    });
+
+    // The D-pad shows whichever keys its buttons share an action with
+    Object.entries(DPAD_ACTIONS).forEach(([id, action]) => {
+        document.getElementById(id).innerText = formatKeyCode(flightInputState.bindings[action]);
+    });
+}
+
+/**
+ * Binds `code` to the action being captured. A key already used elsewhere swaps
+ * places with it so no action is left without a key.
+ * @param {string} code
+ * @returns {void}
+ */
+function assignKeyBinding(code) {
+    const action = flightInputState.capturingAction;
+    flightInputState.capturingAction = null;
+    const bindings = flightInputState.bindings;
+    const previous = Object.keys(bindings).find((other) => bindings[other] === code);
+    if (previous && previous !== action) bindings[previous] = bindings[action];
+    bindings[action] = code;
+    try {
+        localStorage.setItem(KEYBINDINGS_STORAGE_KEY, JSON.stringify(bindings));
+    } catch (error) {
+        console.warn('Could not save key bindings to localStorage.', error);
+    }
+    renderKeyBindings();
+}
+
+function setupKeyboardFlight() {
+    flightInputState.bindings = loadKeyBindings();
+    renderKeyBindings();
+
+    const actionForCode = (code) =>
+        Object.keys(flightInputState.bindings).find((action) => flightInputState.bindings[action] === code);
+
+    window.addEventListener('keydown', (event) => {
+        if (flightInputState.capturingAction) {
+            event.preventDefault();
+            event.stopImmediatePropagation();
+            if (event.code === 'Escape') {
+                flightInputState.capturingAction = null;
+                renderKeyBindings();
+            } else {
+                assignKeyBinding(event.code);
+            }
+            return;
+        }
+
+        const action = actionForCode(event.code);
+        if (!action || !flyControls.enabled || event.altKey || isTextEntry(event.target)) return;
+        setFlightInput('keyboard', action, 1);
+    }, { capture: true });
+
+    window.addEventListener('keyup', (event) => {
+        const action = actionForCode(event.code);
+        if (action) setFlightInput('keyboard', action, 0); // Always release, even if disabled meanwhile
+    }, { capture: true });
+
+    // FlyControls listens on window with fixed bindings. Stopping its keys at the document,
+    // after every element and document listener has seen them, keeps them from reaching it.
+    const hideFromFlyControls = (event) => {
+        if (actionForCode(event.code) || FLY_CONTROLS_CODES.has(event.code)) event.stopPropagation();
+    };
+    document.addEventListener('keydown', hideFromFlyControls);
+    document.addEventListener('keyup', hideFromFlyControls);
+
+    // Nothing stays held if the window loses focus mid-press
+    window.addEventListener('blur', () => {
+        Object.keys(flightInputState.sources.keyboard).forEach((action) => setFlightInput('keyboard', action, 0));
+    });
+
+    document.getElementById('keybinding-reset').addEventListener('click', () => {
+        localStorage.removeItem(KEYBINDINGS_STORAGE_KEY);
+        flightInputState.capturingAction = null;
+        flightInputState.bindings = loadKeyBindings();
+        renderKeyBindings();
+    });
+}
+
+function setupDpad() {
+    Object.entries(DPAD_ACTIONS).forEach(([id, action]) => {
+        const button = document.getElementById(id);
+        const release = () => {
+            button.classList.remove('active');
+            setFlightInput('dpad', action, 0);
+        };
+        button.addEventListener('pointerdown', (event) => {
+            event.preventDefault(); // No text selection or emulated mouse events on touch
+            button.setPointerCapture(event.pointerId);
+            button.classList.add('active');
+            setFlightInput('dpad', action, 1);
+        });
+        button.addEventListener('pointerup', release);
+        button.addEventListener('pointercancel', release);
+        button.addEventListener('lostpointercapture', release);
+    });
+}
+
+/**
+ * Two-finger gestures for explore mode and the view from Earth: pinch to move
+ * forward/back (or zoom the sky), drag to look around. Orbit mode keeps
+ * OrbitControls' own pinch-to-zoom.
+ * @returns {void}
+ */
+function setupTouchGestures() {
+    const canvas = renderer.domElement;
+    const touches = flightInputState.touches;
+
+    const readGesture = () => {
+        const [a, b] = [...touches.values()];
+        return { distance: Math.hypot(a.x - b.x, a.y - b.y), x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    };
+    const handlesGestures = () => isFlyMode || skyState.active;
+
+    // Capture phase: once two fingers are down, FlyControls and the sky drag must not see them
+    canvas.addEventListener('pointerdown', (event) => {
+        if (event.pointerType !== 'touch') return;
+        touches.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        if (touches.size === 2 && handlesGestures()) {
+            flyControls.pointercancel(); // Drop the first finger's drag-to-look
+            skyState.dragging = false;
+            flightInputState.gesture = readGesture();
+        }
+        if (touches.size >= 2 && handlesGestures()) event.stopImmediatePropagation();
+    }, { capture: true });
+
+    canvas.addEventListener('pointermove', (event) => {
+        if (!touches.has(event.pointerId)) return;
+        touches.set(event.pointerId, { x: event.clientX, y: event.clientY });
+        if (touches.size < 2 || !flightInputState.gesture || !handlesGestures()) return;
+        event.stopImmediatePropagation();
+
+        const previous = flightInputState.gesture;
+        const current = readGesture();
+        flightInputState.gesture = current;
+        const scale = current.distance / Math.max(previous.distance, 1);
+        const dx = current.x - previous.x;
+        const dy = current.y - previous.y;
+
+        if (skyState.active) {
+            setSkyFov(skyState.fov / scale);
+            const radiansPerPixel = (skyState.fov * (Math.PI / 180)) / canvas.clientHeight;
+            skyState.azimuth += dx * radiansPerPixel;
+            skyState.altitude = Math.min(Math.max(skyState.altitude + dy * radiansPerPixel, -SKY_MAX_ALTITUDE), SKY_MAX_ALTITUDE);
+            return;
+        }
+        // The scene follows the fingers, like dragging the sky around
+        const radiansPerPixel = (camera.fov * (Math.PI / 180)) / canvas.clientHeight;
+        camera.rotateY(dx * radiansPerPixel);
+        camera.rotateX(dy * radiansPerPixel);
+        camera.translateZ(-Math.log2(scale) * flyControls.movementSpeed * PINCH_DOLLY_SECONDS);
+    }, { capture: true });
+
+    const endTouch = (event) => {
+        if (!touches.has(event.pointerId)) return;
+        const wasGesture = touches.size >= 2 && flightInputState.gesture;
+        touches.delete(event.pointerId);
+        if (touches.size < 2) flightInputState.gesture = null;
+        if (wasGesture && handlesGestures()) event.stopImmediatePropagation();
+    };
+    canvas.addEventListener('pointerup', endTouch, { capture: true });
+    canvas.addEventListener('pointercancel', endTouch, { capture: true });
+}
+
+/**
+ * Reads the first connected gamepad (standard mapping): left stick moves, right stick
+ * looks, triggers rise and sink, bumpers roll. Stick deflection scales the position of
+ * the camera speed slider, so it follows the slider's curve: half tilt flies at the
+ * speed the slider would give at half its setting. Called once per frame.
+ * @returns {void}
+ */
+function updateGamepadInput() {
+    const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+    const pad = Array.from(gamepads).find((candidate) => candidate && candidate.mapping === 'standard');
+    const values = {};
+
+    if (pad && isFlyMode && !skyState.active) {
+        const axis = (index) => {
+            const value = pad.axes[index] || 0;
+            return Math.abs(value) < GAMEPAD_DEADZONE ? 0 : (value - Math.sign(value) * GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE);
+        };
+        const sliderPosition = parseFloat(document.getElementById('fly-speed-slider').value);
+        const fullSpeed = getFlySpeed(sliderPosition);
+        const speedCurve = (deflection) => (fullSpeed > 0 ? getFlySpeed(sliderPosition * deflection) / fullSpeed : 0);
+        const button = (index) => (pad.buttons[index] ? pad.buttons[index].value : 0);
+
+        const moveX = axis(0);
+        const moveY = axis(1);
+        const lookX = axis(2);
+        const lookY = axis(3);
+        values.right = speedCurve(Math.max(moveX, 0));
+        values.left = speedCurve(Math.max(-moveX, 0));
+        values.back = speedCurve(Math.max(moveY, 0));
+        values.forward = speedCurve(Math.max(-moveY, 0));
+        values.up = speedCurve(button(7)); // Right trigger
+        values.down = speedCurve(button(6)); // Left trigger
+        values.yawRight = Math.max(lookX, 0);
+        values.yawLeft = Math.max(-lookX, 0);
+        values.pitchDown = Math.max(lookY, 0);
+        values.pitchUp = Math.max(-lookY, 0);
+        values.rollLeft = button(4);
+        values.rollRight = button(5);
+    }
+
+    // Only touch FlyControls when a value changes, so mouse look is not overridden
+    FLIGHT_ACTIONS.forEach(({ action }) => {
+        if (action === 'slow') return;
+        const value = values[action] || 0;
+        if ((flightInputState.sources.gamepad[action] || 0) !== value) setFlightInput('gamepad', action, value);
+    });
+}
+
+// --- Offline Support ---
+// sw.js keeps the page, its scripts and three.js for offline use; the catalogue itself
+// is cached in IndexedDB by the loader worker. Service workers need a secure context,
+// so nothing happens on plain http or file: pages. Only index.html registers it; a page
+// that imports main.js keeps its own service worker unless it calls this itself.
+
+const SERVICE_WORKER_URL = new URL('./sw.js', import.meta.url);
+
+/**
+ * Installs sw.js, whose scope is main.js's directory.
+ * @returns {void}
+ */
+export function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+    navigator.serviceWorker.register(SERVICE_WORKER_URL).catch((error) => {
+        console.warn('Offline support unavailable.', error);
+    });
+}
+
+// --- Embedding API ---
+// GalaxyMap is the viewer's public face. index.html creates one from its URL's query,
+// and a page that imports main.js itself can create it and drive it through its methods
+// and events (EventTarget events whose detail holds the data). The viewer keeps one scene
+// per page and finds its panels by id, so the page needs index.html's markup and there
+// can only be one map. To put the map inside another page, load index.html in an iframe
+// and talk to it through the postMessage bridge. The bridge is only switched on for an
+// explicit parentOrigin, and only messages from that origin are obeyed or sent to it:
+//   parent -> map:  { type: 'galaxymap', id, method, args }  (method from MAP_REMOTE_METHODS)
+//   map -> parent:  { type: 'galaxymap-result', id, result } or { ..., error }
+//   map -> parent:  { type: 'galaxymap-event', event, detail }
+
+const MAP_MESSAGE_TYPE = 'galaxymap';
+const MAP_REMOTE_METHODS = ['flyTo', 'setTime', 'setOverlayOpacity', 'loadCatalog', 'select', 'getView', 'setView', 'showPanels'];
+// Panels that can be left out of an embedded map, by the ids of their elements
+const MAP_PANELS = {
+    controls: ['control-panel'],
+    details: ['star-info-panel'],
+    hud: ['hud'],
+    labels: ['landmark-labels'],
+    measure: ['measure-panel'],
+    sky: ['sky-panel'],
+    hr: ['hr-panel'],
+    region: ['region-panel'],
+    explore: ['translation-controls'],
+    tour: ['tour-panel', 'tour-caption'],
+};
+
+let mapInstance = null;
+
+function emitMapEvent(type, detail) {
+    if (mapInstance) mapInstance.emit(type, detail);
+}
+
+/**
+ * What a starPicked event tells the host about a star.
+ * @param {number} index - Index into starState.fullStarData.
+ * @returns {object}
+ */
+function getStarEventDetail(index) {
+    const catalog = starState.fullStarData;
+    const sourceId = catalog.sourceId ? catalog.sourceId[index] : 0n;
+    return {
+        index,
+        sourceId: sourceId > 0n ? String(sourceId) : null, // A string, as JSON has no 64-bit integers
+        ra: catalog.ra[index],
+        dec: catalog.dec[index],
+        distance: catalog.distance[index],
+        gMag: catalog.gMag[index],
+        bpRp: catalog.bpRp[index],
+    };
+}
+
+/**
+ * The viewer, built on a canvas of a page with index.html's markup.
+ * Events: 'loaded' ({ count, url }), 'starPicked' (see getStarEventDetail) and
+ * 'viewChanged' (a view as from getView(), at most every VIEW_HASH_UPDATE_MS).
+ */
+export class GalaxyMap extends EventTarget {
+    /**
+     * @param {object} [options]
+     * @param {HTMLCanvasElement} [options.canvas] - Defaults to #bg.
+     * @param {string} [options.dataUrl] - CSV or packed catalogue; defaults to STAR_DATA_URL.
+     * @param {object|string} [options.view] - Starting view, as from getView() or a view link's hash.
+     * @param {string[]} [options.panels] - Keys of MAP_PANELS to show; all of them when omitted.
+     * @param {string} [options.parentOrigin] - In an iframe, the origin of the host page. Its
+     *     messages are obeyed and events are posted to it; without it there is no bridge.
+     */
+    constructor(options = {}) {
+        super();
+        if (mapInstance) throw new Error('GalaxyMap: there can only be one map per page.');
+        mapInstance = this;
+        this.options = { canvas: document.getElementById('bg'), dataUrl: STAR_DATA_URL, ...options };
+        this.parentOrigin = null;
+        starState.dataUrl = this.options.dataUrl;
+        if (this.options.panels) this.showPanels(this.options.panels);
+        if (window.parent !== window && this.options.parentOrigin) this.connectParent(this.options.parentOrigin);
+        /** Settles once the first catalogue has loaded or failed. */
+        this.ready = main(this.options);
+    }
+
+    /**
+     * Constructor options from a page URL's query: ?data=, ?panels=hud,labels and ?origin=.
+     * @param {string} url
+     * @returns {object}
+     */
+    static optionsFromUrl(url) {
+        const params = new URL(url).searchParams;
+        const options = {};
+        if (params.has('data')) options.dataUrl = params.get('data');
+        if (params.has('panels')) options.panels = params.get('panels').split(',').filter(Boolean);
+        if (params.has('origin')) options.parentOrigin = params.get('origin');
+        return options;
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+        if (this.parentOrigin) {
+            window.parent.postMessage({ type: `${MAP_MESSAGE_TYPE}-event`, event: type, detail }, this.parentOrigin);
+        }
+    }
+
+    /**
+     * Flies to a view as from getView(), or to whatever the search box finds first for
+     * a name, Gaia source_id or coordinates.
+     * @param {object|string} place
+     * @returns {boolean} Whether there was anywhere to go.
+     */
+    flyTo(place) {
+        if (typeof place === 'string') {
+            const [result] = searchQuery(place);
+            if (!result) return false;
+            result.go();
+            return true;
+        }
+        applyViewState(sanitizeViewState(place), { animate: true });
+        return true;
+    }
+
+    /**
+     * @param {number} years - Simulation time; negative is the past.
+     * @returns {void}
+     */
+    setTime(years) {
+        if (!Number.isFinite(years)) throw new Error('setTime needs a number of years');
+        animationState.simulationTime = years;
+    }
+
+    setOverlayOpacity(opacity) {
+        setInputValue('opacity-slider', THREE.MathUtils.clamp(opacity, 0, 1), 'input');
+    }
+
+    /**
+     * Replaces the star catalogue.
+     * @param {string} url - CSV or packed catalogue.
+     * @returns {Promise<{count: number}>}
+     */
+    async loadCatalog(url) {
+        starState.dataUrl = url;
+        await reloadStarCatalog();
+        if (!starState.fullStarData) throw new Error(`could not load ${url}`);
+        return { count: starState.fullStarData.count };
+    }
+
+    /**
+     * Selects a star and shows its details, by catalogue index or Gaia source_id
+     * (a string or BigInt). -1 clears the selection.
+     * @param {number|string|bigint} star
+     * @returns {number} The selected index, or -1.
+     */
+    select(star) {
+        const catalog = starState.fullStarData;
+        let index = -1;
+        if (catalog && typeof star === 'number') {
+            index = Number.isInteger(star) && star >= 0 && star < catalog.count ? star : -1;
+        } else if (catalog && catalog.sourceId && /^\d+$/.test(String(star))) {
+            index = catalog.sourceId.indexOf(BigInt(star));
+        }
+        selectStar(index);
+        return index;
+    }
+
+    getView() {
+        return getViewState();
+    }
+
+    /**
+     * @param {object|string} view - As from getView(), or a view link's hash.
+     * @param {boolean} [animate=false] - Fly there instead of jumping.
+     * @returns {void}
+     */
+    setView(view, animate = false) {
+        applyViewState(typeof view === 'string' ? parseViewHash(view) : sanitizeViewState(view), { animate });
+    }
+
+    /**
+     * Shows only the listed panels.
+     * @param {string[]} panels - Keys of MAP_PANELS.
+     * @returns {void}
+     */
+    showPanels(panels) {
+        for (const [key, ids] of Object.entries(MAP_PANELS)) {
+            for (const id of ids) document.getElementById(id).classList.toggle('embed-hidden', !panels.includes(key));
+        }
+    }
+
+    /**
+     * Obeys messages from the host page and posts events to it.
+     * @param {string} parentOrigin - e.g. 'https://lessons.example.org'; wildcards are refused.
+     * @returns {void}
+     */
+    connectParent(parentOrigin) {
+        let origin;
+        try {
+            origin = new URL(parentOrigin).origin;
+        } catch (error) {
+            origin = 'null'; // Same as an opaque origin: refused below
+        }
+        if (origin === 'null') {
+            console.warn(`GalaxyMap: "${parentOrigin}" is not an origin; the postMessage bridge is off.`);
+            return;
+        }
+        this.parentOrigin = origin;
+        window.addEventListener('message', async (event) => {
+            const message = event.data;
+            if (event.source !== window.parent || event.origin !== origin) return;
+            if (!message || message.type !== MAP_MESSAGE_TYPE) return;
+            const reply = { type: `${MAP_MESSAGE_TYPE}-result`, id: message.id };
+            try {
+                if (!MAP_REMOTE_METHODS.includes(message.method)) throw new Error(`unknown method ${message.method}`);
+                reply.result = await this[message.method](...(Array.isArray(message.args) ? message.args : []));
+            } catch (error) {
+                reply.error = error.message;
+            }
+            window.parent.postMessage(reply, origin);
+        });
+    }
+}
+
+// --- Main execution ---
+/**
+ * Builds the viewer on a canvas and loads the catalogue. Called once, by the GalaxyMap constructor.
+ * @param {object} options - See GalaxyMap.
+ * @returns {Promise<void>}
+ */
+async function main(options) {
+    createRenderer(options.canvas);
+    setupResize();
+    setupControls();
+    setupCameraTransitions();
+    setupStarPicking();
+    setupMeasurement();
+    setupSkyView();
+    setupHrDiagram();
+    setupRegionSelection();
+    setupColorModes();
+    setupDust();
+    setupDataQuality();
+    setupRotationCurveControls();
+    setupMotionControls();
+    setupHdrControls();
+    addGalacticCenter();
+    addSunMarker();
+    setupOverlay();
+    addGalaxyImage();
+    setupKeyboardFlight();
+    setupDpad();
+    setupTouchGestures();
+    setupTours();
+    setupExport();
+    setupLayers();
+    setupLandmarks();
+    setupSearch();
+    setupHud();
+    setupBookmarks(); // Last, so a view in the URL finds every control and marker in place
+    if (options.view) {
+        applyViewState(typeof options.view === 'string' ? parseViewHash(options.view) : sanitizeViewState(options.view));
+    }
+    animate();
+    await loadStarCatalog();
+}
+
+// --- Handle Canvas Resize ---
+function setupResize() {
+    // The observer sees the canvas's own size; the window event also catches a new device pixel ratio
+    new ResizeObserver(onCanvasResize).observe(renderer.domElement);
+    window.addEventListener('resize', onCanvasResize);
+    onCanvasResize();
+}
+
+/**
+ * Reads the canvas's box into viewportState.
+ * @returns {void}
+ */
+function measureViewport() {
+    const bounds = renderer.domElement.getBoundingClientRect();
+    viewportState.left = bounds.left;
+    viewportState.top = bounds.top;
+    viewportState.width = Math.max(bounds.width, 1);
+    viewportState.height = Math.max(bounds.height, 1);
+}
+
+function onCanvasResize() {
+    measureViewport();
+    camera.aspect = viewportState.width / viewportState.height;
+    camera.updateProjectionMatrix();
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+    renderer.setSize(viewportState.width, viewportState.height, false);
+
+    // --- OPTIMIZATION: Update shader uniform on resize ---
+    if (starState.starPoints) {
+        starState.starMaterial.uniforms.u_viewport_height.value = viewportState.height;
+    }
+}
+
+// --- Animation Loop ---
+const clock = new THREE.Clock();
+
+/**
+ * Advances the simulation, camera and scene by one frame without drawing it.
+ * Screen frames pass the wall-clock delta; exports pass a fixed timestep.
+ * @param {number} delta - Seconds since the previous frame.
+ * @returns {void}
+ */
+function advanceFrame(delta) {
+    // Accumulate simulation time if not paused; a playing tour sets it from its keyframes
+    if (tourState.playing) {
+        updateTourPlayback(delta);
+    } else if (!animationState.isPaused) {
+        animationState.simulationTime += delta * animationState.timeScale;
+    }
+
+    // The sky view places the camera itself once the Sun has moved (see updateSkyView)
+    if (transitionState.active) {
+        updateCameraTransition(delta);
+    } else if (!skyState.active && !tourState.playing) {
+        if (isFlyMode) {
+            flyControls.update(delta);
+        } else {
+            controls.update();
+        }
+    }
+
+    // Pick which stars to draw for this camera and time
+    updateStarLOD();
+
+    // --- OPTIMIZATION: Update shader uniforms instead of CPU loop ---
+    if (starState.starPoints) {
+        starState.starMaterial.uniforms.u_time.value = animationState.simulationTime;
+        starState.starMaterial.uniforms.u_time_scale.value = 1.0; // Already factored into simulationTime
+        starState.starMaterial.uniforms.u_motion_time.value = motionState.enabled ? animationState.simulationTime : 0;
+    }
+    updateLayers();
+
+    if (galaxyPlaneMesh) {
+        // The image is a rigid picture, so it turns with the Sun and fades as the disk shears
+        galaxyPlaneMesh.rotation.z = getOverlayRotation(animationState.simulationTime);
+        galaxyPlaneMesh.material.opacity = overlayState.opacity * getOverlayWindingFade(animationState.simulationTime);
+    }
+    updateSpiralArms();
+
+    if (sunSprite) {
+        getSunPositionAtTime(animationState.simulationTime, sunSprite.position);
+    }
+
+    if (skyState.active) {
+        updateSkyView();
+    }
+
+    updatePickMarker();
+    updateMeasurement();
+    updateTimeScrubber();
+}
+
+function animate() {
+    const delta = clock.getDelta(); // Get time since last frame
+    // We don't use clock.getElapsedTime() for rotation anymore, 
+    // to allow for pausing and smooth speed changes.
+
+    // A frame-sequence export steps the scene itself, on a fixed timestep
+    if (!exportState.recording) {
+        updateGamepadInput();
+        advanceFrame(delta);
+        renderView();
+        updateAutoExposure(delta);
+        updateLandmarkLabels(); // Labels follow what was just drawn
+        updateHud();
+    }
     window.requestAnimationFrame(animate);
 }
 
-animate();
\ No newline at end of file
@@ -0,0 +1,1085 @@
+// --- Star Catalogue: parsing, coordinate transforms and the packed binary format ---
+// This module is shared by main.js, the loader worker (starWorker.js) and the
+// CSV converter (tools/csv-to-stars.mjs), so it must not depend on three.js or the DOM.
+
+// The Sun's galactocentric position in parsecs (scene axes: y is "up" out of the disk).
+export const SUN_POSITION_PC = { x: -8200, y: 20, z: 0 };
+
+// Simulation time is measured in years; velocities in km/s are converted with this factor
+export const KM_S_TO_PC_PER_YEAR = 1.0227e-6;
+
+// Tangential velocity in km/s of 1 mas/yr of proper motion at 1 kpc
+const PROPER_MOTION_TO_KM_S = 4.740470446;
+
+// The Sun's motion relative to the local standard of rest (Schönrich, Binney & Dehnen 2010),
+// in km/s on scene axes: x toward the galactic centre (U), y toward the north pole (W),
+// -z in the direction of rotation (V).
+export const SUN_PECULIAR_VELOCITY = { x: 11.1, y: 7.25, z: -12.24 };
+
+// How much of a star's space velocity is known
+export const MOTION_NONE = 0; // No proper motion: the star stays put
+export const MOTION_PROPER = 1; // Proper motion only, radial velocity assumed to be zero
+export const MOTION_FULL = 2; // Proper motion and radial velocity
+
+// --- Coordinate Transformation Function ---
+// Rotates equatorial (ICRS) cartesian coordinates into galactic ones, on scene axes:
+// x toward the galactic centre (l = 0), y toward the north galactic pole, and
+// z toward l = 270. Negating y_gal keeps the axes right-handed like three.js, so
+// the sky is not mirrored when seen from inside the scene.
+export function equatorialToGalactic(x_eq, y_eq, z_eq) {
+    const m = [[-0.0548755604165866, -0.8734370902348850, -0.4838350155487132], [0.4941094278751219, -0.4448296299600112, 0.7469822444972189], [-0.8676661489829874, -0.1980763734312015, 0.4559837761750669]];
+    const x_gal = m[0][0] * x_eq + m[0][1] * y_eq + m[0][2] * z_eq;
+    const y_gal = m[1][0] * x_eq + m[1][1] * y_eq + m[1][2] * z_eq;
+    const z_gal = m[2][0] * x_eq + m[2][1] * y_eq + m[2][2] * z_eq;
+    return { x: x_gal, y: z_gal, z: -y_gal };
+}
+
+/**
+ * Galactocentric scene position of a point on the sky at a distance from the Sun.
+ * @param {number} raDeg
+ * @param {number} decDeg
+ * @param {number} distance - pc.
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function skyToGalactocentric(raDeg, decDeg, distance) {
+    const raRad = raDeg * (Math.PI / 180);
+    const decRad = decDeg * (Math.PI / 180);
+    const gal = equatorialToGalactic(
+        distance * Math.cos(decRad) * Math.cos(raRad),
+        distance * Math.cos(decRad) * Math.sin(raRad),
+        distance * Math.sin(decRad),
+    );
+    return { x: gal.x + SUN_POSITION_PC.x, y: gal.y + SUN_POSITION_PC.y, z: gal.z + SUN_POSITION_PC.z };
+}
+
+/**
+ * Converts astropy-style galactocentric coordinates (the Sun at negative x, y toward
+ * l = 90, z toward the north galactic pole) to scene axes, with the same axis swap
+ * as equatorialToGalactic.
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function galactocentricToScene(x, y, z) {
+    return { x, y: z, z: -y };
+}
+
+// --- REALISTIC STAR COLOR FUNCTION ---
+// This function maps the Gaia 'bp_rp' color index to a more realistic RGB color.
+// It uses a lookup table representing the black-body radiation color sequence
+// for stars: from hot blue/white stars to cool red stars.
+// Colors are given as sRGB hex and interpolated in linear space, which is what
+// THREE.Color does, so the buffers match what the renderer expects.
+function srgbToLinear(c) {
+    return (c < 0.04045) ? c * 0.0773993808 : Math.pow(c * 0.9478672986 + 0.0521327014, 2.4);
+}
+
+function hexToLinearRgb(hex) {
+    return [
+        srgbToLinear(((hex >> 16) & 255) / 255),
+        srgbToLinear(((hex >> 8) & 255) / 255),
+        srgbToLinear((hex & 255) / 255),
+    ];
+}
+
+export const starColorMap = [
+    { bp_rp: -0.4, color: hexToLinearRgb(0x9bb2ff) }, // O-type (hot, blue-white)
+    { bp_rp: 0.0, color: hexToLinearRgb(0xaabfff) }, // B-type
+    { bp_rp: 0.5, color: hexToLinearRgb(0xfff8f2) }, // A/F-type (white)
+    { bp_rp: 0.8, color: hexToLinearRgb(0xfff4e8) }, // G-type (yellow-white, like the Sun)
+    { bp_rp: 1.4, color: hexToLinearRgb(0xffddb4) }, // K-type (orange)
+    { bp_rp: 2.5, color: hexToLinearRgb(0xffa25a) }, // M-type (red)
+];
+
+/**
+ * Writes the linear RGB color for a BP-RP index into an array.
+ * @param {number} bp_rp
+ * @param {Float32Array|number[]} out
+ * @param {number} offset - Index of the red component in `out`.
+ * @returns {void}
+ */
+export function getStarColorFromBpRp(bp_rp, out, offset = 0) {
+    // Find the two points in the map that the bp_rp value falls between.
+    for (let i = 0; i < starColorMap.length - 1; i++) {
+        const lower = starColorMap[i];
+        const upper = starColorMap[i + 1];
+        if (bp_rp >= lower.bp_rp && bp_rp <= upper.bp_rp) {
+            // Interpolate between the two colors
+            const t = (bp_rp - lower.bp_rp) / (upper.bp_rp - lower.bp_rp);
+            for (let c = 0; c < 3; c++) {
+                out[offset + c] = lower.color[c] + (upper.color[c] - lower.color[c]) * t;
+            }
+            return;
+        }
+    }
+
+    // If the value is outside our map's range, clamp to the nearest color.
+    const nearest = (bp_rp < starColorMap[0].bp_rp) ? starColorMap[0] : starColorMap[starColorMap.length - 1];
+    out[offset] = nearest.color[0];
+    out[offset + 1] = nearest.color[1];
+    out[offset + 2] = nearest.color[2];
+}
+
+// --- Catalogue Columns ---
+// Every catalogue (parsed CSV or decoded binary) is a set of typed-array columns,
+// one entry per star, sorted by apparent magnitude (brightest first).
+// Raw columns come straight from Gaia; derived columns are what the star field
+// loads into its buffer attributes.
+export const STAR_COLUMNS = [
+    // Raw Gaia fields
+    { name: 'ra', type: 'f64', itemSize: 1 },
+    { name: 'dec', type: 'f64', itemSize: 1 },
+    { name: 'parallax', type: 'f32', itemSize: 1 },
+    { name: 'gMag', type: 'f32', itemSize: 1 },
+    { name: 'bpRp', type: 'f32', itemSize: 1 },
+    // Optional Gaia fields, only present when the source has them
+    { name: 'sourceId', type: 'u64', itemSize: 1, optional: true }, // Gaia source_id; 0 when unknown
+    { name: 'pmra', type: 'f32', itemSize: 1, optional: true }, // mas/yr, includes cos(dec)
+    { name: 'pmdec', type: 'f32', itemSize: 1, optional: true }, // mas/yr
+    { name: 'radialVelocity', type: 'f32', itemSize: 1, optional: true }, // km/s
+    { name: 'parallaxError', type: 'f32', itemSize: 1, optional: true }, // mas
+    { name: 'extinctionG', type: 'f32', itemSize: 1, optional: true }, // A_G from GSP-Phot (mag)
+    { name: 'reddening', type: 'f32', itemSize: 1, optional: true }, // E(BP-RP) from GSP-Phot (mag)
+    // Derived values
+    { name: 'distance', type: 'f32', itemSize: 1 }, // Heliocentric distance (pc)
+    { name: 'position', type: 'f32', itemSize: 3 }, // Galactocentric x, y, z (pc)
+    { name: 'color', type: 'f32', itemSize: 3 }, // Linear RGB
+    { name: 'absMag', type: 'f32', itemSize: 1 },
+    { name: 'radius', type: 'f32', itemSize: 1 }, // Distance from the rotation axis (pc)
+    { name: 'initialAngle', type: 'f32', itemSize: 1 },
+    { name: 'velocity', type: 'f32', itemSize: 3 }, // Relative to the local standard of rest (pc/yr)
+    { name: 'motionFlag', type: 'u8', itemSize: 1 }, // MOTION_NONE, MOTION_PROPER or MOTION_FULL
+    { name: 'extinction', type: 'f32', itemSize: 1 }, // A_G used for dereddening, measured or modelled (mag)
+    { name: 'colorExcess', type: 'f32', itemSize: 1 }, // E(BP-RP) used for dereddening (mag)
+];
+
+const RAW_COLUMNS = ['ra', 'dec', 'parallax', 'gMag', 'bpRp'];
+const OPTIONAL_RAW_COLUMNS = ['sourceId', 'pmra', 'pmdec', 'radialVelocity', 'parallaxError', 'extinctionG', 'reddening'];
+
+const COLUMN_TYPES = {
+    f32: Float32Array,
+    f64: Float64Array,
+    u8: Uint8Array,
+    u32: Uint32Array,
+    u64: BigUint64Array,
+};
+
+function createColumn(spec, count) {
+    return new COLUMN_TYPES[spec.type](count * spec.itemSize);
+}
+
+/**
+ * Lists the buffers of a catalogue so it can be transferred to another thread without copying.
+ * @param {object} catalog
+ * @returns {ArrayBuffer[]}
+ */
+export function getCatalogTransferList(catalog) {
+    // Decoded binaries share one buffer between all columns; list it once
+    const buffers = new Set(STAR_COLUMNS
+        .filter((spec) => catalog[spec.name])
+        .map((spec) => catalog[spec.name].buffer));
+    return [...buffers];
+}
+
+// --- CSV Parsing ---
+// Header names accepted for each raw column. If the header does not name them,
+// the first five columns are assumed to be ra, dec, parallax, g_mag, bp_rp in that order.
+// Optional columns are only read when the header names them.
+const CSV_COLUMN_ALIASES = {
+    ra: ['ra'],
+    dec: ['dec'],
+    parallax: ['parallax'],
+    gMag: ['g_mag', 'phot_g_mean_mag', 'gmag'],
+    bpRp: ['bp_rp', 'bprp'],
+    sourceId: ['source_id', 'sourceid'],
+    pmra: ['pmra'],
+    pmdec: ['pmdec'],
+    radialVelocity: ['radial_velocity', 'rv', 'dr2_radial_velocity'],
+    parallaxError: ['parallax_error'],
+    extinctionG: ['ag_gspphot', 'a_g', 'a_g_val'],
+    reddening: ['ebpminrp_gspphot', 'e_bp_min_rp', 'e_bp_min_rp_val'],
+};
+
+function mapCsvHeader(headerLine) {
+    const names = headerLine.split(',').map((name) => name.trim().toLowerCase().replace(/^"|"$/g, ''));
+    const findColumn = (column) => names.findIndex((name) => CSV_COLUMN_ALIASES[column].includes(name));
+    const mapping = {};
+    for (const column of RAW_COLUMNS) {
+        const index = findColumn(column);
+        if (index < 0) {
+            // Unnamed header: fall back to the original fixed column order
+            RAW_COLUMNS.forEach((name, i) => { mapping[name] = i; });
+            return mapping;
+        }
+        mapping[column] = index;
+    }
+    for (const column of OPTIONAL_RAW_COLUMNS) {
+        const index = findColumn(column);
+        if (index >= 0) mapping[column] = index;
+    }
+    return mapping;
+}
+
+/**
+ * Reads a Gaia source_id. They need up to 63 bits, more than a double holds exactly.
+ * @param {string} text
+ * @returns {bigint} 0n if the field is not an id.
+ */
+export function parseSourceId(text) {
+    const trimmed = text ? text.trim() : '';
+    return /^\d{1,20}$/.test(trimmed) ? BigInt.asUintN(64, BigInt(trimmed)) : 0n;
+}
+
+/**
+ * Creates an incremental CSV parser. Text can be pushed in arbitrary chunks
+ * (for example straight from a streamed fetch); rows are split on newlines
+ * and invalid rows are counted and skipped.
+ * @returns {{push: function(string): void, finish: function(): object, readonly starCount: number}}
+ */
+export function createCsvStarParser() {
+    let capacity = 1 << 16;
+    let count = 0;
+    let columns = {};
+    let columnNames = [];
+    let mapping = null;
+    let remainder = '';
+    const stats = { rows: 0, skipped: 0 };
+
+    function startColumns() {
+        // Optional columns are only allocated when the header has them
+        columnNames = [...RAW_COLUMNS, ...OPTIONAL_RAW_COLUMNS.filter((name) => name in mapping)];
+        for (const name of columnNames) {
+            columns[name] = createColumn(STAR_COLUMNS.find((spec) => spec.name === name), capacity);
+        }
+    }
+
+    function grow() {
+        capacity *= 2;
+        for (const name of columnNames) {
+            const bigger = new columns[name].constructor(capacity);
+            bigger.set(columns[name]);
+            columns[name] = bigger;
+        }
+    }
+
+    function parseRow(row) {
+        if (row.length < 10) return;
+        stats.rows++;
+        const values = row.split(',');
+        if (values.length < 5) {
+            stats.skipped++;
+            return;
+        }
+
+        const ra = parseFloat(values[mapping.ra]);
+        const dec = parseFloat(values[mapping.dec]);
+        const parallax = parseFloat(values[mapping.parallax]);
+        const g_mag = parseFloat(values[mapping.gMag]);
+        const bp_rp = parseFloat(values[mapping.bpRp]);
+
+        // Zero and negative parallaxes are kept; the distance estimator decides what to do with them
+        if (isNaN(parallax) || isNaN(g_mag) || isNaN(bp_rp) || isNaN(ra) || isNaN(dec)) {
+            stats.skipped++;
+            return;
+        }
+
+        if (count === capacity) grow();
+        columns.ra[count] = ra;
+        columns.dec[count] = dec;
+        columns.parallax[count] = parallax;
+        columns.gMag[count] = g_mag;
+        columns.bpRp[count] = bp_rp;
+        // Missing optional values are kept as NaN (source_id as 0)
+        for (let c = RAW_COLUMNS.length; c < columnNames.length; c++) {
+            const name = columnNames[c];
+            columns[name][count] = name === 'sourceId' ? parseSourceId(values[mapping[name]]) : parseFloat(values[mapping[name]]);
+        }
+        count++;
+    }
+
+    function consumeLines(text) {
+        let start = 0;
+        let end = text.indexOf('\n', start);
+        while (end !== -1) {
+            const line = text.slice(start, end).trim();
+            if (mapping === null) {
+                mapping = mapCsvHeader(line);
+                startColumns();
+            } else {
+                parseRow(line);
+            }
+            start = end + 1;
+            end = text.indexOf('\n', start);
+        }
+        return text.slice(start);
+    }
+
+    return {
+        push(text) {
+            remainder = consumeLines(remainder + text);
+        },
+        finish() {
+            if (remainder.length > 0) consumeLines(remainder + '\n');
+            remainder = '';
+            const raw = { count, stats };
+            for (const name of columnNames) raw[name] = columns[name].slice(0, count);
+            columns = null;
+            return raw;
+        },
+        get starCount() {
+            return count;
+        },
+    };
+}
+
+// --- Distance Estimation ---
+// Inverting a parallax is only a good distance when the parallax is much larger than
+// its error; for noisy stars it scatters them along the line of sight, drawing radial
+// "fingers" that point away from the Sun, and it cannot use zero or negative parallaxes.
+//   naive: 1 / parallax, dropping parallax <= 0.
+//   snr:   1 / parallax, dropping stars whose parallax / error is below a cut.
+//   edsd:  mode of the posterior with an exponentially decreasing space density prior
+//          (Bailer-Jones 2015), which gives every star a finite distance, pulled
+//          towards a few kpc when the parallax says little.
+// snr and edsd need a parallax_error column; without one the naive estimate is used.
+export const DISTANCE_ESTIMATORS = ['naive', 'snr', 'edsd'];
+export const DEFAULT_SNR_CUT = 5;
+export const LOW_QUALITY_SNR = 5; // Stars below this are counted as low quality whatever the estimator
+export const EDSD_LENGTH_SCALE_PC = 1350; // Astraatmadja & Bailer-Jones (2016)
+
+/**
+ * Real roots of x^3 + a x^2 + b x + c.
+ * @returns {number[]}
+ */
+function solveCubic(a, b, c) {
+    const p = b - (a * a) / 3;
+    const q = (2 * a * a * a) / 27 - (a * b) / 3 + c;
+    const discriminant = (q * q) / 4 + (p * p * p) / 27;
+    let roots;
+    if (discriminant > 0) {
+        const sqrtD = Math.sqrt(discriminant);
+        roots = [Math.cbrt(-q / 2 + sqrtD) + Math.cbrt(-q / 2 - sqrtD) - a / 3];
+    } else {
+        const r = Math.sqrt(-p / 3);
+        const phi = Math.acos(Math.min(Math.max(-q / (2 * r * r * r), -1), 1));
+        roots = [0, 1, 2].map((k) => 2 * r * Math.cos((phi + 2 * Math.PI * k) / 3) - a / 3);
+    }
+    // Polish, as the closed form loses digits when the coefficients differ hugely in size
+    return roots.map((x) => {
+        for (let i = 0; i < 3; i++) {
+            const f = ((x + a) * x + b) * x + c;
+            const df = (3 * x + 2 * a) * x + b;
+            if (df === 0) break;
+            x -= f / df;
+        }
+        return x;
+    });
+}
+
+/**
+ * Mode of the exponentially decreasing space density posterior, in pc.
+ * @param {number} parallax - mas, may be zero or negative.
+ * @param {number} error - mas.
+ * @param {number} [lengthScale=EDSD_LENGTH_SCALE_PC]
+ * @returns {number}
+ */
+export function edsdDistance(parallax, error, lengthScale = EDSD_LENGTH_SCALE_PC) {
+    const w = parallax / 1000; // arcsec, so 1/w is in pc
+    const s2 = (error / 1000) ** 2;
+    const logPosterior = (r) => 2 * Math.log(r) - r / lengthScale - ((w - 1 / r) ** 2) / (2 * s2);
+    // r^3/L - 2r^2 + (w/s^2) r - 1/s^2 = 0, multiplied through by L
+    const roots = solveCubic(-2 * lengthScale, (w * lengthScale) / s2, -lengthScale / s2).filter((r) => r > 0);
+    let best = NaN;
+    for (const r of roots) {
+        if (Number.isNaN(best) || logPosterior(r) > logPosterior(best)) best = r;
+    }
+    return best;
+}
+
+/**
+ * Distance of one star under the chosen estimator, counting what happened in `stats`.
+ * @param {number} parallax - mas.
+ * @param {number} error - mas; NaN when unknown.
+ * @param {object} options - { estimator, snrCut }.
+ * @param {object} stats
+ * @returns {number} pc, or NaN if the star should be dropped.
+ */
+function estimateDistance(parallax, error, options, stats) {
+    const hasError = error > 0;
+    const snr = hasError ? parallax / error : NaN;
+    if (parallax <= 0) stats.nonPositiveParallax++;
+    if (!hasError) stats.missingError++;
+    if (!hasError || snr < LOW_QUALITY_SNR) stats.lowQuality++;
+
+    if (options.estimator === 'edsd' && hasError) return edsdDistance(parallax, error);
+    if (options.estimator === 'snr' && !(snr >= options.snrCut)) {
+        if (parallax > 0 && hasError) stats.lowSnr++;
+        return NaN;
+    }
+    return parallax > 0 ? 1000 / parallax : NaN;
+}
+
+// --- Interstellar Extinction ---
+// Dust dims stars (extinction A_G) and makes them redder (reddening E(BP-RP)).
+// Gaia's GSP-Phot values are used where the catalogue has them; other stars get
+// a smooth dust disk, exponential in height and galactocentric radius, integrated
+// along the line of sight from the Sun. It has no clouds or spiral structure, so it
+// is only a first-order correction.
+export const DUST_EXTINCTION_PER_KPC = 0.7; // A_G per kpc in the plane at the Sun's radius (mag)
+export const DUST_SCALE_HEIGHT_PC = 125;
+export const DUST_SCALE_LENGTH_PC = 3000;
+export const EXTINCTION_TO_REDDENING = 1.9; // A_G / E(BP-RP), typical of GSP-Phot
+const DUST_STEP_PC = 25;
+const DUST_MAX_STEPS = 64;
+
+/**
+ * Modelled G-band extinction between the Sun and a galactocentric position.
+ * @param {number} x - pc.
+ * @param {number} y - pc, height above the plane.
+ * @param {number} z - pc.
+ * @returns {number} A_G in magnitudes.
+ */
+export function modelExtinction(x, y, z) {
+    const dx = x - SUN_POSITION_PC.x;
+    const dy = y - SUN_POSITION_PC.y;
+    const dz = z - SUN_POSITION_PC.z;
+    const length = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (!(length > 0)) return 0;
+
+    // Midpoint rule; steps stay well under the scale height for nearby stars
+    const sunRadius = Math.sqrt(SUN_POSITION_PC.x ** 2 + SUN_POSITION_PC.z ** 2);
+    const steps = Math.min(Math.max(Math.ceil(length / DUST_STEP_PC), 1), DUST_MAX_STEPS);
+    let density = 0;
+    for (let k = 0; k < steps; k++) {
+        const t = (k + 0.5) / steps;
+        const px = SUN_POSITION_PC.x + dx * t;
+        const py = SUN_POSITION_PC.y + dy * t;
+        const pz = SUN_POSITION_PC.z + dz * t;
+        const radius = Math.sqrt(px * px + pz * pz);
+        density += Math.exp(-(radius - sunRadius) / DUST_SCALE_LENGTH_PC - Math.abs(py) / DUST_SCALE_HEIGHT_PC);
+    }
+    return DUST_EXTINCTION_PER_KPC * (length / 1000) * (density / steps);
+}
+
+/**
+ * Writes the extinction and reddening of star `i`, preferring measured values.
+ * When only one of A_G and E(BP-RP) is measured the other follows from EXTINCTION_TO_REDDENING.
+ * @returns {boolean} Whether measured values were used.
+ */
+function computeStarDust(catalog, i, measuredExtinction, measuredReddening) {
+    const hasExtinction = !isNaN(measuredExtinction);
+    const hasReddening = !isNaN(measuredReddening);
+    if (hasExtinction || hasReddening) {
+        catalog.extinction[i] = hasExtinction ? measuredExtinction : measuredReddening * EXTINCTION_TO_REDDENING;
+        catalog.colorExcess[i] = hasReddening ? measuredReddening : measuredExtinction / EXTINCTION_TO_REDDENING;
+        return true;
+    }
+    const i3 = i * 3;
+    const extinction = modelExtinction(catalog.position[i3], catalog.position[i3 + 1], catalog.position[i3 + 2]);
+    catalog.extinction[i] = extinction;
+    catalog.colorExcess[i] = extinction / EXTINCTION_TO_REDDENING;
+    return false;
+}
+
+// --- Spiral Arm Model ---
+// Each arm is a logarithmic spiral, ln(R / R_ref) = -(beta - beta_ref) tan(pitch), in the
+// form fitted to maser parallaxes by Reid et al. (2019). beta is the galactocentric azimuth,
+// zero towards the Sun and growing towards l = 90 deg, which puts the scene's (x, z) at
+// (-R cos beta, -R sin beta) when the Sun is at its starting place. Radii and widths are in
+// pc and angles in degrees; width is the full width of the arm. The defaults are rounded
+// from that paper's fits and are meant for comparison with the stars, not as a reference.
+export const SPIRAL_ARMS = [
+    { name: 'Near 3 kpc Arm', color: '#ff8c8c', radius: 3520, azimuth: 15, pitch: -4.2, width: 360, from: -30, to: 40 },
+    { name: 'Norma Arm', color: '#ffb347', radius: 4460, azimuth: 18, pitch: 12, width: 280, from: -6, to: 60 },
+    { name: 'Scutum-Centaurus Arm', color: '#ffe066', radius: 4910, azimuth: 23, pitch: 13, width: 460, from: 0, to: 104 },
+    { name: 'Sagittarius-Carina Arm', color: '#8ce08c', radius: 6040, azimuth: 24, pitch: 9, width: 540, from: 2, to: 97 },
+    { name: 'Local Arm', color: '#7eb8f7', radius: 8260, azimuth: 9, pitch: 11.4, width: 620, from: -8, to: 34 },
+    { name: 'Perseus Arm', color: '#c89cff', radius: 8870, azimuth: 40, pitch: 9.5, width: 700, from: -23, to: 115 },
+    { name: 'Outer Arm', color: '#ff9ce6', radius: 12240, azimuth: 18, pitch: 6, width: 1300, from: -16, to: 71 },
+];
+
+/**
+ * Galactocentric radius of an arm's centre line at an azimuth.
+ * @param {object} arm - Entry shaped like SPIRAL_ARMS.
+ * @param {number} azimuth - beta in degrees.
+ * @returns {number} pc.
+ */
+export function getSpiralArmRadius(arm, azimuth) {
+    return arm.radius * Math.exp(-(azimuth - arm.azimuth) * (Math.PI / 180) * Math.tan(arm.pitch * (Math.PI / 180)));
+}
+
+/**
+ * Distance across an arm from its centre line to a point in the plane, taking each
+ * winding of the arm within its azimuth range into account.
+ * @param {object} arm - Entry shaped like SPIRAL_ARMS.
+ * @param {number} x - Scene x in pc.
+ * @param {number} z - Scene z in pc.
+ * @returns {number} pc, or Infinity when the point is beside the arm's ends.
+ */
+export function getSpiralArmDistance(arm, x, z) {
+    const radius = Math.sqrt(x * x + z * z);
+    const azimuth = Math.atan2(-z, -x) * (180 / Math.PI);
+    const across = Math.cos(arm.pitch * (Math.PI / 180)); // Radial offset to perpendicular offset
+    let best = Infinity;
+    for (let turn = -360; turn <= 360; turn += 360) {
+        const beta = azimuth + turn;
+        if (beta < arm.from || beta > arm.to) continue;
+        best = Math.min(best, Math.abs(radius - getSpiralArmRadius(arm, beta)) * across);
+    }
+    return best;
+}
+
+// --- Derived Columns ---
+/**
+ * Estimates distances, drops stars the estimator cannot place, sorts the rest by
+ * apparent magnitude and computes galactocentric positions, colors, absolute
+ * magnitudes and dust extinction for every star.
+ * @param {object} raw - Output of createCsvStarParser().finish(), or a decoded catalogue.
+ * @param {object} [options]
+ * @param {string} [options.estimator='naive'] - One of DISTANCE_ESTIMATORS.
+ * @param {number} [options.snrCut=DEFAULT_SNR_CUT] - Minimum parallax / error for 'snr'.
+ * @param {boolean} [options.keepUnplaced=false] - Keep the stars without a distance after
+ *   the others, with a NaN distance and only their raw columns (for packing, so another
+ *   estimator can place them later; see dropUnplacedStars).
+ * @returns {object} Catalogue with every column in STAR_COLUMNS.
+ */
+export function buildStarCatalog(raw, { estimator = 'naive', snrCut = DEFAULT_SNR_CUT, keepUnplaced = false } = {}) {
+    if (raw.count === 0) throw new Error('No valid stars were processed.');
+
+    // Without errors only the naive estimate is possible
+    const options = { estimator: raw.parallaxError ? estimator : 'naive', snrCut };
+    const stats = {
+        rows: raw.stats.rows,
+        skipped: raw.stats.skipped,
+        estimator: options.estimator,
+        estimatorFallback: options.estimator !== estimator,
+        nonPositiveParallax: 0,
+        missingError: 0,
+        lowQuality: 0,
+        lowSnr: 0,
+        dropped: 0,
+        withMotion: 0,
+        measuredDust: 0,
+    };
+    const distances = new Float64Array(raw.count);
+    let count = 0;
+    for (let i = 0; i < raw.count; i++) {
+        const error = raw.parallaxError ? raw.parallaxError[i] : NaN;
+        distances[i] = estimateDistance(raw.parallax[i], error, options, stats);
+        if (distances[i] > 0) count++;
+    }
+    stats.dropped = raw.count - count;
+    if (count === 0) throw new Error(`No stars have a usable distance (${stats.dropped.toLocaleString()} dropped).`);
+
+    // Sort stars by brightness (lower g_mag is brighter); kept unplaced ones go last
+    const total = keepUnplaced ? raw.count : count;
+    const order = new Uint32Array(total);
+    for (let i = 0, k = 0, u = count; i < raw.count; i++) {
+        if (distances[i] > 0) order[k++] = i;
+        else if (keepUnplaced) order[u++] = i;
+    }
+    order.subarray(0, count).sort((a, b) => raw.gMag[a] - raw.gMag[b]);
+
+    const catalog = { count: total, stats };
+    for (const spec of STAR_COLUMNS) {
+        if (spec.optional && !raw[spec.name]) continue;
+        catalog[spec.name] = createColumn(spec, total);
+    }
+
+    for (let i = 0; i < total; i++) {
+        const src = order[i];
+        const ra = raw.ra[src];
+        const dec = raw.dec[src];
+        const parallax = raw.parallax[src];
+        const g_mag = raw.gMag[src];
+        const bp_rp = raw.bpRp[src];
+
+        catalog.ra[i] = ra;
+        catalog.dec[i] = dec;
+        catalog.parallax[i] = parallax;
+        catalog.gMag[i] = g_mag;
+        catalog.bpRp[i] = bp_rp;
+        for (const name of OPTIONAL_RAW_COLUMNS) {
+            if (catalog[name]) catalog[name][i] = raw[name][src];
+        }
+
+        const distance = distances[src];
+        if (i >= count) {
+            catalog.distance[i] = NaN; // The other derived columns stay zero
+            continue;
+        }
+        const raRad = ra * (Math.PI / 180);
+        const decRad = dec * (Math.PI / 180);
+
+        const x_eq = distance * Math.cos(decRad) * Math.cos(raRad);
+        const y_eq = distance * Math.cos(decRad) * Math.sin(raRad);
+        const z_eq = distance * Math.sin(decRad);
+
+        const gal_coords = equatorialToGalactic(x_eq, y_eq, z_eq);
+
+        const absolute_x = gal_coords.x + SUN_POSITION_PC.x;
+        const absolute_y = gal_coords.y + SUN_POSITION_PC.y;
+        const absolute_z = gal_coords.z + SUN_POSITION_PC.z;
+
+        const i3 = i * 3;
+        catalog.distance[i] = distance;
+        catalog.position[i3] = absolute_x;
+        catalog.position[i3 + 1] = absolute_y;
+        catalog.position[i3 + 2] = absolute_z;
+        getStarColorFromBpRp(bp_rp, catalog.color, i3);
+        // Calculate Absolute Magnitude (M)
+        // M = m - 5 * (log10(d) - 1)
+        catalog.absMag[i] = g_mag - 5 * (Math.log10(distance) - 1);
+        catalog.radius[i] = Math.sqrt(absolute_x ** 2 + absolute_z ** 2);
+        catalog.initialAngle[i] = Math.atan2(absolute_z, absolute_x);
+
+        const pmra = raw.pmra ? raw.pmra[src] : NaN;
+        const pmdec = raw.pmdec ? raw.pmdec[src] : NaN;
+        const rv = raw.radialVelocity ? raw.radialVelocity[src] : NaN;
+        const flag = computeStarVelocity(raRad, decRad, distance, pmra, pmdec, rv, catalog.velocity, i3);
+        catalog.motionFlag[i] = flag;
+        if (flag !== MOTION_NONE) catalog.stats.withMotion++;
+
+        const measuredExtinction = raw.extinctionG ? raw.extinctionG[src] : NaN;
+        const measuredReddening = raw.reddening ? raw.reddening[src] : NaN;
+        if (computeStarDust(catalog, i, measuredExtinction, measuredReddening)) catalog.stats.measuredDust++;
+    }
+
+    return catalog;
+}
+
+/**
+ * Turns Gaia proper motions and radial velocity into a velocity relative to the
+ * local standard of rest, on scene axes, in pc/yr. Gaia measures motion relative
+ * to the Sun, so the Sun's own peculiar motion is added back.
+ * Stars without proper motions get a zero velocity.
+ * @returns {number} MOTION_NONE, MOTION_PROPER or MOTION_FULL.
+ */
+function computeStarVelocity(raRad, decRad, distance, pmra, pmdec, rv, out, offset) {
+    if (isNaN(pmra) || isNaN(pmdec)) {
+        out[offset] = 0;
+        out[offset + 1] = 0;
+        out[offset + 2] = 0;
+        return MOTION_NONE;
+    }
+    const hasRadialVelocity = !isNaN(rv);
+    const vr = hasRadialVelocity ? rv : 0;
+
+    // Tangential velocities in km/s (pmra already includes the cos(dec) factor)
+    const distanceKpc = distance / 1000;
+    const vRa = PROPER_MOTION_TO_KM_S * pmra * distanceKpc;
+    const vDec = PROPER_MOTION_TO_KM_S * pmdec * distanceKpc;
+
+    const sinRa = Math.sin(raRad);
+    const cosRa = Math.cos(raRad);
+    const sinDec = Math.sin(decRad);
+    const cosDec = Math.cos(decRad);
+
+    // Radial, east and north unit vectors in equatorial coordinates
+    const vx = vr * cosDec * cosRa - vRa * sinRa - vDec * sinDec * cosRa;
+    const vy = vr * cosDec * sinRa + vRa * cosRa - vDec * sinDec * sinRa;
+    const vz = vr * sinDec + vDec * cosDec;
+
+    const v = equatorialToGalactic(vx, vy, vz);
+    out[offset] = (v.x + SUN_PECULIAR_VELOCITY.x) * KM_S_TO_PC_PER_YEAR;
+    out[offset + 1] = (v.y + SUN_PECULIAR_VELOCITY.y) * KM_S_TO_PC_PER_YEAR;
+    out[offset + 2] = (v.z + SUN_PECULIAR_VELOCITY.z) * KM_S_TO_PC_PER_YEAR;
+    return hasRadialVelocity ? MOTION_FULL : MOTION_PROPER;
+}
+
+// --- Catalogue Layers ---
+// Small extra catalogues (open clusters, Cepheids, masers, target lists) are drawn as
+// layers over the main star field. Their files come from anywhere, so columns are
+// picked by a mapping from field to column index, guessed from the header and
+// adjustable by the user. Two coordinate frames are understood:
+//   equatorial:     ra, dec (degrees) and either distance (pc) or parallax (mas)
+//   galactocentric: x, y, z in pc in astropy's Galactocentric frame (the Sun at
+//                   negative x, y toward l = 90, z toward the north galactic pole)
+export const LAYER_FRAMES = ['equatorial', 'galactocentric'];
+export const LAYER_FIELDS = ['name', 'ra', 'dec', 'parallax', 'distance', 'x', 'y', 'z'];
+
+const LAYER_COLUMN_ALIASES = {
+    name: ['name', 'id', 'source_id', 'designation', 'cluster', 'target', 'object'],
+    ra: ['ra', 'raj2000', 'ra_icrs', '_raj2000', 'ra_deg'],
+    dec: ['dec', 'dej2000', 'de_icrs', 'dec_icrs', '_dej2000', 'dec_deg'],
+    parallax: ['parallax', 'plx', 'parallax_mas'],
+    distance: ['distance', 'dist', 'distance_pc', 'dist_pc', 'r_med_geo', 'r_est'],
+    x: ['x', 'x_gc', 'xgc', 'x_pc'],
+    y: ['y', 'y_gc', 'ygc', 'y_pc'],
+    z: ['z', 'z_gc', 'zgc', 'z_pc'],
+};
+
+/**
+ * Splits one CSV line into fields, honouring double quotes (so names may contain commas).
+ * @param {string} line
+ * @returns {string[]}
+ */
+export function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quoted) {
+            if (c === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * Reads a layer file's header and guesses which column holds each field.
+ * @param {string} text - The whole CSV file.
+ * @returns {{columns: string[], mapping: object}} Column names, and a mapping of
+ *     { frame, name, ra, ... } to column indices (-1 where nothing matched).
+ */
+export function guessLayerMapping(text) {
+    const headerEnd = text.indexOf('\n');
+    const columns = splitCsvLine(headerEnd < 0 ? text : text.slice(0, headerEnd));
+    const names = columns.map((name) => name.toLowerCase());
+    const mapping = {};
+    for (const field of LAYER_FIELDS) {
+        mapping[field] = names.findIndex((name) => LAYER_COLUMN_ALIASES[field].includes(name));
+    }
+    const hasSky = mapping.ra >= 0 && mapping.dec >= 0;
+    const hasCartesian = mapping.x >= 0 && mapping.y >= 0 && mapping.z >= 0;
+    mapping.frame = !hasSky && hasCartesian ? 'galactocentric' : 'equatorial';
+    return { columns, mapping };
+}
+
+/**
+ * Parses a layer file into galactocentric positions on scene axes.
+ * Rows without a usable position are counted and skipped.
+ * @param {string} text - The whole CSV file, header first.
+ * @param {object} mapping - As returned by guessLayerMapping().
+ * @returns {{count: number, position: Float32Array, names: string[]|null, skipped: number}}
+ */
+export function parseLayerCsv(text, mapping) {
+    const lines = text.split(/\r?\n/);
+    const position = new Float32Array(Math.max(lines.length - 1, 0) * 3);
+    const names = mapping.name >= 0 ? [] : null;
+    let count = 0;
+    let skipped = 0;
+    const equatorial = mapping.frame !== 'galactocentric';
+    const required = equatorial
+        ? [mapping.ra, mapping.dec, mapping.distance >= 0 ? mapping.distance : mapping.parallax]
+        : [mapping.x, mapping.y, mapping.z];
+    if (required.some((index) => !(index >= 0))) {
+        throw new Error(equatorial ? 'RA, Dec and a parallax or distance column are needed.' : 'X, Y and Z columns are needed.');
+    }
+
+    for (let row = 1; row < lines.length; row++) {
+        if (lines[row].trim() === '') continue;
+        const values = splitCsvLine(lines[row]);
+        const value = (index) => parseFloat(values[index]);
+        let point;
+        if (equatorial) {
+            const distance = mapping.distance >= 0 ? value(mapping.distance) : 1000 / value(mapping.parallax);
+            point = distance > 0 ? skyToGalactocentric(value(mapping.ra), value(mapping.dec), distance) : { x: NaN };
+        } else {
+            point = galactocentricToScene(value(mapping.x), value(mapping.y), value(mapping.z));
+        }
+        const { x, y, z } = point;
+        if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) {
+            skipped++;
+            continue;
+        }
+        position[count * 3] = x;
+        position[count * 3 + 1] = y;
+        position[count * 3 + 2] = z;
+        if (names) names.push(values[mapping.name] || '');
+        count++;
+    }
+    if (count === 0) throw new Error(`No rows have a usable position (${skipped} skipped).`);
+    return { count, position: position.slice(0, count * 3), names, skipped };
+}
+
+// --- Packed Binary Format ---
+// Layout (all values little-endian):
+//   0   magic "GMSTARS\0" (8 bytes)
+//   8   uint32 format version
+//   12  uint32 star count
+//   16  uint32 column count
+//   20  uint32 header size in bytes (where column data starts)
+//   24  column table, 32 bytes per column:
+//         24 bytes  column name (ASCII, NUL padded)
+//         uint8     type code (see BINARY_TYPE_CODES)
+//         uint8     components per star
+//         2 bytes   reserved
+//         uint32    byte offset of the column data from the start of the file
+// Each column's data starts on an 8-byte boundary, so it can be viewed in place
+// as a typed array without copying.
+export const BINARY_MAGIC = 'GMSTARS\0';
+export const BINARY_VERSION = 2; // 2: stars without a 1/parallax distance are kept, last
+const BINARY_COLUMN_ENTRY_BYTES = 32;
+const BINARY_NAME_BYTES = 24;
+const BINARY_TYPE_CODES = { f32: 1, f64: 2, u8: 3, u32: 4, u64: 5 };
+
+function align8(n) {
+    return (n + 7) & ~7;
+}
+
+/**
+ * Checks whether the start of a file is a packed star catalogue.
+ * @param {Uint8Array} bytes - At least the first 8 bytes of the file.
+ * @returns {boolean}
+ */
+export function isStarBinary(bytes) {
+    if (bytes.length < BINARY_MAGIC.length) return false;
+    for (let i = 0; i < BINARY_MAGIC.length; i++) {
+        if (bytes[i] !== BINARY_MAGIC.charCodeAt(i)) return false;
+    }
+    return true;
+}
+
+/**
+ * Packs a catalogue into the binary format.
+ * @param {object} catalog - Output of buildStarCatalog().
+ * @returns {ArrayBuffer}
+ */
+export function encodeStarCatalog(catalog) {
+    const specs = STAR_COLUMNS.filter((spec) => catalog[spec.name]);
+    const headerBytes = align8(24 + specs.length * BINARY_COLUMN_ENTRY_BYTES);
+
+    let offset = headerBytes;
+    const offsets = specs.map((spec) => {
+        const start = offset;
+        offset = align8(offset + catalog[spec.name].byteLength);
+        return start;
+    });
+
+    const buffer = new ArrayBuffer(offset);
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+
+    for (let i = 0; i < BINARY_MAGIC.length; i++) bytes[i] = BINARY_MAGIC.charCodeAt(i);
+    view.setUint32(8, BINARY_VERSION, true);
+    view.setUint32(12, catalog.count, true);
+    view.setUint32(16, specs.length, true);
+    view.setUint32(20, headerBytes, true);
+
+    specs.forEach((spec, i) => {
+        const entry = 24 + i * BINARY_COLUMN_ENTRY_BYTES;
+        for (let c = 0; c < spec.name.length && c < BINARY_NAME_BYTES; c++) {
+            bytes[entry + c] = spec.name.charCodeAt(c);
+        }
+        view.setUint8(entry + BINARY_NAME_BYTES, BINARY_TYPE_CODES[spec.type]);
+        view.setUint8(entry + BINARY_NAME_BYTES + 1, spec.itemSize);
+        view.setUint32(entry + BINARY_NAME_BYTES + 4, offsets[i], true);
+
+        const column = catalog[spec.name];
+        bytes.set(new Uint8Array(column.buffer, column.byteOffset, column.byteLength), offsets[i]);
+    });
+
+    return buffer;
+}
+
+/**
+ * Reads a packed catalogue. Columns are views into `buffer`, not copies.
+ * @param {ArrayBuffer} buffer
+ * @returns {object} Catalogue with every column in STAR_COLUMNS.
+ */
+export function decodeStarCatalog(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (!isStarBinary(bytes)) throw new Error('Not a GalaxyMap star catalogue (bad magic).');
+
+    const view = new DataView(buffer);
+    const version = view.getUint32(8, true);
+    if (version !== BINARY_VERSION) {
+        throw new Error(`Unsupported star catalogue version ${version}. Re-run tools/csv-to-stars.mjs to update it.`);
+    }
+
+    const count = view.getUint32(12, true);
+    const columnCount = view.getUint32(16, true);
+    const typeNames = Object.fromEntries(Object.entries(BINARY_TYPE_CODES).map(([name, code]) => [code, name]));
+    // Packed catalogues are built with the naive estimator (see tools/csv-to-stars.mjs);
+    // the stars it cannot place follow the others, for the estimators that can
+    const catalog = {
+        count,
+        stats: {
+            rows: count,
+            skipped: 0,
+            estimator: 'naive',
+            estimatorFallback: false,
+            nonPositiveParallax: 0,
+            missingError: 0,
+            lowQuality: 0,
+            lowSnr: 0,
+            dropped: 0,
+            withMotion: 0,
+            measuredDust: 0,
+        },
+    };
+
+    for (let i = 0; i < columnCount; i++) {
+        const entry = 24 + i * BINARY_COLUMN_ENTRY_BYTES;
+        let name = '';
+        for (let c = 0; c < BINARY_NAME_BYTES && bytes[entry + c] !== 0; c++) {
+            name += String.fromCharCode(bytes[entry + c]);
+        }
+        const type = typeNames[view.getUint8(entry + BINARY_NAME_BYTES)];
+        const itemSize = view.getUint8(entry + BINARY_NAME_BYTES + 1);
+        const offset = view.getUint32(entry + BINARY_NAME_BYTES + 4, true);
+        if (!type) throw new Error(`Column "${name}" has an unknown type.`);
+        catalog[name] = new COLUMN_TYPES[type](buffer, offset, count * itemSize);
+    }
+
+    for (const spec of STAR_COLUMNS) {
+        if (!catalog[spec.name] && !spec.optional) {
+            throw new Error(`Star catalogue is missing the "${spec.name}" column. Re-run tools/csv-to-stars.mjs to update it.`);
+        }
+    }
+    // Counted as buildStarCatalog() counts them: parallax quality over every row, the rest over placed stars
+    for (let i = 0; i < count; i++) {
+        const error = catalog.parallaxError ? catalog.parallaxError[i] : NaN;
+        if (catalog.parallax[i] <= 0) catalog.stats.nonPositiveParallax++;
+        if (!(error > 0)) catalog.stats.missingError++;
+        if (!(catalog.parallax[i] / error >= LOW_QUALITY_SNR)) catalog.stats.lowQuality++;
+        if (!(catalog.distance[i] > 0)) {
+            catalog.stats.dropped++;
+            continue;
+        }
+        if (catalog.motionFlag[i] !== MOTION_NONE) catalog.stats.withMotion++;
+        const measured = (catalog.extinctionG && !isNaN(catalog.extinctionG[i])) || (catalog.reddening && !isNaN(catalog.reddening[i]));
+        if (measured) catalog.stats.measuredDust++;
+    }
+    return catalog;
+}
+
+/**
+ * Shortens a decoded catalogue to the stars with a 1/parallax distance, which is all the
+ * naive estimator shows. Columns stay views into the same buffer.
+ * @param {object} catalog - Output of decodeStarCatalog().
+ * @returns {object} The same catalogue.
+ */
+export function dropUnplacedStars(catalog) {
+    const count = catalog.count - catalog.stats.dropped;
+    if (count === 0) throw new Error(`No stars have a usable distance (${catalog.stats.dropped.toLocaleString()} dropped).`);
+    for (const spec of STAR_COLUMNS) {
+        if (catalog[spec.name]) catalog[spec.name] = catalog[spec.name].subarray(0, count * spec.itemSize);
+    }
+    catalog.count = count;
+    return catalog;
+}
+
+// --- Table Export ---
+// Selected stars can be written out as CSV or as a VOTable (1.4, TABLEDATA) for TOPCAT,
+// Aladin and astropy. Raw columns keep their Gaia archive names so the files can be
+// joined back to Gaia; derived ones are what the map computed when it loaded them:
+// the distance from the chosen estimator, galactocentric x, y, z in astropy's convention
+// (the Sun at negative x, y toward l = 90, z toward the north galactic pole) and l, b.
+// Missing values are written as empty cells, which both formats read as null.
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+function getHeliocentric(catalog, i) {
+    const i3 = i * 3;
+    return {
+        x: catalog.position[i3] - SUN_POSITION_PC.x,
+        y: catalog.position[i3 + 1] - SUN_POSITION_PC.y,
+        z: catalog.position[i3 + 2] - SUN_POSITION_PC.z,
+    };
+}
+
+// digits: significant digits written; float32 columns hold about 7
+export const EXPORT_COLUMNS = [
+    { name: 'source_id', column: 'sourceId', datatype: 'long', ucd: 'meta.id;meta.main' },
+    { name: 'ra', column: 'ra', datatype: 'double', digits: 15, unit: 'deg', ucd: 'pos.eq.ra;meta.main' },
+    { name: 'dec', column: 'dec', datatype: 'double', digits: 15, unit: 'deg', ucd: 'pos.eq.dec;meta.main' },
+    { name: 'parallax', column: 'parallax', unit: 'mas', ucd: 'pos.parallax' },
+    { name: 'parallax_error', column: 'parallaxError', unit: 'mas', ucd: 'stat.error;pos.parallax' },
+    { name: 'pmra', column: 'pmra', unit: 'mas/yr', ucd: 'pos.pm;pos.eq.ra' },
+    { name: 'pmdec', column: 'pmdec', unit: 'mas/yr', ucd: 'pos.pm;pos.eq.dec' },
+    { name: 'radial_velocity', column: 'radialVelocity', unit: 'km/s', ucd: 'spect.dopplerVeloc' },
+    { name: 'phot_g_mean_mag', column: 'gMag', unit: 'mag', ucd: 'phot.mag;em.opt' },
+    { name: 'bp_rp', column: 'bpRp', unit: 'mag', ucd: 'phot.color' },
+    { name: 'ag_gspphot', column: 'extinctionG', unit: 'mag', ucd: 'phys.absorption.gal' },
+    { name: 'ebpminrp_gspphot', column: 'reddening', unit: 'mag', ucd: 'phot.color.excess' },
+    // Derived
+    { name: 'distance', column: 'distance', unit: 'pc', ucd: 'pos.distance' },
+    { name: 'abs_g_mag', column: 'absMag', unit: 'mag', ucd: 'phot.mag;phys.absMag' },
+    { name: 'l', column: 'position', datatype: 'double', digits: 10, unit: 'deg', ucd: 'pos.galactic.lon',
+        get: (catalog, i) => {
+            const h = getHeliocentric(catalog, i);
+            const l = Math.atan2(-h.z, h.x) * RAD_TO_DEG;
+            return l < 0 ? l + 360 : l;
+        } },
+    { name: 'b', column: 'position', datatype: 'double', digits: 10, unit: 'deg', ucd: 'pos.galactic.lat',
+        get: (catalog, i) => {
+            const h = getHeliocentric(catalog, i);
+            return Math.asin(h.y / Math.hypot(h.x, h.y, h.z)) * RAD_TO_DEG;
+        } },
+    { name: 'x_gc', column: 'position', unit: 'pc', ucd: 'pos.cartesian.x', get: (catalog, i) => catalog.position[i * 3] },
+    { name: 'y_gc', column: 'position', unit: 'pc', ucd: 'pos.cartesian.y', get: (catalog, i) => -catalog.position[i * 3 + 2] },
+    { name: 'z_gc', column: 'position', unit: 'pc', ucd: 'pos.cartesian.z', get: (catalog, i) => catalog.position[i * 3 + 1] },
+];
+
+function getExportColumns(catalog) {
+    return EXPORT_COLUMNS.filter((spec) => catalog[spec.column]);
+}
+
+function formatExportValue(spec, catalog, i) {
+    const value = spec.get ? spec.get(catalog, i) : catalog[spec.column][i];
+    if (typeof value === 'bigint') return value > 0n ? String(value) : ''; // source_id 0 means unknown
+    if (Number.isNaN(value)) return '';
+    return String(Number(value.toPrecision(spec.digits || 7)));
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+/**
+ * Writes stars as CSV with a header row.
+ * @param {object} catalog
+ * @param {ArrayLike<number>} indices - Stars to write, in order.
+ * @returns {string[]} One line per element, ready for new Blob().
+ */
+export function formatCsvTable(catalog, indices) {
+    const columns = getExportColumns(catalog);
+    const lines = [`${columns.map((spec) => spec.name).join(',')}\n`];
+    for (const i of indices) {
+        lines.push(`${columns.map((spec) => formatExportValue(spec, catalog, i)).join(',')}\n`);
+    }
+    return lines;
+}
+
+/**
+ * Writes stars as a VOTable with one TABLEDATA table.
+ * @param {object} catalog
+ * @param {ArrayLike<number>} indices - Stars to write, in order.
+ * @param {string} [description] - Goes into the table's DESCRIPTION.
+ * @returns {string[]} Pieces of the document, ready for new Blob().
+ */
+export function formatVoTable(catalog, indices, description = '') {
+    const columns = getExportColumns(catalog);
+    const parts = [
+        '<?xml version="1.0" encoding="UTF-8"?>\n',
+        '<VOTABLE version="1.4" xmlns="http://www.ivoa.net/xml/VOTable/v1.3">\n',
+        '<RESOURCE type="results">\n',
+        `<TABLE name="galaxymap_selection" nrows="${indices.length}">\n`,
+        `<DESCRIPTION>${escapeXml(description)}</DESCRIPTION>\n`,
+    ];
+    for (const spec of columns) {
+        parts.push(`<FIELD name="${spec.name}" datatype="${spec.datatype || 'float'}"${spec.unit ? ` unit="${spec.unit}"` : ''} ucd="${spec.ucd}"/>\n`);
+    }
+    parts.push('<DATA><TABLEDATA>\n');
+    for (const i of indices) {
+        parts.push(`<TR>${columns.map((spec) => `<TD>${formatExportValue(spec, catalog, i)}</TD>`).join('')}</TR>\n`);
+    }
+    parts.push('</TABLEDATA></DATA>\n</TABLE>\n</RESOURCE>\n</VOTABLE>\n');
+    return parts;
+}
@@ -0,0 +1,275 @@
+// --- Star Data Loader Worker ---
+// Downloads the star catalogue off the main thread. CSV is parsed as it streams in;
+// packed binaries (see starCatalog.js) are decoded in place. Progress is posted back
+// so the page can show it, and the finished columns are transferred without copying.
+// Finished catalogues are also kept in IndexedDB (see Catalogue Cache below), so a
+// reload whose file has not changed skips parsing and processing altogether.
+//
+// Messages in:  { type: 'load', url, distance: { estimator, snrCut } }
+// Messages out: { type: 'progress', phase, loaded, total, stars }
+//               { type: 'done', catalog }  (catalog.stats.source: 'network', 'cache' or 'offline')
+//               { type: 'error', message }
+import {
+    createCsvStarParser,
+    buildStarCatalog,
+    decodeStarCatalog,
+    dropUnplacedStars,
+    isStarBinary,
+    getCatalogTransferList,
+} from './starCatalog.js';
+
+const PROGRESS_INTERVAL_MS = 100;
+
+let lastProgressTime = 0;
+
+function postProgress(progress, force = false) {
+    const now = performance.now();
+    if (!force && now - lastProgressTime < PROGRESS_INTERVAL_MS) return;
+    lastProgressTime = now;
+    self.postMessage({ type: 'progress', ...progress });
+}
+
+function concatChunks(chunks, length) {
+    const bytes = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return bytes.buffer;
+}
+
+// --- Catalogue Cache ---
+// Each entry holds a processed catalogue under its URL and distance options, with the
+// response's ETag and Last-Modified headers and a hash of the file's bytes. Same-origin
+// files are revalidated with a conditional request, which answers 304 when nothing
+// changed. Cross-origin ones are not (the validator headers would need a CORS preflight),
+// so their bytes are downloaded and hashed, and only parsed if the hash differs.
+// Bump CACHE_VERSION whenever buildStarCatalog() or the column layout changes.
+const CACHE_DB_NAME = 'galaxymap-catalogs';
+const CACHE_STORE = 'catalogs';
+const CACHE_VERSION = 3;
+const CACHE_MAX_ENTRIES = 3; // Oldest entries beyond this are evicted
+
+let cacheDbPromise = null;
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Cache transaction aborted'));
+    });
+}
+
+function openCacheDb() {
+    if (!cacheDbPromise) {
+        const request = indexedDB.open(CACHE_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+            store.createIndex('savedAt', 'savedAt');
+        };
+        cacheDbPromise = requestToPromise(request);
+    }
+    return cacheDbPromise;
+}
+
+function getCacheKey(url, { estimator = 'naive', snrCut = 0 } = {}) {
+    return `v${CACHE_VERSION} ${estimator} ${estimator === 'snr' ? snrCut : ''} ${url}`;
+}
+
+/**
+ * @param {string} key
+ * @returns {Promise<object|null>} The entry, or null when missing or the cache is unavailable.
+ */
+async function readCachedCatalog(key) {
+    try {
+        const db = await openCacheDb();
+        const entry = await requestToPromise(db.transaction(CACHE_STORE).objectStore(CACHE_STORE).get(key));
+        return entry || null;
+    } catch (error) {
+        console.warn('Star catalogue cache unavailable.', error);
+        return null;
+    }
+}
+
+/**
+ * Stores an entry, then evicts the oldest ones beyond CACHE_MAX_ENTRIES.
+ * Must finish before the catalogue's buffers are transferred away.
+ * @param {object} entry - { key, etag, lastModified, hash, catalog }
+ * @returns {Promise<void>}
+ */
+async function writeCachedCatalog(entry) {
+    try {
+        const db = await openCacheDb();
+        const transaction = db.transaction(CACHE_STORE, 'readwrite');
+        const store = transaction.objectStore(CACHE_STORE);
+        store.put({ ...entry, savedAt: Date.now() });
+        const keys = await requestToPromise(store.index('savedAt').getAllKeys());
+        // Oldest first; the entry just written is newest
+        keys.slice(0, Math.max(keys.length - CACHE_MAX_ENTRIES, 0)).forEach((key) => store.delete(key));
+        await transactionDone(transaction);
+    } catch (error) {
+        // Usually the storage quota; the catalogue still loads, just not from the cache next time
+        console.warn('Could not cache the star catalogue.', error);
+    }
+}
+
+/**
+ * A running 32-bit FNV-1a hash of the downloaded bytes, enough to tell a changed file
+ * from an unchanged one alongside its length.
+ * @returns {{update: function(Uint8Array): void, digest: function(): string}}
+ */
+function createContentHash() {
+    let hash = 0x811c9dc5;
+    let length = 0;
+    return {
+        update(bytes) {
+            for (let i = 0; i < bytes.length; i++) {
+                hash = Math.imul(hash ^ bytes[i], 0x01000193);
+            }
+            length += bytes.length;
+        },
+        digest: () => `${length}:${(hash >>> 0).toString(16)}`,
+    };
+}
+
+function getValidatorHeaders(url, cached) {
+    const headers = {};
+    if (!cached || new URL(url).origin !== self.location.origin) return headers;
+    if (cached.etag) headers['If-None-Match'] = cached.etag;
+    if (cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+    return headers;
+}
+
+function useCachedCatalog(cached, source) {
+    postProgress({ phase: 'cache', loaded: 0, total: 0, stars: cached.catalog.count }, true);
+    cached.catalog.stats.source = source;
+    return cached.catalog;
+}
+
+/**
+ * Streams a catalogue from `url` and returns its columns, from the cache when the file
+ * has not changed since it was last processed.
+ * @param {string} url
+ * @param {object} [distanceOptions] - Passed to buildStarCatalog().
+ * @returns {Promise<object>}
+ */
+async function loadCatalog(url, distanceOptions = {}) {
+    const key = getCacheKey(url, distanceOptions);
+    const cached = await readCachedCatalog(key);
+
+    let response;
+    try {
+        // The service worker leaves no-store requests alone; this cache is the offline copy
+        response = await fetch(url, { cache: 'no-store', headers: getValidatorHeaders(url, cached) });
+    } catch (error) {
+        if (cached) return useCachedCatalog(cached, 'offline');
+        throw error;
+    }
+    if (response.status === 304 && cached) return useCachedCatalog(cached, 'cache');
+    if (!response.ok) throw new Error(`HTTP error! Status: ${response.status}`);
+
+    const etag = response.headers.get('ETag');
+    const lastModified = response.headers.get('Last-Modified');
+    if (cached && etag && etag === cached.etag) {
+        response.body.cancel();
+        return useCachedCatalog(cached, 'cache');
+    }
+    // Without validators only the bytes can tell, so hold them back until they are hashed
+    const deferParse = Boolean(cached) && !etag && !lastModified;
+
+    // Content-Length is the compressed size when the server gzips, so it is only a hint
+    const total = parseInt(response.headers.get('Content-Length'), 10) || 0;
+    const reader = response.body.getReader();
+
+    let format = null; // 'csv' or 'binary', decided from the first bytes
+    const binaryChunks = [];
+    const deferredChunks = [];
+    const decoder = new TextDecoder();
+    const parser = createCsvStarParser();
+    const hash = createContentHash();
+    let loaded = 0;
+    let parsed = 0;
+
+    const parseChunk = (value) => {
+        parsed += value.length;
+        if (format === null) {
+            binaryChunks.push(value);
+            const head = new Uint8Array(concatChunks(binaryChunks, parsed));
+            if (head.length < 8) return;
+            format = isStarBinary(head) ? 'binary' : 'csv';
+            if (format === 'csv') {
+                binaryChunks.length = 0;
+                parser.push(decoder.decode(head, { stream: true }));
+            }
+        } else if (format === 'binary') {
+            binaryChunks.push(value);
+        } else {
+            parser.push(decoder.decode(value, { stream: true }));
+        }
+    };
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        loaded += value.length;
+        hash.update(value);
+        if (deferParse) deferredChunks.push(value);
+        else parseChunk(value);
+
+        postProgress({ phase: 'download', loaded, total, stars: parser.starCount });
+    }
+
+    const contentHash = hash.digest();
+    if (deferParse) {
+        if (contentHash === cached.hash) return useCachedCatalog(cached, 'cache');
+        deferredChunks.forEach(parseChunk);
+    }
+
+    let catalog;
+    if (format === 'binary') {
+        postProgress({ phase: 'decode', loaded, total, stars: 0 }, true);
+        catalog = decodeStarCatalog(concatChunks(binaryChunks, loaded));
+        if (distanceOptions.estimator && distanceOptions.estimator !== 'naive') {
+            // Packed distances are naive ones; re-derive everything from the raw columns,
+            // including those of the stars packed without a distance
+            postProgress({ phase: 'process', loaded, total, stars: catalog.count }, true);
+            catalog = buildStarCatalog(catalog, distanceOptions);
+        } else {
+            catalog = dropUnplacedStars(catalog);
+        }
+    } else {
+        if (format === null) {
+            // Fewer than 8 bytes in total; let the CSV parser report it as empty
+            parser.push(decoder.decode(new Uint8Array(concatChunks(binaryChunks, loaded)), { stream: true }));
+        }
+        parser.push(decoder.decode());
+        const raw = parser.finish();
+        postProgress({ phase: 'process', loaded, total, stars: raw.count }, true);
+        catalog = buildStarCatalog(raw, distanceOptions);
+    }
+
+    postProgress({ phase: 'store', loaded, total, stars: catalog.count }, true);
+    await writeCachedCatalog({ key, etag, lastModified, hash: contentHash, catalog });
+    catalog.stats.source = 'network';
+    return catalog;
+}
+
+self.addEventListener('message', async (event) => {
+    const message = event.data;
+    if (message.type !== 'load') return;
+
+    try {
+        const catalog = await loadCatalog(message.url, message.distance);
+        self.postMessage({ type: 'done', catalog }, getCatalogTransferList(catalog));
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+});
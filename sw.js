@@ -0,0 +1,66 @@
+// --- Offline Service Worker ---
+// Keeps the app shell and three.js in a cache so the map opens without a network, e.g.
+// in classrooms with unreliable internet. Same-origin files are fetched network-first,
+// so edits show up as soon as the page is online; the pinned three.js build never
+// changes and is served cache-first. The star catalogue is fetched with no-store and
+// left alone here: the loader worker keeps it, already processed, in IndexedDB.
+const CACHE_NAME = 'galaxymap-v1';
+const THREE_BASE = 'https://unpkg.com/three@0.160.0/';
+const APP_SHELL = [
+    './',
+    'index.html',
+    'main.js',
+    'starCatalog.js',
+    'starWorker.js',
+    'landmarks.json',
+    'milky_way_map.jpg',
+    `${THREE_BASE}build/three.module.js`,
+    `${THREE_BASE}examples/jsm/controls/OrbitControls.js`,
+    `${THREE_BASE}examples/jsm/controls/FlyControls.js`,
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME)
+        .then((cache) => cache.addAll(APP_SHELL))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then((names) => Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        // Pages opened with a query (?panels=...) fall back to the cached page without one
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || request.cache === 'no-store') return;
+    const url = new URL(request.url);
+    if (url.href.startsWith(THREE_BASE)) {
+        event.respondWith(cacheFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    }
+});
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+// --- CSV to packed star catalogue converter ---
+// Converts a Gaia CSV (ra, dec, parallax, g_mag, bp_rp) into the binary format
+// that the viewer loads straight into its buffers. Uses the same parser and
+// transforms as the in-browser loader, so both paths give identical stars.
+//
+// Usage: node tools/csv-to-stars.mjs stars.csv stars.bin
+import { createReadStream } from 'node:fs';
+import { writeFile } from 'node:fs/promises';
+import { createCsvStarParser, buildStarCatalog, encodeStarCatalog } from '../starCatalog.js';
+
+async function main() {
+    const [input, output] = process.argv.slice(2);
+    if (!input || !output) {
+        console.error('Usage: node tools/csv-to-stars.mjs <input.csv> <output.bin>');
+        process.exit(1);
+    }
+
+    const parser = createCsvStarParser();
+    const stream = createReadStream(input, { encoding: 'utf8' });
+    for await (const chunk of stream) {
+        parser.push(chunk);
+    }
+
+    const raw = parser.finish();
+    console.log(`Parsed ${raw.count.toLocaleString()} stars (${raw.stats.skipped.toLocaleString()} rows skipped).`);
+
+    // Stars with zero or negative parallax stay in the file for the viewer's other distance estimators
+    const catalog = buildStarCatalog(raw, { keepUnplaced: true });
+    if (catalog.stats.dropped > 0) {
+        console.log(`Kept ${catalog.stats.dropped.toLocaleString()} stars with zero or negative parallax, hidden under 1/parallax distances.`);
+    }
+    const buffer = encodeStarCatalog(catalog);
+    await writeFile(output, new Uint8Array(buffer));
+    console.log(`Wrote ${output} (${(buffer.byteLength / 1e6).toFixed(1)} MB).`);
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});